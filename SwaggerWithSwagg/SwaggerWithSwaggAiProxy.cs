@@ -0,0 +1,302 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
+using System.Collections.Concurrent;
+using System.Net;
+using System.Net.Http.Headers;
+using System.Text;
+using System.Text.Json.Nodes;
+
+namespace SwaggerWithSwagg
+{
+    /// <summary>
+    /// Forwards chat completion requests from the UI to the configured LLM, so the API key stays on the server.
+    /// Applies a per-user rate limit and a model allow-list before anything leaves the server.
+    /// </summary>
+    internal class SwaggerWithSwaggAiProxy
+    {
+        private static readonly HttpClient HttpClient = new HttpClient { Timeout = TimeSpan.FromMinutes(2) };
+        private static readonly TimeSpan RateLimitWindow = TimeSpan.FromMinutes(1);
+        private static readonly TimeSpan SweepInterval = TimeSpan.FromMinutes(5);
+
+        // Only these request fields are passed on; everything else (e.g. "user", "n", "logit_bias") is dropped
+        private static readonly string[] ForwardedFields = { "messages", "temperature", "max_tokens", "tools", "tool_choice", "response_format", "stream" };
+
+        private readonly SwaggerWithSwaggAiProxyOptions _options;
+        private readonly ILogger _logger;
+        private readonly ConcurrentDictionary<string, Queue<DateTime>> _requestLog = new ConcurrentDictionary<string, Queue<DateTime>>();
+        private long _lastSweepTicks = DateTime.UtcNow.Ticks;
+
+        public SwaggerWithSwaggAiProxy(SwaggerWithSwaggAiProxyOptions options, ILogger logger)
+        {
+            _options = options;
+            _logger = logger;
+        }
+
+        public async Task HandleAsync(HttpContext context)
+        {
+            if (!HttpMethods.IsPost(context.Request.Method))
+            {
+                await WriteErrorAsync(context, HttpStatusCode.MethodNotAllowed, "Use POST to call the AI proxy.");
+                return;
+            }
+
+            if (string.IsNullOrEmpty(_options.ApiKey) || string.IsNullOrEmpty(_options.Endpoint))
+            {
+                await WriteErrorAsync(context, HttpStatusCode.ServiceUnavailable, "The AI proxy has no endpoint or API key configured on the server.");
+                return;
+            }
+
+            // Only JSON from this app's own pages - otherwise any site a user visits could spend the key through their browser
+            if (!IsJsonRequest(context.Request))
+            {
+                await WriteErrorAsync(context, HttpStatusCode.UnsupportedMediaType, "The AI proxy only accepts application/json.");
+                return;
+            }
+
+            if (!IsSameOrigin(context.Request))
+            {
+                await WriteErrorAsync(context, HttpStatusCode.Forbidden, "The AI proxy only accepts requests from this application.");
+                return;
+            }
+
+            // Capped while reading, so an oversized prompt is neither buffered in full nor sent to the provider
+            var body = await ReadBodyAsync(context.Request, _options.MaxRequestBodySize, context.RequestAborted);
+            if (body == null)
+            {
+                await WriteErrorAsync(context, HttpStatusCode.RequestEntityTooLarge, $"The request body is larger than the AI proxy allows ({_options.MaxRequestBodySize} bytes).");
+                return;
+            }
+
+            JsonObject? request;
+            try
+            {
+                request = JsonNode.Parse(body) as JsonObject;
+            }
+            catch (Exception)
+            {
+                request = null;
+            }
+
+            if (request == null || request["messages"] is not JsonArray)
+            {
+                await WriteErrorAsync(context, HttpStatusCode.BadRequest, "The request body must be a chat completion request with a messages array.");
+                return;
+            }
+
+            var model = request["model"] is JsonValue modelValue && modelValue.TryGetValue<string>(out var requestedModel) && !string.IsNullOrEmpty(requestedModel)
+                ? requestedModel
+                : _options.DefaultModel;
+            if (!IsModelAllowed(model))
+            {
+                await WriteErrorAsync(context, HttpStatusCode.BadRequest, $"Model '{model}' is not allowed. Allowed models: {string.Join(", ", GetAllowedModels())}.");
+                return;
+            }
+
+            // Only requests that would actually reach the provider count against the limit
+            if (!TryAcquire(GetClientKey(context), out var retryAfter))
+            {
+                context.Response.Headers["Retry-After"] = Math.Ceiling(retryAfter.TotalSeconds).ToString();
+                await WriteErrorAsync(context, HttpStatusCode.TooManyRequests, $"AI rate limit reached ({_options.RequestsPerMinute} requests per minute). Try again in {Math.Ceiling(retryAfter.TotalSeconds)} seconds.");
+                return;
+            }
+
+            var upstreamBody = new JsonObject { ["model"] = model };
+            foreach (var field in ForwardedFields)
+            {
+                if (request[field] != null)
+                {
+                    // Re-parse to detach the node from the incoming document
+                    upstreamBody[field] = JsonNode.Parse(request[field]!.ToJsonString());
+                }
+            }
+
+            // Cap the completion size so a single call can't run up the bill
+            var maxTokens = request["max_tokens"] is JsonValue maxTokensValue && maxTokensValue.TryGetValue<int>(out var requestedMaxTokens)
+                ? requestedMaxTokens
+                : _options.MaxTokens;
+            upstreamBody["max_tokens"] = Math.Min(maxTokens, _options.MaxTokens);
+
+            using var upstreamRequest = new HttpRequestMessage(HttpMethod.Post, _options.Endpoint)
+            {
+                Content = new StringContent(upstreamBody.ToJsonString(), Encoding.UTF8, "application/json")
+            };
+
+            if (string.Equals(_options.ApiKeyHeader, "Authorization", StringComparison.OrdinalIgnoreCase))
+            {
+                upstreamRequest.Headers.Authorization = new AuthenticationHeaderValue("Bearer", _options.ApiKey);
+            }
+            else
+            {
+                upstreamRequest.Headers.TryAddWithoutValidation(_options.ApiKeyHeader, _options.ApiKey);
+            }
+
+            HttpResponseMessage upstreamResponse;
+            try
+            {
+                upstreamResponse = await HttpClient.SendAsync(upstreamRequest, HttpCompletionOption.ResponseHeadersRead, context.RequestAborted);
+            }
+            catch (Exception ex) when (ex is HttpRequestException || ex is TaskCanceledException)
+            {
+                // The exception can name internal hosts or addresses, so it only goes to the server log
+                _logger.LogWarning(ex, "The AI proxy could not reach {Endpoint}", _options.Endpoint);
+                await WriteErrorAsync(context, HttpStatusCode.BadGateway, "The AI provider could not be reached.");
+                return;
+            }
+
+            // Pass the provider's response through as-is (including streamed server-sent events)
+            using (upstreamResponse)
+            {
+                context.Response.StatusCode = (int)upstreamResponse.StatusCode;
+                context.Response.ContentType = upstreamResponse.Content.Headers.ContentType?.ToString() ?? "application/json";
+                await upstreamResponse.Content.CopyToAsync(context.Response.Body);
+            }
+        }
+
+        // Body as text, or null when it is larger than maxBytes
+        private static async Task<string?> ReadBodyAsync(HttpRequest request, long maxBytes, CancellationToken cancellationToken)
+        {
+            if (request.ContentLength > maxBytes)
+            {
+                return null;
+            }
+
+            // Content-Length can be missing (chunked) or wrong, so the read itself is capped too
+            using var buffer = new MemoryStream();
+            var chunk = new byte[8192];
+            int read;
+            while ((read = await request.Body.ReadAsync(chunk, 0, chunk.Length, cancellationToken)) > 0)
+            {
+                if (buffer.Length + read > maxBytes)
+                {
+                    return null;
+                }
+                buffer.Write(chunk, 0, read);
+            }
+
+            return Encoding.UTF8.GetString(buffer.GetBuffer(), 0, (int)buffer.Length);
+        }
+
+        private IEnumerable<string> GetAllowedModels()
+        {
+            return _options.AllowedModels.Count > 0 ? _options.AllowedModels : new List<string> { _options.DefaultModel };
+        }
+
+        private bool IsModelAllowed(string model)
+        {
+            return GetAllowedModels().Contains(model, StringComparer.OrdinalIgnoreCase);
+        }
+
+        private static bool IsJsonRequest(HttpRequest request)
+        {
+            return MediaTypeHeaderValue.TryParse(request.ContentType, out var contentType) &&
+                string.Equals(contentType?.MediaType, "application/json", StringComparison.OrdinalIgnoreCase);
+        }
+
+        // Browsers send Sec-Fetch-Site and Origin on cross-site POSTs; clients without them (curl, server code) can't be driven by another site
+        private static bool IsSameOrigin(HttpRequest request)
+        {
+            var fetchSite = request.Headers["Sec-Fetch-Site"].ToString();
+            if (!string.IsNullOrEmpty(fetchSite) && !string.Equals(fetchSite, "same-origin", StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+
+            var origin = request.Headers["Origin"].ToString();
+            if (string.IsNullOrEmpty(origin))
+            {
+                return true;
+            }
+
+            return string.Equals(origin.TrimEnd('/'), $"{request.Scheme}://{request.Host.Value}", StringComparison.OrdinalIgnoreCase);
+        }
+
+        // Signed-in users are limited by name, anonymous callers by IP address
+        private static string GetClientKey(HttpContext context)
+        {
+            var identity = context.User?.Identity;
+            var name = identity?.IsAuthenticated == true ? identity.Name : null;
+            return !string.IsNullOrEmpty(name) ? $"user:{name}" : $"ip:{context.Connection.RemoteIpAddress}";
+        }
+
+        // Sliding one-minute window per client
+        private bool TryAcquire(string clientKey, out TimeSpan retryAfter)
+        {
+            retryAfter = TimeSpan.Zero;
+            if (_options.RequestsPerMinute <= 0)
+            {
+                return true;
+            }
+
+            var now = DateTime.UtcNow;
+            SweepExpired(now);
+
+            while (true)
+            {
+                var log = _requestLog.GetOrAdd(clientKey, _ => new Queue<DateTime>());
+                lock (log)
+                {
+                    // The sweep may have removed this queue between GetOrAdd and the lock; start over with the current one
+                    if (!_requestLog.TryGetValue(clientKey, out var current) || !ReferenceEquals(current, log))
+                    {
+                        continue;
+                    }
+
+                    while (log.Count > 0 && now - log.Peek() >= RateLimitWindow)
+                    {
+                        log.Dequeue();
+                    }
+
+                    if (log.Count >= _options.RequestsPerMinute)
+                    {
+                        retryAfter = RateLimitWindow - (now - log.Peek());
+                        return false;
+                    }
+
+                    log.Enqueue(now);
+                    return true;
+                }
+            }
+        }
+
+        // Drop clients whose requests have all left the window, so the log doesn't grow with every client ever seen
+        private void SweepExpired(DateTime now)
+        {
+            // Only the request that moves _lastSweepTicks forward does the sweep
+            var lastSweep = Interlocked.Read(ref _lastSweepTicks);
+            if (now.Ticks - lastSweep < SweepInterval.Ticks ||
+                Interlocked.CompareExchange(ref _lastSweepTicks, now.Ticks, lastSweep) != lastSweep)
+            {
+                return;
+            }
+
+            foreach (var entry in _requestLog)
+            {
+                lock (entry.Value)
+                {
+                    while (entry.Value.Count > 0 && now - entry.Value.Peek() >= RateLimitWindow)
+                    {
+                        entry.Value.Dequeue();
+                    }
+
+                    if (entry.Value.Count == 0)
+                    {
+                        ((ICollection<KeyValuePair<string, Queue<DateTime>>>)_requestLog).Remove(entry);
+                    }
+                }
+            }
+        }
+
+        // Errors use the OpenAI error shape, so the UI shows them like provider errors
+        private static async Task WriteErrorAsync(HttpContext context, HttpStatusCode statusCode, string message)
+        {
+            var error = new JsonObject
+            {
+                ["error"] = new JsonObject { ["message"] = message }
+            };
+
+            context.Response.StatusCode = (int)statusCode;
+            context.Response.ContentType = "application/json;charset=utf-8";
+            await context.Response.WriteAsync(error.ToJsonString(), Encoding.UTF8);
+        }
+    }
+}
@@ -113,10 +113,79 @@ namespace SwaggerWithSwagg
         /// </summary>
         public string? CustomCss { get; set; }
 
+        /// <summary>
+        /// Custom JavaScript, run after all UI scripts have loaded (e.g. to register snippet generators)
+        /// </summary>
+        public string? CustomJs { get; set; }
+
+        /// <summary>
+        /// Server-side AI proxy. When enabled, Ask AI and test data generation go through
+        /// {RoutePrefix}/ai/chat and the LLM API key never reaches the browser
+        /// </summary>
+        public SwaggerWithSwaggAiProxyOptions AiProxy { get; set; } = new SwaggerWithSwaggAiProxyOptions();
+
         /// <summary>
         /// HTML value for api version selector
         /// </summary>
         internal string? VersionSelectorString { get; set; }
+
+        /// <summary>
+        /// "true" or "false" for the page script - the browser only learns whether the AI proxy is on
+        /// </summary>
+        internal string AiProxyEnabledString => AiProxy?.Enabled == true ? "true" : "false";
+    }
+
+    /// <summary>
+    /// Configuration of the server-side AI proxy
+    /// </summary>
+    public class SwaggerWithSwaggAiProxyOptions
+    {
+        /// <summary>
+        /// Turns the proxy endpoint on. Default is false
+        /// </summary>
+        public bool Enabled { get; set; }
+
+        /// <summary>
+        /// Full chat completions URL of the LLM, e.g. https://api.openai.com/v1/chat/completions or
+        /// https://my-resource.openai.azure.com/openai/deployments/gpt-4o-mini/chat/completions?api-version=2024-06-01
+        /// </summary>
+        public string Endpoint { get; set; } = "https://api.openai.com/v1/chat/completions";
+
+        /// <summary>
+        /// The LLM API key, typically read from configuration or a secret store (e.g. builder.Configuration["OpenAI:ApiKey"])
+        /// </summary>
+        public string? ApiKey { get; set; }
+
+        /// <summary>
+        /// Header that carries the key: "Authorization" sends it as a Bearer token, any other name
+        /// (e.g. "api-key" for Azure OpenAI) sends the raw key in that header. Default is "Authorization"
+        /// </summary>
+        public string ApiKeyHeader { get; set; } = "Authorization";
+
+        /// <summary>
+        /// Model used when the browser doesn't ask for one. Default is "gpt-4o-mini"
+        /// </summary>
+        public string DefaultModel { get; set; } = "gpt-4o-mini";
+
+        /// <summary>
+        /// Models the browser may request. When empty, only DefaultModel is allowed
+        /// </summary>
+        public List<string> AllowedModels { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Requests per minute per signed-in user (or per IP address for anonymous callers). 0 disables the limit. Default is 20
+        /// </summary>
+        public int RequestsPerMinute { get; set; } = 20;
+
+        /// <summary>
+        /// Upper bound for max_tokens of a single completion. Default is 2000
+        /// </summary>
+        public int MaxTokens { get; set; } = 2000;
+
+        /// <summary>
+        /// Largest request body (in bytes) the proxy accepts from the browser; larger requests get a 413. Default is 1 MB
+        /// </summary>
+        public long MaxRequestBodySize { get; set; } = 1024 * 1024;
     }
 
     /// <summary>
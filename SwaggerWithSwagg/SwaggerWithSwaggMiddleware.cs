@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
 using System.Net;
 using System.Reflection;
 using System.Text;
@@ -12,11 +13,13 @@ namespace SwaggerWithSwagg
     {
         private readonly RequestDelegate _next;
         private readonly SwaggerWithSwaggOptions _options;
+        private readonly SwaggerWithSwaggAiProxy _aiProxy;
 
-        public SwaggerWithSwaggMiddleware(RequestDelegate next, SwaggerWithSwaggOptions options)
+        public SwaggerWithSwaggMiddleware(RequestDelegate next, SwaggerWithSwaggOptions options, ILoggerFactory loggerFactory)
         {
             _next = next;
             _options = options;
+            _aiProxy = new SwaggerWithSwaggAiProxy(options.AiProxy, loggerFactory.CreateLogger<SwaggerWithSwaggAiProxy>());
         }
 
         public async Task InvokeAsync(HttpContext context)
@@ -24,6 +27,14 @@ namespace SwaggerWithSwagg
             var path = context.Request.Path.Value?.TrimEnd('/');
             var routePrefix = _options.RoutePrefix.TrimStart('/').TrimEnd('/');
 
+            // Server-side AI proxy (only when enabled - otherwise the route doesn't exist)
+            if (_options.AiProxy?.Enabled == true &&
+                path?.Equals($"/{routePrefix}/ai/chat", StringComparison.OrdinalIgnoreCase) == true)
+            {
+                await _aiProxy.HandleAsync(context);
+                return;
+            }
+
             // Serve .js and .css files from wwwroot
             if (path?.StartsWith($"/{routePrefix}/", StringComparison.OrdinalIgnoreCase) == true)
             {
@@ -53,6 +64,15 @@ namespace SwaggerWithSwagg
                         // File not found, continue to next middleware
                     }
                 }
+
+                // OAuth2 sign-in popup lands here
+                if (fileName.Equals("oauth2-redirect.html", StringComparison.OrdinalIgnoreCase))
+                {
+                    context.Response.ContentType = "text/html;charset=utf-8";
+                    context.Response.StatusCode = (int)HttpStatusCode.OK;
+                    await context.Response.WriteAsync(GetEmbeddedResource(fileName), Encoding.UTF8);
+                    return;
+                }
             }
 
             // Check if the request is for the Swagger UI
@@ -1,6 +1,7 @@
 /**
  * SwaggerWithSwagg - Natural Language Processing for API Requests
- * Converts natural language queries to API calls using OpenAI
+ * Converts natural language queries to API calls using an LLM
+ * (OpenAI, Azure OpenAI, Ollama or any OpenAI-compatible endpoint)
  */
 
 (function() {
@@ -10,6 +11,299 @@
     const NLP_CONFIG_KEY = 'swaggerWithSwagg_nlp_config';
     const NLP_HISTORY_KEY = 'swaggerWithSwagg_nlp_history';
     const MAX_HISTORY = 10;
+    const DEFAULT_PROVIDER = 'openai';
+    const DEFAULT_AZURE_API_VERSION = '2024-06-01';
+    const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+    const DEFAULT_MODEL = 'gpt-4o-mini';
+    const ENDPOINT_TOOL_NAME = 'select_endpoint';
+    const MAX_ANALYZE_ATTEMPTS = 2;
+    const ANALYZE_MAX_TOKENS = 500;
+    const DEFAULT_TOKEN_BUDGET = 4000;
+    const MIN_TOKEN_BUDGET = 500;
+    const MAX_SHORTLIST = 40;
+    const CHARS_PER_TOKEN = 4;
+    const CONFIRM_COST_THRESHOLD = 0.01;    // USD - Ask AI asks before sending a call estimated above this
+    const CONFIRM_TOKEN_THRESHOLD = 2000;   // Prompt tokens - used instead when the price is unknown
+
+    const PROMPT_SYSTEM_MESSAGE = `You are an API assistant that maps natural language queries to API endpoints. Always answer by calling the ${ENDPOINT_TOOL_NAME} function.`;
+
+    // USD per 1M tokens (input, output) - used for the estimate shown before Ask AI calls the model
+    const MODEL_PRICES = {
+        'gpt-4o-mini': [0.15, 0.60],
+        'gpt-4o': [2.50, 10.00],
+        'gpt-4.1-nano': [0.10, 0.40],
+        'gpt-4.1-mini': [0.40, 1.60],
+        'gpt-4.1': [2.00, 8.00],
+        'gpt-4-turbo': [10.00, 30.00],
+        'gpt-3.5-turbo': [0.50, 1.50]
+    };
+
+    /**
+     * LLM providers - every provider speaks the OpenAI chat completions format and only differs in
+     * URL, authentication header and whether the model is part of the URL (Azure deployments).
+     * Header styles: 'bearer' (Authorization: Bearer <key>), 'api-key' (api-key: <key>) or 'none'.
+     */
+    const LLM_PROVIDERS = {
+        server: {
+            label: 'Server AI proxy',
+            defaultHeaderStyle: 'none',
+            // The key lives on the server; the model is optional and checked against the server's allow-list
+            keyless: true,
+            isConfigured: () => isAiProxyEnabled(),
+            getUrl: () => window.swaggerWithSwaggAiProxy.url
+        },
+        openai: {
+            label: 'OpenAI',
+            defaultHeaderStyle: 'bearer',
+            defaultModel: DEFAULT_MODEL,
+            isConfigured: config => !!config.apiKey,
+            getUrl: () => 'https://api.openai.com/v1/chat/completions'
+        },
+        azure: {
+            label: 'Azure OpenAI',
+            defaultHeaderStyle: 'api-key',
+            omitModel: true,
+            isConfigured: config => !!(config.baseUrl && config.deployment && config.apiKey),
+            getUrl: config => `${trimTrailingSlash(config.baseUrl)}/openai/deployments/${encodeURIComponent(config.deployment)}/chat/completions?api-version=${encodeURIComponent(config.apiVersion || DEFAULT_AZURE_API_VERSION)}`
+        },
+        // Self-hosted servers have their own model names, so there is no default model
+        ollama: {
+            label: 'Ollama',
+            defaultHeaderStyle: 'none',
+            isConfigured: config => !!config.model,
+            getUrl: config => `${trimTrailingSlash(config.baseUrl || DEFAULT_OLLAMA_URL)}/v1/chat/completions`
+        },
+        compatible: {
+            label: 'OpenAI-compatible',
+            defaultHeaderStyle: 'bearer',
+            isConfigured: config => !!(config.baseUrl && config.model),
+            getUrl: config => `${trimTrailingSlash(config.baseUrl)}/chat/completions`
+        }
+    };
+
+    /**
+     * Assemble an assistant message from a server-sent events chat completion stream.
+     * Content and tool call arguments arrive in fragments; tool calls are keyed by their index.
+     */
+    async function readChatStream(response, onDelta) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const message = { role: 'assistant', content: '', tool_calls: [] };
+        let buffer = '';
+        let done = false;
+
+        const progressText = () => message.content + message.tool_calls.map(call => call.function.arguments).join('');
+
+        while (!done) {
+            const chunk = await reader.read();
+            if (chunk.done) break;
+
+            buffer += decoder.decode(chunk.value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim();
+                if (!data.startsWith('data:')) continue;
+
+                const payload = data.substring(5).trim();
+                if (payload === '[DONE]') {
+                    done = true;
+                    break;
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    continue;
+                }
+                if (event.error) {
+                    throw new Error(event.error.message || 'The AI stream reported an error');
+                }
+
+                const delta = event.choices?.[0]?.delta;
+                if (!delta) continue;
+
+                if (delta.content) {
+                    message.content += delta.content;
+                }
+                (delta.tool_calls || []).forEach(fragment => {
+                    const index = fragment.index || 0;
+                    const call = message.tool_calls[index] ||
+                        (message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.function.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+                });
+
+                onDelta(progressText());
+            }
+        }
+
+        reader.cancel().catch(() => {});
+        message.tool_calls = message.tool_calls.filter(Boolean);
+        message.tool_calls.forEach((call, index) => {
+            if (!call.id) call.id = `call_${index}`;
+        });
+        if (message.tool_calls.length === 0) {
+            delete message.tool_calls;
+        }
+        return message;
+    }
+
+    /**
+     * Function the model calls to answer - the operation enum is built from the spec, so only real
+     * method/path combinations are valid
+     */
+    function buildEndpointTool(endpoints) {
+        return {
+            type: 'function',
+            function: {
+                name: ENDPOINT_TOOL_NAME,
+                description: 'Select the API operation that matches the user query, with the parameter values mentioned in the query',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        operation: {
+                            type: 'string',
+                            description: 'HTTP method and path template of the operation',
+                            enum: endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`)
+                        },
+                        parameters: {
+                            type: 'object',
+                            description: 'Path, query and header parameter values taken from the query, keyed by parameter name'
+                        },
+                        confidence: {
+                            type: 'integer',
+                            minimum: 0,
+                            maximum: 100
+                        },
+                        reasoning: {
+                            type: 'string',
+                            description: 'One short sentence'
+                        }
+                    },
+                    required: ['operation', 'parameters', 'confidence', 'reasoning']
+                }
+            }
+        };
+    }
+
+    /**
+     * Validate select_endpoint arguments (or a JSON answer in the message content) against the spec.
+     * Throws with a message meant to be fed back to the model.
+     * @returns {object} - { endpoint, method, parameters, confidence, reasoning }
+     */
+    function parseEndpointSelection(answer, endpoints) {
+        const text = String(answer || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        if (!text) {
+            throw new Error(`the response contained neither a ${ENDPOINT_TOOL_NAME} call nor JSON`);
+        }
+
+        let args;
+        try {
+            args = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`the arguments are not valid JSON (${e.message})`);
+        }
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            throw new Error('the arguments must be a JSON object');
+        }
+
+        // Older prompt format: separate method and endpoint
+        const operation = String(args.operation || (args.method && args.endpoint ? `${args.method} ${args.endpoint}` : '')).trim();
+        if (!operation) {
+            throw new Error('"operation" is missing');
+        }
+
+        const separator = operation.indexOf(' ');
+        const method = operation.substring(0, separator).toUpperCase();
+        const path = operation.substring(separator + 1).trim();
+        const endpoint = endpoints.find(e => e.method === method && e.path === path);
+        if (separator === -1 || !endpoint) {
+            throw new Error(`"${operation}" is not one of the available operations; use a value from the operation enum`);
+        }
+
+        if (args.parameters !== undefined && (typeof args.parameters !== 'object' || Array.isArray(args.parameters) || args.parameters === null)) {
+            throw new Error('"parameters" must be an object keyed by parameter name');
+        }
+
+        // Values for parameters the operation doesn't have can't be filled in - drop them
+        // ($ref parameters have no name here, so then everything is kept)
+        const knownNames = endpoint.parameters.map(param => param.name);
+        const checkNames = knownNames.length > 0 && knownNames.every(Boolean);
+        const parameters = {};
+        Object.entries(args.parameters || {}).forEach(([name, value]) => {
+            if (!checkNames || knownNames.includes(name) || name === 'body' || name === 'requestBody') {
+                parameters[name] = value;
+            } else {
+                console.warn(`⚠️ Dropping unknown parameter "${name}" for ${operation}`);
+            }
+        });
+
+        const confidence = Number(args.confidence);
+        return {
+            endpoint: endpoint.path,
+            method: endpoint.method,
+            parameters: parameters,
+            confidence: isNaN(confidence) ? 50 : Math.max(0, Math.min(100, Math.round(confidence))),
+            reasoning: typeof args.reasoning === 'string' ? args.reasoning : ''
+        };
+    }
+
+    // One compact line per operation: "- GET /users/{id} - Get a user | params: id (path, required)"
+    function formatEndpointLine(endpoint) {
+        const params = endpoint.parameters
+            .filter(param => param.name)
+            .map(param => `${param.name} (${param.in}${param.required ? ', required' : ''})`)
+            .join(', ');
+        const description = endpoint.summary || (endpoint.description.length > 120
+            ? endpoint.description.substring(0, 117) + '...'
+            : endpoint.description);
+        return `- ${endpoint.method} ${endpoint.path}${description ? ` - ${description.replace(/\s+/g, ' ')}` : ''}${params ? ` | params: ${params}` : ''}`;
+    }
+
+    function estimateTokens(text) {
+        return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+    }
+
+    // Longest known model name the configured model starts with ("gpt-4o-mini-2024-07-18" → gpt-4o-mini)
+    function getModelPrice(model) {
+        const name = String(model || '').toLowerCase();
+        const match = Object.keys(MODEL_PRICES)
+            .filter(known => name.startsWith(known))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? MODEL_PRICES[match] : null;
+    }
+
+    // "12 of 600 operations · ~1,850 prompt tokens · ≈ $0.0006"
+    function formatEstimate(estimate) {
+        const cost = estimate.cost === null ? `cost estimate unavailable${estimate.model ? ` for ${estimate.model}` : ''}`
+            : estimate.cost === 0 ? 'free (local model)'
+            : `≈ $${estimate.cost < 0.01 ? estimate.cost.toFixed(4) : estimate.cost.toFixed(2)}`;
+        return `${estimate.sent} of ${estimate.total} operations · ~${estimate.promptTokens.toLocaleString()} prompt tokens (budget ${estimate.budget.toLocaleString()}) · ${cost}`;
+    }
+
+    // Whether the user has to confirm the estimate before the call is sent
+    function needsConfirmation(estimate) {
+        if (estimate.cost === null) return estimate.promptTokens > CONFIRM_TOKEN_THRESHOLD;
+        return estimate.cost >= CONFIRM_COST_THRESHOLD;
+    }
+
+    function trimTrailingSlash(url) {
+        return String(url || '').replace(/\/+$/, '');
+    }
+
+    // Set by the page when the server hosts the AI proxy (SwaggerWithSwaggOptions.AiProxy)
+    function isAiProxyEnabled() {
+        return !!(window.swaggerWithSwaggAiProxy && window.swaggerWithSwaggAiProxy.enabled);
+    }
+
+    // The server proxy when it's available, so nobody has to paste a key into the browser
+    function getDefaultProvider() {
+        return isAiProxyEnabled() ? 'server' : DEFAULT_PROVIDER;
+    }
 
     /**
      * NLP Manager - Handles natural language to API mapping
@@ -36,7 +330,10 @@
                 const saved = localStorage.getItem(NLP_CONFIG_KEY);
                 if (saved) {
                     this.config = JSON.parse(saved);
-                    this.isConfigured = !!this.config.apiKey;
+                    this.isConfigured = this.isProviderConfigured(this.config);
+                } else if (isAiProxyEnabled()) {
+                    this.config = { provider: 'server', model: '' };
+                    this.isConfigured = true;
                 }
             } catch (e) {
                 console.error('Failed to load NLP config:', e);
@@ -49,13 +346,103 @@
         saveConfig(config) {
             try {
                 this.config = config;
-                this.isConfigured = !!config.apiKey;
+                this.isConfigured = this.isProviderConfigured(config);
                 localStorage.setItem(NLP_CONFIG_KEY, JSON.stringify(config));
             } catch (e) {
                 console.error('Failed to save NLP config:', e);
             }
         },
 
+        /**
+         * Provider definition for a config (OpenAI when none is set)
+         */
+        getProvider(config = this.config) {
+            return LLM_PROVIDERS[config?.provider] || LLM_PROVIDERS[DEFAULT_PROVIDER];
+        },
+
+        /**
+         * Whether a config has everything its provider needs
+         */
+        isProviderConfigured(config) {
+            return !!config && this.getProvider(config).isConfigured(config);
+        },
+
+        /**
+         * Send a chat completion to the configured provider and return the assistant message text
+         * @param {Array} messages - OpenAI-style chat messages
+         * @param {object} options - Extra request fields (temperature, max_tokens, ...)
+         * @returns {Promise<string>} - Message content
+         */
+        async chatCompletion(messages, options = {}) {
+            const message = await this.chatCompletionMessage(messages, options);
+            return message.content || '';
+        },
+
+        /**
+         * Send a chat completion and return the whole assistant message ({ role, content, tool_calls }).
+         * With onDelta the response is streamed and onDelta(text) is called with the content and
+         * tool call arguments received so far.
+         * @param {Array} messages - OpenAI-style chat messages
+         * @param {object} options - Extra request fields (temperature, max_tokens, tools, tool_choice, ...)
+         * @param {Function} onDelta - Optional streaming progress callback
+         * @returns {Promise<object>} - Assistant message
+         */
+        async chatCompletionMessage(messages, options = {}, onDelta = null) {
+            const config = this.config || {};
+            const provider = this.getProvider(config);
+            const headerStyle = provider.keyless ? 'none' : (config.headerStyle || provider.defaultHeaderStyle);
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (config.apiKey && headerStyle === 'bearer') {
+                headers['Authorization'] = `Bearer ${config.apiKey}`;
+            } else if (config.apiKey && headerStyle === 'api-key') {
+                headers['api-key'] = config.apiKey;
+            }
+
+            const body = Object.assign({ messages: messages }, options);
+            if (onDelta) {
+                body.stream = true;
+            }
+            const model = config.model || provider.defaultModel;
+            if (!provider.omitModel && model) {
+                body.model = model;
+            }
+
+            const response = await fetch(provider.getUrl(config), {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+
+            console.log(`📡 ${provider.label} response status:`, response.status, response.statusText);
+
+            if (!response.ok) {
+                let errorMessage = `${provider.label} returned ${response.status} ${response.statusText}`;
+                try {
+                    const error = await response.json();
+                    errorMessage = error.error?.message || error.error || error.message || errorMessage;
+                    console.error(`❌ ${provider.label} API Error:`, error);
+                } catch (e) {
+                    console.error('❌ Failed to parse error response');
+                }
+                throw new Error(errorMessage);
+            }
+
+            // Some OpenAI-compatible servers ignore "stream" and answer with plain JSON
+            const isEventStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+            if (onDelta && isEventStream && response.body) {
+                return await readChatStream(response, onDelta);
+            }
+
+            const data = await response.json();
+            if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
+                console.error(`❌ No choices in ${provider.label} response`, data);
+                throw new Error(`Invalid ${provider.label} response: no choices`);
+            }
+
+            return data.choices[0].message;
+        },
+
         /**
          * Load search history
          */
@@ -237,22 +624,17 @@
                 return;
             }
 
-            if (!this.isConfigured) {
-                this.showConfigDialog();
-                return;
-            }
-
             const resultsDiv = document.getElementById('nlpResults');
             resultsDiv.style.display = 'block';
             resultsDiv.innerHTML = `
                 <div style="background: var(--darker-bg); border: 1px solid var(--border-color); border-radius: 8px; padding: 20px; text-align: center;">
                     <div class="spinner" style="margin: 0 auto 12px;"></div>
-                    <div style="color: var(--text-secondary);">AI is analyzing your request...</div>
+                    <div style="color: var(--text-secondary);">${this.isConfigured ? 'AI is analyzing your request...' : 'Searching endpoints...'}</div>
                 </div>
             `;
 
             try {
-                const result = await this.analyzeQuery(query);
+                const result = await this.performSearch(query);
                 this.displayResults(result);
                 this.saveToHistory(query, result);
             } catch (error) {
@@ -261,12 +643,17 @@
         },
 
         /**
-         * Analyze query using OpenAI
+         * Analyze query using the configured LLM provider. The model answers by calling the select_endpoint
+         * function, whose JSON schema only allows the spec's operations; an invalid answer is retried once
+         * with the validation error fed back.
+         * @param {string} query - Natural language query
+         * @param {Function} onProgress - Optional callback receiving { stage: 'estimate'|'calling'|'streaming'|'retrying', attempt, text, error, estimate }
+         * @param {Function} onConfirm - Optional async callback asked to confirm an expensive estimate (window.confirm otherwise)
          */
-        async analyzeQuery(query) {
+        async analyzeQuery(query, onProgress = null, onConfirm = null) {
             console.log('🤖 Starting AI analysis for query:', query);
-            console.log('🔑 API Key configured:', this.config?.apiKey ? 'Yes (hidden)' : 'No');
-            console.log('📦 Model:', this.config?.model || 'gpt-4o-mini');
+            console.log('🔌 Provider:', this.getProvider().label);
+            console.log('📦 Model:', this.config?.deployment || this.config?.model || this.getProvider().defaultModel || 'server default');
 
             const spec = await getSwaggerSpec();
             
@@ -281,7 +668,8 @@
                             summary: operation.summary || '',
                             description: operation.description || '',
                             operationId: operation.operationId || '',
-                            parameters: operation.parameters || []
+                            tags: operation.tags || [],
+                            parameters: (methods.parameters || []).concat(operation.parameters || [])
                         });
                     }
                 }
@@ -289,97 +677,82 @@
 
             console.log('📍 Found', endpoints.length, 'endpoints in API spec');
 
-            // Create prompt for OpenAI
-            const prompt = this.buildPrompt(query, endpoints);
+            // Only a shortlist that fits the token budget goes to the model
+            const context = this.shortlistEndpoints(query, endpoints, spec);
+            console.log(`✂️ Sending ${context.endpoints.length} of ${context.total} operations to the model`);
 
-            console.log('🚀 Calling OpenAI API...');
-
-            // Call OpenAI API
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.config.apiKey}`
+            // Create prompt for the model
+            const prompt = this.buildPrompt(query, context.endpoints);
+            const messages = [
+                {
+                    role: 'system',
+                    content: PROMPT_SYSTEM_MESSAGE
                 },
-                body: JSON.stringify({
-                    model: this.config.model || 'gpt-4o-mini',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an API assistant that maps natural language queries to API endpoints. You must respond ONLY with valid JSON in the exact format specified, no additional text.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 500
-                })
-            });
-
-            console.log('📡 OpenAI response status:', response.status, response.statusText);
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ];
+            const endpointTool = buildEndpointTool(context.endpoints);
+            const progress = event => {
+                if (onProgress) onProgress(event);
+            };
 
-            if (!response.ok) {
-                let errorMessage = 'Failed to analyze query';
-                try {
-                    const error = await response.json();
-                    errorMessage = error.error?.message || errorMessage;
-                    console.error('❌ OpenAI API Error:', error);
-                } catch (e) {
-                    console.error('❌ Failed to parse error response');
+            const estimate = this.estimateCost(messages, endpointTool, context);
+            console.log('💰 Estimate:', estimate);
+            progress({ stage: 'estimate', attempt: 1, estimate: estimate, text: '' });
+
+            // Nothing is sent until the user accepts a larger estimate
+            if (needsConfirmation(estimate)) {
+                const confirmed = onConfirm
+                    ? await onConfirm(estimate)
+                    : window.confirm(`Send this query to the AI?\n\n${formatEstimate(estimate)}`);
+                if (!confirmed) {
+                    const error = new Error('Cancelled - nothing was sent to the AI');
+                    error.cancelled = true;
+                    throw error;
                 }
-                throw new Error(errorMessage);
             }
 
-            const data = await response.json();
-            console.log('✅ OpenAI response received:', data);
-            console.log('📊 Response has choices:', !!data.choices);
-            console.log('📊 Choices length:', data.choices?.length);
-            
-            if (!data.choices || data.choices.length === 0) {
-                console.error('❌ No choices in OpenAI response');
-                throw new Error('Invalid OpenAI response: no choices');
-            }
-            
-            const content = data.choices[0].message.content.trim();
-            console.log('📝 AI response content:', content);
-            console.log('📝 Content length:', content.length);
-            
-            // Parse the JSON response
             let result;
-            try {
-                result = JSON.parse(content);
-                console.log('✅ Parsed result:', result);
-            } catch (e) {
-                console.error('❌ Failed to parse AI response:', content);
-                throw new Error('AI returned invalid response format');
-            }
+            for (let attempt = 1; attempt <= MAX_ANALYZE_ATTEMPTS; attempt++) {
+                console.log('🚀 Calling', this.getProvider().label, `(attempt ${attempt})...`);
+                if (attempt === 1) progress({ stage: 'calling', attempt: attempt, text: '' });
 
-            console.log('🔎 Checking result structure...', { 
-                hasEndpoint: !!result.endpoint, 
-                hasMethod: !!result.method,
-                endpoint: result.endpoint,
-                method: result.method
-            });
-
-            if (!result.endpoint || !result.method) {
-                console.error('❌ Invalid result structure:', result);
-                throw new Error('AI could not map your query to an endpoint');
-            }
-
-            console.log('🔍 Validating endpoint exists in spec...');
+                const message = await this.chatCompletionMessage(messages, {
+                    temperature: 0.3,
+                    max_tokens: ANALYZE_MAX_TOKENS,
+                    tools: [endpointTool],
+                    tool_choice: { type: 'function', function: { name: ENDPOINT_TOOL_NAME } }
+                }, onProgress ? text => progress({ stage: 'streaming', attempt: attempt, text: text }) : null);
 
-            // Validate the endpoint exists
-            const endpointExists = endpoints.some(e => 
-                e.method === result.method && e.path === result.endpoint
-            );
+                // Servers without function calling answer in the content - accept JSON there too
+                const toolCall = (message.tool_calls || []).find(call => call.function?.name === ENDPOINT_TOOL_NAME);
+                const answer = toolCall ? toolCall.function.arguments : message.content;
+                console.log('📝 AI answer:', answer);
 
-            console.log('✅ Endpoint validation result:', endpointExists);
+                try {
+                    result = parseEndpointSelection(answer, context.endpoints);
+                    result.estimate = estimate;
+                    console.log('✅ Parsed result:', result);
+                    break;
+                } catch (error) {
+                    console.warn(`⚠️ Invalid endpoint selection (attempt ${attempt}):`, error.message);
+                    if (attempt === MAX_ANALYZE_ATTEMPTS) {
+                        throw new Error(`AI returned an invalid endpoint selection: ${error.message}`);
+                    }
 
-            if (!endpointExists) {
-                console.error('❌ Endpoint not found:', result.method, result.endpoint);
-                throw new Error(`Endpoint ${result.method} ${result.endpoint} not found in API`);
+                    // Feed the problem back so the model can correct itself
+                    const correction = `That answer was invalid: ${error.message}. Call ${ENDPOINT_TOOL_NAME} again with corrected arguments.`;
+                    if (toolCall) {
+                        messages.push({ role: 'assistant', content: message.content || null, tool_calls: [toolCall] });
+                        messages.push({ role: 'tool', tool_call_id: toolCall.id, content: correction });
+                    } else {
+                        messages.push({ role: 'assistant', content: message.content || '' });
+                        messages.push({ role: 'user', content: correction });
+                    }
+                    progress({ stage: 'retrying', attempt: attempt + 1, error: error.message, text: '' });
+                }
             }
 
             // Check if user is asking to generate test data
@@ -462,12 +835,50 @@
         },
 
         /**
-         * Perform search - Alias for analyzeQuery to support UI integration
+         * Perform search - Uses the AI when a provider is configured, the offline endpoint search otherwise
          * @param {string} query - Natural language query
+         * @param {Function} onProgress - Optional progress callback, see analyzeQuery
+         * @param {Function} onConfirm - Optional confirmation callback, see analyzeQuery
          * @returns {Promise<object>} - Parsed API request details
          */
-        async performSearch(query) {
-            return await this.analyzeQuery(query);
+        async performSearch(query, onProgress = null, onConfirm = null) {
+            if (!this.isConfigured) {
+                return await this.analyzeQueryOffline(query);
+            }
+            return await this.analyzeQuery(query, onProgress, onConfirm);
+        },
+
+        /**
+         * Match a query to an endpoint without an LLM (see endpoint-search.js).
+         * Field values in the query ("with email x@y.com") become a request body built from the schema defaults.
+         * @param {string} query - Natural language query
+         * @returns {Promise<object|null>} - Same shape as analyzeQuery, plus offline and alternatives
+         */
+        async analyzeQueryOffline(query) {
+            console.log('🔎 Offline endpoint search for query:', query);
+
+            const spec = await getSwaggerSpec();
+            const result = window.EndpointSearch ? window.EndpointSearch.analyze(query, spec) : null;
+            if (!result) return null;
+
+            const operation = spec.paths[result.endpoint][result.method.toLowerCase()];
+            let schema = operation.requestBody?.content?.['application/json']?.schema;
+            if (schema?.$ref) {
+                schema = this.resolveSchemaRef(schema.$ref, spec);
+            }
+
+            const userProvidedValues = schema ? this.extractUserProvidedValues(query, schema) : {};
+            if (Object.keys(userProvidedValues).length > 0) {
+                const generatedData = {};
+                Object.entries(schema.properties || {}).forEach(([name, fieldSchema]) => {
+                    generatedData[name] = this.getDefaultValue(fieldSchema);
+                });
+                result.generatedData = Object.assign(generatedData, userProvidedValues);
+                result.hasGeneratedData = true;
+            }
+
+            console.log('🎉 Offline match:', result.method, result.endpoint, `(${result.confidence}%)`);
+            return result;
         },
 
         /**
@@ -590,64 +1001,35 @@
             console.log('📝 Context:', context);
             console.log('👤 User-provided values:', userProvidedValues);
 
-            if (!this.config?.apiKey) {
-                const errorMsg = 'AI is not configured. Please configure your OpenAI API key first.';
+            if (!this.isConfigured) {
+                const errorMsg = 'AI is not configured. Please configure an AI provider in AI Setup first.';
                 console.error('❌', errorMsg);
                 console.log('Current config:', this.config);
                 throw new Error(errorMsg);
             }
 
-            console.log('✅ API key is configured');
+            console.log('✅ AI provider is configured');
 
             // Build prompt for test data generation
             const prompt = this.buildDataGenerationPrompt(schema, context, userProvidedValues);
             console.log('📝 Prompt built, length:', prompt.length);
 
-            console.log('🚀 Calling OpenAI API for data generation...');
+            console.log('🚀 Calling', this.getProvider().label, 'for data generation...');
 
-            // Call OpenAI API
             try {
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.config.apiKey}`
+                const content = (await this.chatCompletion([
+                    {
+                        role: 'system',
+                        content: 'You are a precise test data generator for OpenAPI schemas. Your job is to generate JSON that EXACTLY matches the provided schema structure. Follow all constraints (required fields, data types, enums, formats, min/max values). Respond ONLY with raw JSON - no markdown, no explanations, no code blocks.'
                     },
-                    body: JSON.stringify({
-                        model: this.config.model || 'gpt-4o-mini',
-                        messages: [
-                            {
-                                role: 'system',
-                                content: 'You are a precise test data generator for OpenAPI schemas. Your job is to generate JSON that EXACTLY matches the provided schema structure. Follow all constraints (required fields, data types, enums, formats, min/max values). Respond ONLY with raw JSON - no markdown, no explanations, no code blocks.'
-                            },
-                            {
-                                role: 'user',
-                                content: prompt
-                            }
-                        ],
-                        temperature: 0.5, // Lower temperature for more consistent, schema-compliant output
-                        max_tokens: 1000
-                    })
-                });
-
-                console.log('📡 OpenAI response status:', response.status);
-
-                if (!response.ok) {
-                    let errorMessage = 'Failed to generate test data';
-                    try {
-                        const error = await response.json();
-                        errorMessage = error.error?.message || errorMessage;
-                        console.error('❌ OpenAI API Error:', error);
-                    } catch (e) {
-                        console.error('❌ Failed to parse error response');
+                    {
+                        role: 'user',
+                        content: prompt
                     }
-                    throw new Error(errorMessage);
-                }
-
-                const data = await response.json();
-                console.log('✅ OpenAI response received:', data);
-                
-                const content = data.choices[0].message.content.trim();
+                ], {
+                    temperature: 0.5, // Lower temperature for more consistent, schema-compliant output
+                    max_tokens: 1000
+                })).trim();
                 console.log('📝 Generated data:', content);
                 
                 // Parse the JSON response
@@ -917,44 +1299,109 @@ DO generate: {"username":"oscar123","age":25} ✅`;
         },
 
         /**
-         * Build prompt for OpenAI
+         * Prompt token budget for endpoint matching (AI Setup, default 4000)
+         */
+        getTokenBudget() {
+            const budget = parseInt(this.config?.tokenBudget, 10);
+            return isNaN(budget) ? DEFAULT_TOKEN_BUDGET : Math.max(MIN_TOKEN_BUDGET, budget);
+        },
+
+        /**
+         * Pick the operations the model gets to see. Large APIs are pre-filtered locally (offline endpoint
+         * ranking plus every operation of a tag named in the query); then operations are added best first
+         * until the token budget is used up.
+         * @returns {object} - { endpoints, total, shortlisted, budget }
+         */
+        shortlistEndpoints(query, endpoints, spec) {
+            const budget = this.getTokenBudget();
+            let candidates = endpoints;
+
+            if (endpoints.length > MAX_SHORTLIST && window.EndpointSearch) {
+                const keyOf = endpoint => `${endpoint.method} ${endpoint.path}`;
+                const keys = window.EndpointSearch.search(query, spec, MAX_SHORTLIST).map(match => `${match.method} ${match.path}`);
+
+                const lowerQuery = query.toLowerCase();
+                endpoints
+                    .filter(endpoint => endpoint.tags.some(tag => {
+                        const name = String(tag).toLowerCase();
+                        return name.length >= 3 && lowerQuery.includes(name.replace(/s$/, ''));
+                    }))
+                    .forEach(endpoint => keys.push(keyOf(endpoint)));
+
+                const shortlist = [...new Set(keys)].slice(0, MAX_SHORTLIST)
+                    .map(key => endpoints.find(endpoint => keyOf(endpoint) === key))
+                    .filter(Boolean);
+
+                // Nothing matched locally - let the model look at as much of the spec as the budget allows
+                if (shortlist.length > 0) {
+                    candidates = shortlist;
+                }
+            }
+
+            // Each operation costs its prompt line plus its entry in the function's operation enum
+            let used = estimateTokens(PROMPT_SYSTEM_MESSAGE + this.buildPrompt(query, []) + JSON.stringify(buildEndpointTool([])));
+            const selected = [];
+            for (const endpoint of candidates) {
+                const cost = estimateTokens(formatEndpointLine(endpoint) + `"${endpoint.method} ${endpoint.path}",`);
+                if (selected.length > 0 && used + cost > budget) break;
+                selected.push(endpoint);
+                used += cost;
+            }
+
+            return { endpoints: selected, total: endpoints.length, shortlisted: candidates.length, budget: budget };
+        },
+
+        /**
+         * Rough token count and price of an endpoint matching call (prompt + the most the answer may use)
+         * @returns {object} - { promptTokens, maxCompletionTokens, cost, model, sent, total, budget }; cost is null when the price is unknown
+         */
+        estimateCost(messages, tool, context) {
+            const provider = this.getProvider();
+            // Azure deployments are priced by the model they run (AI Setup), falling back to the deployment name
+            const model = this.config?.provider === 'azure'
+                ? (this.config?.model || this.config?.deployment || '')
+                : (this.config?.model || provider.defaultModel || '');
+            const promptTokens = estimateTokens(JSON.stringify(messages) + JSON.stringify(tool));
+            const price = this.config?.provider === 'ollama' ? [0, 0] : getModelPrice(model);
+
+            return {
+                promptTokens: promptTokens,
+                maxCompletionTokens: ANALYZE_MAX_TOKENS,
+                cost: price ? (promptTokens * price[0] + ANALYZE_MAX_TOKENS * price[1]) / 1000000 : null,
+                model: model,
+                sent: context.endpoints.length,
+                total: context.total,
+                budget: context.budget
+            };
+        },
+
+        /**
+         * Build prompt for endpoint matching
          */
         buildPrompt(query, endpoints) {
-            const endpointsJson = JSON.stringify(endpoints, null, 2);
+            const operations = endpoints.map(formatEndpointLine).join('\n');
             
-            return `Given this API specification:
+            return `Given these API operations (method, path, summary and parameters):
 
-${endpointsJson}
+${operations}
 
 User Query: "${query}"
 
 Analyze the user's query and map it to the most appropriate API endpoint. Extract any parameter values mentioned in the query.
 
-Respond with ONLY a JSON object in this exact format (no other text):
-{
-    "endpoint": "/api/path",
-    "method": "GET|POST|PUT|DELETE|PATCH",
-    "parameters": {
-        "paramName": "value"
-    },
-    "confidence": 0-100,
-    "reasoning": "brief explanation"
-}
+Answer by calling ${ENDPOINT_TOOL_NAME}. If function calling is unavailable, respond with ONLY the same arguments as a JSON object.
 
 Example:
 User Query: "Get user with ID 123"
-Response:
+Arguments:
 {
-    "endpoint": "/api/users/{id}",
-    "method": "GET",
+    "operation": "GET /api/users/{id}",
     "parameters": {
         "id": "123"
     },
     "confidence": 95,
     "reasoning": "Query explicitly requests retrieving a user by ID"
-}
-
-Now analyze the user's query and respond with JSON only.`;
+}`;
         },
 
         /**
@@ -971,8 +1418,8 @@ Now analyze the user's query and respond with JSON only.`;
                     <div style="color: var(--text-secondary); font-size: 11px; margin-bottom: 8px; text-transform: uppercase; letter-spacing: 0.5px;">Detected Parameters</div>
                     ${Object.entries(result.parameters).map(([key, value]) => `
                         <div style="display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid var(--border-color);">
-                            <span style="color: var(--text-secondary); font-size: 12px;">${key}:</span>
-                            <span style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px;">${value}</span>
+                            <span style="color: var(--text-secondary); font-size: 12px;">${escapeHtml(key)}:</span>
+                            <span style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px;">${escapeHtml(String(value))}</span>
                         </div>
                     `).join('')}
                 </div>
@@ -985,7 +1432,7 @@ Now analyze the user's query and respond with JSON only.`;
                             <div style="color: var(--text-secondary); font-size: 11px; margin-bottom: 6px; text-transform: uppercase; letter-spacing: 0.5px;">AI Suggestion</div>
                             <div style="display: flex; align-items: center; gap: 12px;">
                                 <span class="detail-method method-${result.method.toLowerCase()}">${result.method}</span>
-                                <span style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 14px;">${result.endpoint}</span>
+                                <span style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 14px;">${escapeHtml(result.endpoint)}</span>
                             </div>
                         </div>
                         <div style="text-align: right;">
@@ -996,7 +1443,7 @@ Now analyze the user's query and respond with JSON only.`;
 
                     ${result.reasoning ? `
                         <div style="color: var(--text-secondary); font-size: 12px; margin-bottom: 12px; font-style: italic;">
-                            💡 ${result.reasoning}
+                            💡 ${escapeHtml(result.reasoning)}
                         </div>
                     ` : ''}
 
@@ -1246,20 +1693,17 @@ Now analyze the user's query and respond with JSON only.`;
         const askAIButton = document.getElementById('askAIButton');
         const aiSetupButton = document.getElementById('aiSetupButton');
         
+        // Ask AI is always available - without a provider it falls back to the offline endpoint search
+        if (askAIButton) {
+            askAIButton.style.display = 'flex';
+        }
+
         if (window.NLPManager && window.NLPManager.isConfigured) {
-            // Show Ask AI button when configured
-            if (askAIButton) {
-                askAIButton.style.display = 'flex';
-            }
             if (aiSetupButton) {
                 aiSetupButton.style.background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
                 aiSetupButton.title = 'AI Setup (Active)';
             }
         } else {
-            // Hide Ask AI button when not configured
-            if (askAIButton) {
-                askAIButton.style.display = 'none';
-            }
             if (aiSetupButton) {
                 aiSetupButton.style.background = '';
                 aiSetupButton.title = 'AI Setup (Configure)';
@@ -1288,7 +1732,9 @@ Now analyze the user's query and respond with JSON only.`;
                         <path d="M2 12l10 5 10-5"></path>
                     </svg>
                     <p>Type your question above and press Enter or click the search button</p>
-                    <p style="font-size: 12px; margin-top: 8px; opacity: 0.7;">AI will find the best matching endpoint for your query</p>
+                    <p style="font-size: 12px; margin-top: 8px; opacity: 0.7;">${window.NLPManager?.isConfigured
+                        ? 'AI will find the best matching endpoint for your query'
+                        : 'Endpoints are matched offline from the API description. Configure AI Setup for smarter matching.'}</p>
                 </div>
             `;
         }
@@ -1307,6 +1753,9 @@ Now analyze the user's query and respond with JSON only.`;
     window.closeAskAIModal = function() {
         const modal = document.getElementById('askAIModal');
         if (modal) modal.style.display = 'none';
+
+        // Closing the dialog declines a pending confirmation
+        if (pendingAskAIConfirmation) window.resolveAskAIConfirmation(false);
     };
 
     /**
@@ -1314,8 +1763,6 @@ Now analyze the user's query and respond with JSON only.`;
      */
     window.openAISetupModal = function() {
         const modal = document.getElementById('aiSetupModal');
-        const apiKeyInput = document.getElementById('aiApiKey');
-        const modelSelect = document.getElementById('aiModel');
         const enabledCheckbox = document.getElementById('aiEnabled');
         const statusDiv = document.getElementById('aiStatus');
         
@@ -1323,16 +1770,87 @@ Now analyze the user's query and respond with JSON only.`;
 
         // Load current config
         const config = window.NLPManager?.config || {};
-        
+        const provider = config.provider || getDefaultProvider();
+
+        // The server proxy is only offered when the server has it enabled
+        const serverOption = document.querySelector('#aiProvider option[value="server"]');
+        if (serverOption && !isAiProxyEnabled()) serverOption.remove();
+
         // Populate values
-        if (apiKeyInput) apiKeyInput.value = config.apiKey || '';
-        if (modelSelect) modelSelect.value = config.model || 'gpt-4o-mini';
+        setFieldValue('aiProvider', provider);
+        setFieldValue('aiBaseUrl', config.baseUrl || '');
+        setFieldValue('aiDeployment', config.deployment || '');
+        setFieldValue('aiApiVersion', config.apiVersion || '');
+        setFieldValue('aiHeaderStyle', config.headerStyle || '');
+        setFieldValue('aiTokenBudget', config.tokenBudget || '');
+        setFieldValue('aiApiKey', config.apiKey || '');
+        setFieldValue('aiModel', config.model || '');
         if (enabledCheckbox) enabledCheckbox.checked = window.NLPManager?.isConfigured || false;
         if (statusDiv) statusDiv.style.display = 'none';
 
+        window.updateAIProviderFields();
         modal.style.display = 'flex';
     };
 
+    /**
+     * Show the AI Setup fields that apply to the selected provider
+     */
+    window.updateAIProviderFields = function() {
+        const provider = getFieldValue('aiProvider') || getDefaultProvider();
+
+        document.querySelectorAll('#aiSetupModal [data-ai-providers]').forEach(group => {
+            group.style.display = group.getAttribute('data-ai-providers').split(' ').includes(provider) ? '' : 'none';
+        });
+
+        const baseUrlInput = document.getElementById('aiBaseUrl');
+        const baseUrlHint = document.getElementById('aiBaseUrlHint');
+        const baseUrlHints = {
+            azure: ['https://my-resource.openai.azure.com', 'Your Azure OpenAI resource endpoint'],
+            ollama: [DEFAULT_OLLAMA_URL, `Leave empty for ${DEFAULT_OLLAMA_URL}`],
+            compatible: ['http://localhost:8000/v1', 'Requests go to <base URL>/chat/completions']
+        };
+        if (baseUrlInput && baseUrlHints[provider]) baseUrlInput.placeholder = baseUrlHints[provider][0];
+        if (baseUrlHint && baseUrlHints[provider]) baseUrlHint.textContent = baseUrlHints[provider][1];
+
+        // Only OpenAI and Azure need a key; self-hosted servers usually don't
+        const keyRequired = document.getElementById('aiApiKeyRequired');
+        const keyHint = document.getElementById('aiApiKeyHint');
+        const apiKeyInput = document.getElementById('aiApiKey');
+        if (keyRequired) keyRequired.style.display = provider === 'openai' || provider === 'azure' ? '' : 'none';
+        if (keyHint) keyHint.style.display = provider === 'openai' ? 'block' : 'none';
+        if (apiKeyInput) apiKeyInput.placeholder = provider === 'openai' ? 'sk-...' : (provider === 'azure' ? 'Azure OpenAI key' : 'Optional');
+
+        // Ollama and OpenAI-compatible servers have no default model, so one must be entered
+        const modelRequired = provider === 'ollama' || provider === 'compatible';
+        const modelRequiredMarker = document.getElementById('aiModelRequired');
+        const modelInput = document.getElementById('aiModel');
+        if (modelRequiredMarker) modelRequiredMarker.style.display = modelRequired ? '' : 'none';
+        if (modelInput) {
+            modelInput.placeholder = LLM_PROVIDERS[provider]?.defaultModel || (modelRequired ? (provider === 'ollama' ? 'e.g. llama3.1' : 'Model name') : (provider === 'azure' ? 'e.g. gpt-4o-mini' : 'Server default'));
+        }
+
+        // Azure takes the model from the deployment; the field only prices the cost estimate
+        const modelHint = document.getElementById('aiModelHint');
+        const modelHints = {
+            openai: 'GPT-4O Mini is recommended for best price/performance ratio on OpenAI',
+            azure: 'Optional: the model your deployment runs, used for the cost estimate. Defaults to the deployment name'
+        };
+        if (modelHint) {
+            modelHint.textContent = modelHints[provider] || '';
+            modelHint.style.display = modelHints[provider] ? 'block' : 'none';
+        }
+    };
+
+    function getFieldValue(id) {
+        const field = document.getElementById(id);
+        return field ? field.value.trim() : '';
+    }
+
+    function setFieldValue(id, value) {
+        const field = document.getElementById(id);
+        if (field) field.value = value;
+    }
+
     /**
      * Close AI Setup Modal
      */
@@ -1345,32 +1863,42 @@ Now analyze the user's query and respond with JSON only.`;
      * Save AI Configuration from modal
      */
     window.saveAIConfig = function() {
-        const apiKeyInput = document.getElementById('aiApiKey');
-        const modelSelect = document.getElementById('aiModel');
         const enabledCheckbox = document.getElementById('aiEnabled');
-        const statusDiv = document.getElementById('aiStatus');
 
-        const apiKey = apiKeyInput?.value?.trim() || '';
-        const model = modelSelect?.value || 'gpt-4o-mini';
+        const provider = getFieldValue('aiProvider') || getDefaultProvider();
+        const config = {
+            provider: provider,
+            apiKey: provider === 'server' ? '' : getFieldValue('aiApiKey'),
+            model: getFieldValue('aiModel'),
+            baseUrl: getFieldValue('aiBaseUrl'),
+            deployment: getFieldValue('aiDeployment'),
+            apiVersion: getFieldValue('aiApiVersion'),
+            headerStyle: getFieldValue('aiHeaderStyle'),
+            tokenBudget: parseInt(getFieldValue('aiTokenBudget'), 10) || null
+        };
         const enabled = enabledCheckbox?.checked || false;
 
         // Validate - if enabled OR if API key is provided, validate the key
-        if (apiKey && !apiKey.startsWith('sk-')) {
+        if (config.provider === 'openai' && config.apiKey && !config.apiKey.startsWith('sk-')) {
             showModalStatus('Invalid API key format. OpenAI keys start with "sk-"', 'error');
             return;
         }
 
-        // If checkbox is enabled but no API key provided
-        if (enabled && !apiKey) {
-            showModalStatus('Please enter your OpenAI API key', 'error');
+        // If checkbox is enabled but the provider is missing required settings
+        if (enabled && !window.NLPManager.isProviderConfigured(config)) {
+            const missing = {
+                server: 'The AI proxy is not enabled on this server',
+                openai: 'Please enter your OpenAI API key',
+                azure: 'Please enter the base URL, deployment name and API key of your Azure OpenAI resource',
+                ollama: 'Please enter the Ollama model to use',
+                compatible: 'Please enter the base URL and model of your endpoint'
+            };
+            showModalStatus(missing[config.provider], 'error');
             return;
         }
 
-        // Save the configuration - save whatever is in the input field
-        window.NLPManager.saveConfig({
-            apiKey: apiKey,
-            model: model
-        });
+        // Save the configuration - save whatever is in the input fields
+        window.NLPManager.saveConfig(config);
 
         updateAISearchVisibility();
         showModalStatus('✅ AI configuration saved successfully!', 'success');
@@ -1386,16 +1914,19 @@ Now analyze the user's query and respond with JSON only.`;
     window.clearAIConfig = function() {
         if (confirm('Are you sure you want to clear the AI configuration?')) {
             // Clear the input fields first
-            const apiKeyInput = document.getElementById('aiApiKey');
             const enabledCheckbox = document.getElementById('aiEnabled');
             
-            if (apiKeyInput) apiKeyInput.value = '';
+            ['aiApiKey', 'aiBaseUrl', 'aiDeployment', 'aiApiVersion', 'aiHeaderStyle', 'aiTokenBudget'].forEach(id => setFieldValue(id, ''));
+            setFieldValue('aiProvider', DEFAULT_PROVIDER);
+            setFieldValue('aiModel', '');
             if (enabledCheckbox) enabledCheckbox.checked = false;
+            window.updateAIProviderFields();
 
             // Then save empty config
             window.NLPManager.saveConfig({
+                provider: DEFAULT_PROVIDER,
                 apiKey: '',
-                model: 'gpt-4o-mini'
+                model: ''
             });
 
             updateAISearchVisibility();
@@ -1427,27 +1958,39 @@ Now analyze the user's query and respond with JSON only.`;
         const query = input.value.trim();
         if (!query) return;
 
-        if (!window.NLPManager || !window.NLPManager.isConfigured) {
-            resultsDiv.innerHTML = `
-                <div class="ai-error">
-                    ⚠️ AI is not configured. Please click the <strong>AI Setup</strong> button to configure your OpenAI API key first.
-                </div>
-            `;
-            return;
-        }
+        if (!window.NLPManager) return;
+
+        // A search still waiting for confirmation is abandoned
+        const searchId = ++askAISearchCount;
+        if (pendingAskAIConfirmation) window.resolveAskAIConfirmation(false);
 
         // Show loading
         resultsDiv.innerHTML = `
             <div class="ai-loading">
                 <div class="ai-loading-spinner"></div>
-                <span style="color: var(--text-primary); font-size: 13px;">AI is analyzing your query...</span>
+                <span id="askAIStatus" style="color: var(--text-primary); font-size: 13px;">${window.NLPManager.isConfigured ? 'AI is analyzing your query...' : 'Searching endpoints...'}</span>
             </div>
+            <div id="askAIEstimate" style="display: none; margin-top: 8px; color: var(--text-secondary); font-size: 12px;"></div>
+            <pre id="askAIStream" style="display: none; margin: 12px 0 0 0; padding: 12px; background: var(--bg-tertiary); border-radius: 6px; color: var(--text-secondary); font-size: 11px; white-space: pre-wrap; word-break: break-all; max-height: 160px; overflow-y: auto;"></pre>
         `;
 
         try {
             // Use NLPManager to handle the search
-            const result = await window.NLPManager.performSearch(query);
-            
+            let result;
+            try {
+                result = await window.NLPManager.performSearch(query, showAskAIProgress, confirmAskAIEstimate);
+            } catch (error) {
+                if (error.cancelled) throw error;
+
+                // AI unreachable or confused - the offline search still gives an answer
+                const offlineResult = await window.NLPManager.analyzeQueryOffline(query);
+                if (!offlineResult) throw error;
+                offlineResult.aiError = error.message;
+                result = offlineResult;
+            }
+
+            if (searchId !== askAISearchCount) return;
+
             if (result && result.endpoint) {
                 displayAskAIResult(result, resultsDiv, query);
             } else {
@@ -1458,15 +2001,85 @@ Now analyze the user's query and respond with JSON only.`;
                 `;
             }
         } catch (error) {
+            if (searchId !== askAISearchCount) return;
+
+            if (error.cancelled) {
+                resultsDiv.innerHTML = `<div style="color: var(--text-secondary); font-size: 13px;">${escapeHtml(error.message)}</div>`;
+                return;
+            }
+
             console.error('AI Search Error:', error);
             resultsDiv.innerHTML = `
                 <div class="ai-error">
-                    ❌ Error: ${error.message || 'Failed to process AI query. Please check your API key and try again.'}
+                    ❌ Error: ${escapeHtml(error.message || 'Failed to process AI query. Please check your API key and try again.')}
                 </div>
             `;
         }
     };
 
+    let askAISearchCount = 0;
+    let pendingAskAIConfirmation = null;
+
+    /**
+     * Ask for confirmation in the Ask AI modal before an expensive call is sent
+     */
+    function confirmAskAIEstimate(estimate) {
+        const status = document.getElementById('askAIStatus');
+        const estimateLine = document.getElementById('askAIEstimate');
+        if (!estimateLine) {
+            return Promise.resolve(window.confirm(`Send this query to the AI?\n\n${formatEstimate(estimate)}`));
+        }
+
+        if (status) status.textContent = 'Send this query to the AI?';
+        estimateLine.innerHTML = `
+            📊 ${escapeHtml(formatEstimate(estimate))}
+            <div style="margin-top: 8px; display: flex; gap: 8px;">
+                <button onclick="resolveAskAIConfirmation(true)" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); border: none; color: white; padding: 6px 16px; border-radius: 6px; cursor: pointer; font-weight: 600; font-size: 12px;">Send</button>
+                <button onclick="resolveAskAIConfirmation(false)" style="background: var(--dark-bg); border: 1px solid var(--border-color); color: var(--text-primary); padding: 6px 16px; border-radius: 6px; cursor: pointer; font-weight: 600; font-size: 12px;">Cancel</button>
+            </div>
+        `;
+        estimateLine.style.display = 'block';
+
+        return new Promise(resolve => {
+            pendingAskAIConfirmation = confirmed => {
+                if (status) status.textContent = confirmed ? 'AI is analyzing your query...' : 'Cancelled';
+                estimateLine.textContent = `📊 ${formatEstimate(estimate)}`;
+                resolve(confirmed);
+            };
+        });
+    }
+
+    window.resolveAskAIConfirmation = function(confirmed) {
+        const resolve = pendingAskAIConfirmation;
+        pendingAskAIConfirmation = null;
+        if (resolve) resolve(confirmed);
+    };
+
+    /**
+     * Show the model's answer in the Ask AI modal while it streams in
+     */
+    function showAskAIProgress(event) {
+        const status = document.getElementById('askAIStatus');
+        const stream = document.getElementById('askAIStream');
+        if (!status || !stream) return;
+
+        if (event.stage === 'estimate') {
+            const estimateLine = document.getElementById('askAIEstimate');
+            if (estimateLine) {
+                estimateLine.textContent = `📊 ${formatEstimate(event.estimate)}`;
+                estimateLine.style.display = 'block';
+            }
+        } else if (event.stage === 'streaming') {
+            status.textContent = event.attempt > 1 ? 'AI is correcting its answer...' : 'AI is answering...';
+            stream.style.display = 'block';
+            stream.textContent = event.text;
+            stream.scrollTop = stream.scrollHeight;
+        } else if (event.stage === 'retrying') {
+            status.textContent = `The answer was invalid (${event.error}) - asking the AI again...`;
+            stream.textContent = '';
+        }
+    }
+
     /**
      * Handle AI Search from UI (deprecated - keeping for backward compatibility)
      */
@@ -1484,25 +2097,36 @@ Now analyze the user's query and respond with JSON only.`;
         const hasParams = result.parameters && Object.keys(result.parameters).length > 0;
         const hasGeneratedData = result.hasGeneratedData && result.generatedData;
         
+        const alternatives = result.alternatives || [];
+        
         // Store result globally so executeAskAIResult can access it
         window._currentAIResult = result;
+        window._currentAIQuery = query;
         
         container.innerHTML = `
+            ${result.aiError ? `
+                <div class="ai-error" style="margin-bottom: 12px;">
+                    ⚠️ AI request failed (${escapeHtml(result.aiError)}). Showing the best offline match instead.
+                </div>
+            ` : ''}
             <div class="ai-result-item" style="cursor: default; border: 2px solid #10b981; background: var(--dark-bg);">
                 <div class="ai-result-header">
                     <span class="method-badge method-${result.method.toLowerCase()}">${result.method}</span>
                     <span class="ai-result-confidence">${confidence}% match</span>
-                    ${hasGeneratedData ? '<span style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; font-size: 10px; font-weight: 700; padding: 3px 8px; border-radius: 12px; margin-left: 8px;">✨ Data Generated</span>' : ''}
+                    ${result.offline ? '<span title="Matched locally from the API description - no AI involved" style="background: var(--bg-tertiary); color: var(--text-secondary); font-size: 10px; font-weight: 700; padding: 3px 8px; border-radius: 12px; margin-left: 8px;">🔎 Offline match</span>' : ''}
+                    ${hasGeneratedData ? `<span style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; font-size: 10px; font-weight: 700; padding: 3px 8px; border-radius: 12px; margin-left: 8px;">✨ ${result.offline ? 'Body Prefilled' : 'Data Generated'}</span>` : ''}
                 </div>
-                <div class="ai-result-path" style="font-size: 14px; margin: 8px 0;">${result.endpoint}</div>
-                ${result.description ? `<div class="ai-result-description">${result.description}</div>` : ''}
+                <div class="ai-result-path" style="font-size: 14px; margin: 8px 0;">${escapeHtml(result.endpoint)}</div>
+                ${result.description ? `<div class="ai-result-description">${escapeHtml(result.description)}</div>` : ''}
+                ${result.offline && result.reasoning ? `<div style="color: var(--text-secondary); font-size: 12px; font-style: italic; margin-top: 4px;">💡 ${escapeHtml(result.reasoning)}</div>` : ''}
+                ${result.estimate ? `<div style="color: var(--text-secondary); font-size: 11px; margin-top: 4px;">📊 ${escapeHtml(formatEstimate(result.estimate))}</div>` : ''}
                 
                 ${hasParams ? `
                     <div style="margin-top: 12px; padding: 12px; background: var(--darker-bg); border-radius: 6px; border-left: 3px solid #10b981;">
                         <div style="color: #10b981; font-weight: 600; font-size: 12px; margin-bottom: 8px;">
                             ✓ Detected Parameters
                         </div>
-                        <pre style="margin: 0; color: var(--text-primary); font-size: 12px; overflow-x: auto;">${JSON.stringify(result.parameters, null, 2)}</pre>
+                        <pre style="margin: 0; color: var(--text-primary); font-size: 12px; overflow-x: auto;">${escapeHtml(JSON.stringify(result.parameters, null, 2))}</pre>
                     </div>
                 ` : ''}
                 
@@ -1510,9 +2134,9 @@ Now analyze the user's query and respond with JSON only.`;
                     <div style="margin-top: 12px; padding: 12px; background: var(--darker-bg); border-radius: 6px; border-left: 3px solid #f59e0b;">
                         <div style="color: #f59e0b; font-weight: 600; font-size: 12px; margin-bottom: 8px; display: flex; align-items: center; gap: 6px;">
                             <span>✨</span>
-                            <span>AI Generated Test Data</span>
+                            <span>${result.offline ? 'Request Body From Your Query' : 'AI Generated Test Data'}</span>
                         </div>
-                        <pre style="margin: 0; color: var(--text-primary); font-size: 12px; overflow-x: auto; max-height: 300px; overflow-y: auto;">${JSON.stringify(result.generatedData, null, 2)}</pre>
+                        <pre style="margin: 0; color: var(--text-primary); font-size: 12px; overflow-x: auto; max-height: 300px; overflow-y: auto;">${escapeHtml(JSON.stringify(result.generatedData, null, 2))}</pre>
                         <div style="margin-top: 8px; font-size: 11px; color: var(--text-secondary); font-style: italic;">
                             This data will be automatically filled in the request body
                         </div>
@@ -1538,6 +2162,21 @@ Now analyze the user's query and respond with JSON only.`;
                     </button>
                 </div>
             </div>
+            ${alternatives.length > 0 ? `
+                <div style="margin-top: 16px;">
+                    <div style="color: var(--text-secondary); font-size: 11px; margin-bottom: 8px; text-transform: uppercase; letter-spacing: 0.5px;">Other matches</div>
+                    ${alternatives.map((alternative, index) => `
+                        <div class="ai-result-item" onclick="selectAskAIAlternative(${index})" style="padding: 10px 12px;">
+                            <div class="ai-result-header">
+                                <span class="method-badge method-${alternative.method.toLowerCase()}">${alternative.method}</span>
+                                <span class="ai-result-path" style="margin: 0;">${escapeHtml(alternative.endpoint)}</span>
+                                <span class="ai-result-confidence">${Math.round(alternative.confidence)}% match</span>
+                            </div>
+                            ${alternative.description ? `<div class="ai-result-description">${escapeHtml(alternative.description)}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
         `;
 
         // Save to history
@@ -1546,6 +2185,30 @@ Now analyze the user's query and respond with JSON only.`;
         }
     }
 
+    /**
+     * Pick one of the other offline matches - it becomes the main result and the previous one an alternative
+     */
+    window.selectAskAIAlternative = function(index) {
+        const result = window._currentAIResult;
+        const resultsDiv = document.getElementById('askAIResults');
+        if (!result || !result.alternatives || !result.alternatives[index] || !resultsDiv) return;
+
+        const others = result.alternatives.filter((_, i) => i !== index);
+        const previous = {
+            endpoint: result.endpoint,
+            method: result.method,
+            parameters: result.parameters,
+            confidence: result.confidence,
+            description: result.description,
+            reasoning: result.reasoning
+        };
+        const selected = Object.assign({}, result.alternatives[index], {
+            offline: true,
+            alternatives: [previous].concat(others)
+        });
+        displayAskAIResult(selected, resultsDiv, window._currentAIQuery || '');
+    };
+
     /**
      * Execute Ask AI result - Opens Try It Out panel with parameters and generated data
      */
@@ -1776,4 +2439,11 @@ Now analyze the user's query and respond with JSON only.`;
         }
     }
 
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
 })();
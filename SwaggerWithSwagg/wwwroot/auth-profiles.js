@@ -0,0 +1,324 @@
+/**
+ * SwaggerWithSwagg - Credential Profiles
+ * Named sets of credentials (admin, regular user, expired token, ...) that can be switched from the header.
+ * The active profile's values live in swaggerWithSwagg_auth / swaggerWithSwagg_oauth2 as before,
+ * so requests, Postman export and token renewal don't need to know about profiles.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const PROFILES_KEY = 'swaggerWithSwagg_authProfiles';
+    const AUTH_KEY = 'swaggerWithSwagg_auth';
+    const DEFAULT_PROFILE_NAME = 'Default';
+
+    /**
+     * Auth Profile Manager - Stores credential profiles and swaps them in and out of the working credentials.
+     * Profiles: { id, name, auth: { scheme: value }, oauth2: { scheme: OAuth2 state }, environment }
+     */
+    window.AuthProfileManager = {
+        profiles: [],
+        activeProfileId: null,
+
+        /**
+         * Initialize profiles
+         */
+        init() {
+            this.load();
+            renderProfileSelector();
+        },
+
+        /**
+         * Load profiles from localStorage
+         */
+        load() {
+            try {
+                const saved = localStorage.getItem(PROFILES_KEY);
+                if (saved) {
+                    const data = JSON.parse(saved);
+                    this.profiles = data.profiles || [];
+                    this.activeProfileId = data.active || null;
+                }
+            } catch (e) {
+                console.error('Failed to load credential profiles:', e);
+            }
+        },
+
+        /**
+         * Save profiles to localStorage
+         */
+        save() {
+            try {
+                localStorage.setItem(PROFILES_KEY, JSON.stringify({
+                    active: this.activeProfileId,
+                    profiles: this.profiles
+                }));
+            } catch (e) {
+                console.error('Failed to save credential profiles:', e);
+            }
+        },
+
+        /**
+         * Get the active profile (or null when no profiles exist)
+         */
+        getActive() {
+            return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+        },
+
+        /**
+         * Name of the active profile, recorded with history entries and cached responses
+         */
+        getActiveName() {
+            const profile = this.getActive();
+            return profile ? profile.name : null;
+        },
+
+        /**
+         * Copy the working credentials into the active profile
+         */
+        capture() {
+            const profile = this.getActive();
+            if (!profile) return;
+
+            profile.auth = readWorkingAuth();
+            profile.oauth2 = window.OAuth2Manager ? JSON.parse(JSON.stringify(window.OAuth2Manager.state)) : {};
+            this.save();
+        },
+
+        /**
+         * Make a profile the working credentials
+         */
+        activate(id) {
+            const profile = this.profiles.find(p => p.id === id);
+            if (!profile || profile.id === this.activeProfileId) return;
+
+            this.capture();
+            this.activeProfileId = profile.id;
+            this.save();
+
+            localStorage.setItem(AUTH_KEY, JSON.stringify(profile.auth || {}));
+            if (window.OAuth2Manager) {
+                window.OAuth2Manager.state = JSON.parse(JSON.stringify(profile.oauth2 || {}));
+                window.OAuth2Manager.save();
+            }
+
+            renderProfileSelector();
+            if (typeof window.updateAuthButton === 'function') {
+                window.updateAuthButton(Object.keys(profile.auth || {}).length > 0);
+            }
+        },
+
+        /**
+         * Create an empty profile and activate it. The first profile keeps the current credentials as "Default".
+         */
+        create(name) {
+            if (this.profiles.length === 0) {
+                const defaultProfile = { id: this.createId(), name: DEFAULT_PROFILE_NAME, auth: {}, oauth2: {}, environment: null };
+                this.profiles.push(defaultProfile);
+                this.activeProfileId = defaultProfile.id;
+                this.capture();
+                if (name === DEFAULT_PROFILE_NAME) return defaultProfile;
+            }
+
+            const profile = { id: this.createId(), name: name, auth: {}, oauth2: {}, environment: null };
+            this.profiles.push(profile);
+            this.save();
+            this.activate(profile.id);
+            return profile;
+        },
+
+        rename(id, name) {
+            const profile = this.profiles.find(p => p.id === id);
+            if (!profile) return;
+
+            profile.name = name;
+            this.save();
+            renderProfileSelector();
+        },
+
+        /**
+         * Delete a profile. Deleting the active one switches to the first remaining profile,
+         * or keeps its credentials as the working set when it was the last one.
+         */
+        remove(id) {
+            const index = this.profiles.findIndex(p => p.id === id);
+            if (index === -1) return;
+
+            if (id === this.activeProfileId && this.profiles.length > 1) {
+                this.activate(this.profiles[index === 0 ? 1 : 0].id);
+            }
+            this.profiles.splice(index, 1);
+            if (this.profiles.length === 0) {
+                this.activeProfileId = null;
+            }
+            this.save();
+            renderProfileSelector();
+        },
+
+        /**
+         * Link a profile to an environment (null to unlink); selecting that environment activates the profile
+         */
+        linkEnvironment(id, environmentName) {
+            const profile = this.profiles.find(p => p.id === id);
+            if (!profile) return;
+
+            profile.environment = environmentName || null;
+            this.save();
+        },
+
+        /**
+         * Called by the environment switcher - activates the first profile linked to the environment
+         */
+        onEnvironmentChanged(environmentName) {
+            const linked = this.profiles.find(profile => profile.environment && profile.environment === environmentName);
+            if (linked && linked.id !== this.activeProfileId) {
+                this.activate(linked.id);
+                refreshAuthModal();
+            }
+        },
+
+        /**
+         * Profile bar shown at the top of the auth modal
+         */
+        renderModalBar() {
+            const environments = window.EnvironmentManager ? window.EnvironmentManager.environments : [];
+            const active = this.getActive();
+
+            if (!active) {
+                return `
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 16px;">
+                        <span class="auth-modal-description" style="margin: 0;">Switch between credential sets (admin, regular user, expired token) with profiles.</span>
+                        <button class="auth-modal-button auth-modal-button-secondary" onclick="addAuthProfile()">+ New Profile</button>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="auth-scheme" style="margin-bottom: 16px;">
+                    <div class="auth-scheme-header"><span class="auth-scheme-name">Profile</span></div>
+                    <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                        <select class="auth-input" onchange="switchAuthProfile(this.value)" style="flex: 1;">
+                            ${this.profiles.map(profile => `<option value="${escapeHtml(profile.id)}" ${profile.id === active.id ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`).join('')}
+                        </select>
+                        <button class="auth-modal-button auth-modal-button-secondary" onclick="addAuthProfile()">+ New</button>
+                        <button class="auth-modal-button auth-modal-button-secondary" onclick="renameAuthProfile()">Rename</button>
+                        <button class="auth-modal-button auth-modal-button-danger" onclick="deleteAuthProfile()">Delete</button>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: var(--text-secondary);">
+                        <span>Use automatically with environment</span>
+                        <select class="auth-input" onchange="linkAuthProfileEnvironment(this.value)" style="flex: 1;">
+                            <option value="">None</option>
+                            ${environments.map(env => `<option value="${escapeHtml(env.name)}" ${env.name === active.environment ? 'selected' : ''}>${escapeHtml(env.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Generate unique ID
+         */
+        createId() {
+            return 'profile_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        }
+    };
+
+    function readWorkingAuth() {
+        try {
+            return JSON.parse(localStorage.getItem(AUTH_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Render the profile dropdown in the header (hidden until a profile exists)
+    function renderProfileSelector() {
+        const selector = document.getElementById('authProfileSelector');
+        const container = document.getElementById('authProfileSelectorContainer');
+        if (!selector || !container) return;
+
+        const manager = window.AuthProfileManager;
+        container.style.display = manager.profiles.length > 0 ? 'flex' : 'none';
+        selector.innerHTML = manager.profiles
+            .map(profile => `<option value="${escapeHtml(profile.id)}" ${profile.id === manager.activeProfileId ? 'selected' : ''}>👤 ${escapeHtml(profile.name)}</option>`)
+            .join('');
+    }
+
+    // Re-render the auth modal when it's open, so it shows the newly active profile
+    function refreshAuthModal() {
+        const modal = document.getElementById('authModal');
+        if (modal && modal.classList.contains('active') && typeof window.loadAuthSchemes === 'function') {
+            window.loadAuthSchemes();
+        }
+    }
+
+    function promptProfileName(message, current) {
+        const name = (prompt(message, current || '') || '').trim();
+        if (!name) return null;
+
+        const manager = window.AuthProfileManager;
+        if (manager.profiles.some(profile => profile.name === name && profile.name !== current)) {
+            alert(`A profile named "${name}" already exists.`);
+            return null;
+        }
+        return name;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Switch active profile - Connected to the header dropdown and the auth modal
+     */
+    window.switchAuthProfile = function(id) {
+        window.AuthProfileManager.activate(id);
+        refreshAuthModal();
+    };
+
+    window.addAuthProfile = function() {
+        const name = promptProfileName('Profile name (e.g. Admin, Regular user, Expired token):');
+        if (!name) return;
+
+        window.AuthProfileManager.create(name);
+        refreshAuthModal();
+    };
+
+    window.renameAuthProfile = function() {
+        const manager = window.AuthProfileManager;
+        const profile = manager.getActive();
+        if (!profile) return;
+
+        const name = promptProfileName('Rename profile:', profile.name);
+        if (!name || name === profile.name) return;
+
+        manager.rename(profile.id, name);
+        refreshAuthModal();
+    };
+
+    window.deleteAuthProfile = function() {
+        const manager = window.AuthProfileManager;
+        const profile = manager.getActive();
+        if (!profile || !confirm(`Delete profile "${profile.name}"?`)) return;
+
+        manager.remove(profile.id);
+        refreshAuthModal();
+    };
+
+    window.linkAuthProfileEnvironment = function(environmentName) {
+        const manager = window.AuthProfileManager;
+        const profile = manager.getActive();
+        if (profile) manager.linkEnvironment(profile.id, environmentName);
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => window.AuthProfileManager.init());
+    } else {
+        window.AuthProfileManager.init();
+    }
+
+})();
@@ -0,0 +1,497 @@
+/**
+ * SwaggerWithSwagg - Saved Request Collections
+ * User-defined collections and folders of saved Try It Out requests (Postman-style)
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const COLLECTIONS_KEY = 'swaggerWithSwagg_collections';
+
+    // Id of the node being dragged in the sidebar
+    let draggedNodeId = null;
+
+    /**
+     * Collections Manager - Tree of folders and saved requests.
+     * Folders: { id, type: 'folder', name, expanded, items: [] }
+     * Requests: { id, type: 'request', name, method, path, parameters, customHeaders, requestBody, contentType, securityRequirement }
+     *   plus the collection runner's settings: extract [{ variable, path }] and skipInRun
+     * Top-level nodes are always folders (the collections).
+     */
+    window.CollectionsManager = {
+        collections: [],
+
+        /**
+         * Initialize collections
+         */
+        init() {
+            this.load();
+        },
+
+        /**
+         * Load collections from localStorage
+         */
+        load() {
+            try {
+                const saved = localStorage.getItem(COLLECTIONS_KEY);
+                this.collections = saved ? JSON.parse(saved) : [];
+            } catch (e) {
+                console.error('Failed to load collections:', e);
+                this.collections = [];
+            }
+        },
+
+        /**
+         * Save collections to localStorage
+         */
+        save() {
+            try {
+                localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(this.collections));
+            } catch (e) {
+                console.error('Failed to save collections:', e);
+            }
+        },
+
+        createId() {
+            return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+        },
+
+        /**
+         * Find a node by id: { node, list (the array containing it), parent (folder or null) }
+         */
+        find(id, items = this.collections, parent = null) {
+            for (const node of items) {
+                if (node.id === id) return { node, list: items, parent };
+                if (node.type === 'folder') {
+                    const found = this.find(id, node.items, node);
+                    if (found) return found;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * All folders, depth first, for pickers: [{ id, name, depth }]
+         */
+        getFolders(items = this.collections, depth = 0, result = []) {
+            items.forEach(node => {
+                if (node.type === 'folder') {
+                    result.push({ id: node.id, name: node.name, depth: depth });
+                    this.getFolders(node.items, depth + 1, result);
+                }
+            });
+            return result;
+        },
+
+        /**
+         * All saved requests under a node, in order
+         */
+        getRequests(node) {
+            if (!node) return [];
+            if (node.type === 'request') return [node];
+            return node.items.reduce((requests, child) => requests.concat(this.getRequests(child)), []);
+        },
+
+        /**
+         * Create a top-level collection
+         */
+        addCollection(name) {
+            const collection = { id: this.createId(), type: 'folder', name: name, expanded: true, items: [] };
+            this.collections.push(collection);
+            this.save();
+            return collection;
+        },
+
+        /**
+         * Create a folder inside another folder
+         */
+        addFolder(parentId, name) {
+            const found = this.find(parentId);
+            if (!found || found.node.type !== 'folder') return null;
+
+            const folder = { id: this.createId(), type: 'folder', name: name, expanded: true, items: [] };
+            found.node.items.push(folder);
+            found.node.expanded = true;
+            this.save();
+            return folder;
+        },
+
+        /**
+         * Save a request snapshot into a folder
+         */
+        addRequest(folderId, name, snapshot) {
+            const found = this.find(folderId);
+            if (!found || found.node.type !== 'folder') return null;
+
+            const request = {
+                id: this.createId(),
+                type: 'request',
+                name: name,
+                method: snapshot.method.toLowerCase(),
+                path: snapshot.path,
+                parameters: snapshot.parameters || {},
+                customHeaders: snapshot.customHeaders || [],
+                requestBody: snapshot.requestBody !== undefined ? snapshot.requestBody : null,
+                formFields: snapshot.formFields || null,
+                contentType: snapshot.contentType || null,
+                securityRequirement: snapshot.securityRequirement !== undefined ? snapshot.securityRequirement : null,
+                createdAt: Date.now()
+            };
+            found.node.items.push(request);
+            found.node.expanded = true;
+            this.save();
+            return request;
+        },
+
+        rename(id, name) {
+            const found = this.find(id);
+            if (!found) return;
+
+            found.node.name = name;
+            this.save();
+        },
+
+        /**
+         * Copy a node (and everything below it) right after the original
+         */
+        duplicate(id) {
+            const found = this.find(id);
+            if (!found) return null;
+
+            const copy = JSON.parse(JSON.stringify(found.node));
+            const assignIds = node => {
+                node.id = this.createId();
+                if (node.type === 'folder') node.items.forEach(assignIds);
+            };
+            assignIds(copy);
+            copy.name = `${copy.name} (copy)`;
+
+            found.list.splice(found.list.indexOf(found.node) + 1, 0, copy);
+            this.save();
+            return copy;
+        },
+
+        remove(id) {
+            const found = this.find(id);
+            if (!found) return;
+
+            found.list.splice(found.list.indexOf(found.node), 1);
+            this.save();
+        },
+
+        /**
+         * Move a node before/after another node, or inside a folder
+         */
+        move(id, targetId, position) {
+            if (id === targetId) return false;
+
+            const source = this.find(id);
+            const target = this.find(targetId);
+            if (!source || !target) return false;
+
+            // A folder can't be moved into itself or one of its descendants
+            if (source.node.type === 'folder' && this.find(targetId, source.node.items)) return false;
+
+            const destination = position === 'inside' ? target.node.items : target.list;
+
+            // Requests always live inside a folder
+            if (source.node.type === 'request' && destination === this.collections) return false;
+            if (position === 'inside' && target.node.type !== 'folder') return false;
+
+            source.list.splice(source.list.indexOf(source.node), 1);
+
+            if (position === 'inside') {
+                destination.push(source.node);
+                target.node.expanded = true;
+            } else {
+                const index = destination.indexOf(target.node);
+                destination.splice(position === 'after' ? index + 1 : index, 0, source.node);
+            }
+
+            this.save();
+            return true;
+        },
+
+        /**
+         * Open a saved request in the Try It Out panel
+         */
+        open(id) {
+            const found = this.find(id);
+            if (!found || found.node.type !== 'request') return;
+
+            const request = found.node;
+            window.openTryItWithRequest(request.method, request.path, {
+                parameters: request.parameters,
+                requestBody: request.requestBody === null ? undefined : request.requestBody,
+                formFields: request.formFields || undefined,
+                contentType: request.contentType,
+                customHeaders: request.customHeaders,
+                securityRequirement: request.securityRequirement
+            });
+        },
+
+        /**
+         * Render the saved requests tree in the sidebar
+         */
+        renderSidebar() {
+            const list = document.getElementById('savedRequestsList');
+            if (!list) return;
+
+            if (this.collections.length === 0) {
+                list.innerHTML = `
+                    <li class="empty-state">
+                        <p>No saved requests yet</p>
+                        <small>Use 💾 Save in the Try It Out panel or create a collection</small>
+                    </li>
+                `;
+                return;
+            }
+
+            list.innerHTML = this.collections.map(node => renderNode(node, 0)).join('');
+        }
+    };
+
+    // Render a folder or request row (folders recurse into their items)
+    function renderNode(node, depth) {
+        const indent = 20 + depth * 16;
+        const dragAttributes = `draggable="true" ondragstart="onSavedDragStart(event, '${node.id}')" ondragover="onSavedDragOver(event, '${node.id}')" ondragleave="onSavedDragLeave(event)" ondrop="onSavedDrop(event, '${node.id}')" ondragend="onSavedDragEnd(event)"`;
+        const actions = `
+            <span class="saved-item-actions">
+                ${node.type === 'folder' ? `<button onclick="event.stopPropagation(); openCollectionRunner('${node.id}')" title="Run requests">▶</button>` : ''}
+                ${node.type === 'folder' ? `<button onclick="event.stopPropagation(); addSavedFolder('${node.id}')" title="New folder">📁+</button>` : ''}
+                <button onclick="event.stopPropagation(); renameSavedNode('${node.id}')" title="Rename">✏️</button>
+                <button onclick="event.stopPropagation(); duplicateSavedNode('${node.id}')" title="Duplicate">⧉</button>
+                <button onclick="event.stopPropagation(); deleteSavedNode('${node.id}')" title="Delete">✕</button>
+            </span>
+        `;
+
+        if (node.type === 'folder') {
+            const requestCount = window.CollectionsManager.getRequests(node).length;
+            return `
+                <li class="saved-node" data-node-id="${node.id}" data-node-type="folder">
+                    <div class="folder-header saved-item ${node.expanded ? 'expanded' : ''}" style="padding-left: ${indent}px;" onclick="toggleSavedFolder('${node.id}')" ${dragAttributes}>
+                        <span class="folder-icon">▶</span>
+                        <span class="folder-name">${node.expanded ? '📂' : '📁'} ${escapeHtml(node.name)}</span>
+                        ${actions}
+                        <span class="folder-count">${requestCount}</span>
+                    </div>
+                    ${node.expanded ? `<ul class="api-tree">${node.items.map(child => renderNode(child, depth + 1)).join('')}</ul>` : ''}
+                </li>
+            `;
+        }
+
+        return `
+            <li class="saved-node" data-node-id="${node.id}" data-node-type="request">
+                <div class="saved-item saved-request" style="padding-left: ${indent + 16}px;" onclick="openSavedRequest('${node.id}')" title="${node.method.toUpperCase()} ${escapeHtml(node.path)}" ${dragAttributes}>
+                    <span class="endpoint-method method-${node.method}">${node.method.toUpperCase()}</span>
+                    <span class="endpoint-path" style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(node.name)}</span>
+                    ${actions}
+                </div>
+            </li>
+        `;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Where a drop lands relative to the row under the cursor
+    function getDropPosition(event, nodeId) {
+        const found = window.CollectionsManager.find(nodeId);
+        const rect = event.currentTarget.getBoundingClientRect();
+        const offset = (event.clientY - rect.top) / rect.height;
+
+        if (found && found.node.type === 'folder') {
+            if (offset < 0.25) return 'before';
+            if (offset > 0.75) return 'after';
+            return 'inside';
+        }
+        return offset < 0.5 ? 'before' : 'after';
+    }
+
+    function clearDropIndicators() {
+        document.querySelectorAll('.saved-item.drop-before, .saved-item.drop-after, .saved-item.drop-inside').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after', 'drop-inside');
+        });
+    }
+
+    window.onSavedDragStart = function(event, nodeId) {
+        draggedNodeId = nodeId;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', nodeId);
+        event.stopPropagation();
+    };
+
+    window.onSavedDragOver = function(event, nodeId) {
+        if (!draggedNodeId || draggedNodeId === nodeId) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        clearDropIndicators();
+        event.currentTarget.classList.add(`drop-${getDropPosition(event, nodeId)}`);
+    };
+
+    window.onSavedDragLeave = function(event) {
+        event.currentTarget.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    };
+
+    window.onSavedDrop = function(event, nodeId) {
+        event.preventDefault();
+        event.stopPropagation();
+        clearDropIndicators();
+
+        if (!draggedNodeId) return;
+
+        const manager = window.CollectionsManager;
+        if (manager.move(draggedNodeId, nodeId, getDropPosition(event, nodeId))) {
+            manager.renderSidebar();
+        }
+        draggedNodeId = null;
+    };
+
+    window.onSavedDragEnd = function() {
+        draggedNodeId = null;
+        clearDropIndicators();
+    };
+
+    window.toggleSavedFolder = function(id) {
+        const manager = window.CollectionsManager;
+        const found = manager.find(id);
+        if (!found) return;
+
+        found.node.expanded = !found.node.expanded;
+        manager.save();
+        manager.renderSidebar();
+    };
+
+    window.openSavedRequest = function(id) {
+        window.CollectionsManager.open(id);
+    };
+
+    window.addSavedCollection = function() {
+        const name = (prompt('Collection name:') || '').trim();
+        if (!name) return;
+
+        window.CollectionsManager.addCollection(name);
+        window.CollectionsManager.renderSidebar();
+    };
+
+    window.addSavedFolder = function(parentId) {
+        const name = (prompt('Folder name:') || '').trim();
+        if (!name) return;
+
+        window.CollectionsManager.addFolder(parentId, name);
+        window.CollectionsManager.renderSidebar();
+    };
+
+    window.renameSavedNode = function(id) {
+        const manager = window.CollectionsManager;
+        const found = manager.find(id);
+        if (!found) return;
+
+        const name = (prompt('Rename:', found.node.name) || '').trim();
+        if (!name || name === found.node.name) return;
+
+        manager.rename(id, name);
+        manager.renderSidebar();
+    };
+
+    window.duplicateSavedNode = function(id) {
+        window.CollectionsManager.duplicate(id);
+        window.CollectionsManager.renderSidebar();
+    };
+
+    window.deleteSavedNode = function(id) {
+        const manager = window.CollectionsManager;
+        const found = manager.find(id);
+        if (!found) return;
+
+        const message = found.node.type === 'folder'
+            ? `Delete "${found.node.name}" and all requests in it?`
+            : `Delete saved request "${found.node.name}"?`;
+        if (!confirm(message)) return;
+
+        manager.remove(id);
+        manager.renderSidebar();
+    };
+
+    /**
+     * Open Save Request Modal - Connected to the Try It Out "Save" button
+     */
+    window.openSaveRequestModal = function() {
+        const modal = document.getElementById('saveRequestModal');
+        const body = document.getElementById('saveRequestModalBody');
+        if (!modal || !body) return;
+
+        const snapshot = window.captureTryItRequest();
+        if (!snapshot) return;
+
+        const folders = window.CollectionsManager.getFolders();
+        const defaultName = snapshot.summary || `${snapshot.method.toUpperCase()} ${snapshot.path}`;
+
+        body.innerHTML = `
+            <div class="auth-input-group">
+                <label class="auth-input-label">Request Name</label>
+                <input type="text" class="auth-input" id="saveRequestName" value="${escapeHtml(defaultName)}">
+            </div>
+            <div class="auth-input-group">
+                <label class="auth-input-label">Save To</label>
+                <select class="auth-input" id="saveRequestFolder" onchange="document.getElementById('saveRequestNewCollectionGroup').style.display = this.value ? 'none' : 'block'">
+                    ${folders.map(folder => `<option value="${folder.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(folder.depth)}${folder.depth > 0 ? '└ ' : ''}${escapeHtml(folder.name)}</option>`).join('')}
+                    <option value="">+ New collection...</option>
+                </select>
+            </div>
+            <div class="auth-input-group" id="saveRequestNewCollectionGroup" style="display: ${folders.length > 0 ? 'none' : 'block'};">
+                <label class="auth-input-label">New Collection Name</label>
+                <input type="text" class="auth-input" id="saveRequestNewCollection" placeholder="My Collection">
+            </div>
+            <p class="auth-modal-description" style="margin: 0;">
+                Saves <strong>${snapshot.method.toUpperCase()} ${escapeHtml(snapshot.path)}</strong> with its current parameters, headers and body.
+            </p>
+        `;
+
+        modal.style.display = 'flex';
+        setTimeout(() => document.getElementById('saveRequestName')?.select(), 50);
+    };
+
+    window.closeSaveRequestModal = function() {
+        const modal = document.getElementById('saveRequestModal');
+        if (modal) modal.style.display = 'none';
+    };
+
+    window.confirmSaveRequest = function() {
+        const manager = window.CollectionsManager;
+        const snapshot = window.captureTryItRequest();
+        if (!snapshot) return;
+
+        const name = (document.getElementById('saveRequestName')?.value || '').trim() || `${snapshot.method.toUpperCase()} ${snapshot.path}`;
+        let folderId = document.getElementById('saveRequestFolder')?.value;
+
+        if (!folderId) {
+            const collectionName = (document.getElementById('saveRequestNewCollection')?.value || '').trim();
+            if (!collectionName) {
+                alert('Please enter a name for the new collection.');
+                return;
+            }
+            folderId = manager.addCollection(collectionName).id;
+        }
+
+        manager.addRequest(folderId, name, snapshot);
+        manager.renderSidebar();
+        window.closeSaveRequestModal();
+    };
+
+    // Close modal when clicking outside
+    document.addEventListener('click', function(e) {
+        const modal = document.getElementById('saveRequestModal');
+        if (e.target === modal) {
+            window.closeSaveRequestModal();
+        }
+    });
+
+    window.CollectionsManager.init();
+
+})();
@@ -0,0 +1,394 @@
+/**
+ * SwaggerWithSwagg - cURL Import
+ * Parses a pasted cURL command, finds the matching operation and opens it pre-filled in Try It Out
+ */
+
+(function() {
+    'use strict';
+
+    // Options that take a value we don't use (the value must still be skipped)
+    const IGNORED_OPTIONS_WITH_VALUE = [
+        '-o', '--output', '-m', '--max-time', '--connect-timeout', '-x', '--proxy', '-U', '--proxy-user',
+        '--cacert', '--capath', '-E', '--cert', '--key', '-w', '--write-out', '--retry', '--limit-rate',
+        '-K', '--config', '--resolve', '-A', '--user-agent', '-e', '--referer', '-c', '--cookie-jar', '-T', '--upload-file'
+    ];
+    const DATA_OPTIONS = ['-d', '--data', '--data-raw', '--data-binary', '--data-ascii'];
+
+    // Headers the browser manages itself - dropped instead of becoming custom headers
+    const SKIPPED_HEADERS = ['content-length', 'host', 'connection', 'accept-encoding', 'user-agent', 'origin', 'referer', 'cookie'];
+
+    /**
+     * cURL Importer - Turns a cURL command into a Try It Out request
+     */
+    window.CurlImporter = {
+        /**
+         * Split a command line into arguments (POSIX shell quoting, \ and ^ line continuations)
+         */
+        tokenize(command) {
+            const tokens = [];
+            let current = '';
+            let inToken = false;
+            let i = 0;
+
+            const text = command.replace(/[\\^]\r?\n/g, ' ');
+
+            while (i < text.length) {
+                const char = text[i];
+
+                if (/\s/.test(char)) {
+                    if (inToken) {
+                        tokens.push(current);
+                        current = '';
+                        inToken = false;
+                    }
+                    i++;
+                } else if (char === "'") {
+                    const end = text.indexOf("'", i + 1);
+                    if (end === -1) throw new Error('Unterminated single quote');
+                    current += text.substring(i + 1, end);
+                    inToken = true;
+                    i = end + 1;
+                } else if (char === '$' && text[i + 1] === "'") {
+                    // ANSI-C quoting: $'...' with backslash escapes
+                    i += 2;
+                    while (i < text.length && text[i] !== "'") {
+                        if (text[i] === '\\' && i + 1 < text.length) {
+                            const next = text[i + 1];
+                            current += next === 'n' ? '\n' : next === 't' ? '\t' : next === 'r' ? '\r' : next;
+                            i += 2;
+                        } else {
+                            current += text[i++];
+                        }
+                    }
+                    if (i >= text.length) throw new Error('Unterminated $\'...\' quote');
+                    inToken = true;
+                    i++;
+                } else if (char === '"') {
+                    i++;
+                    while (i < text.length && text[i] !== '"') {
+                        if (text[i] === '\\' && '"\\$`'.includes(text[i + 1])) {
+                            current += text[i + 1];
+                            i += 2;
+                        } else {
+                            current += text[i++];
+                        }
+                    }
+                    if (i >= text.length) throw new Error('Unterminated double quote');
+                    inToken = true;
+                    i++;
+                } else if (char === '\\' && i + 1 < text.length) {
+                    current += text[i + 1];
+                    inToken = true;
+                    i += 2;
+                } else {
+                    current += char;
+                    inToken = true;
+                    i++;
+                }
+            }
+
+            if (inToken) tokens.push(current);
+            return tokens;
+        },
+
+        /**
+         * Parse a cURL command into { method, url, headers: [[name, value]], data, form: [{ name, value } | { name, fileName }], cookies }
+         */
+        parse(command) {
+            const tokens = this.tokenize(command.trim());
+            if (!/^curl(\.exe)?$/i.test(tokens[0] || '')) throw new Error('The command must start with "curl"');
+
+            const result = { method: null, url: null, headers: [], data: null, form: [], cookies: '' };
+            const dataParts = [];
+            let queryData = false;
+
+            for (let i = 1; i < tokens.length; i++) {
+                let token = tokens[i];
+                let value = null;
+
+                // --option=value
+                if (token.startsWith('--') && token.includes('=')) {
+                    value = token.substring(token.indexOf('=') + 1);
+                    token = token.substring(0, token.indexOf('='));
+                }
+                // -XPOST, -HAccept:x
+                else if (/^-[XHdFbu].+/.test(token)) {
+                    value = token.substring(2);
+                    token = token.substring(0, 2);
+                }
+
+                const nextValue = () => {
+                    if (value !== null) return value;
+                    if (i + 1 >= tokens.length) throw new Error(`Missing value for ${token}`);
+                    return tokens[++i];
+                };
+
+                if (token === '-X' || token === '--request') {
+                    result.method = nextValue().toUpperCase();
+                } else if (token === '-H' || token === '--header') {
+                    const header = nextValue();
+                    const separator = header.indexOf(':');
+                    if (separator > 0) {
+                        result.headers.push([header.substring(0, separator).trim(), header.substring(separator + 1).trim()]);
+                    }
+                } else if (token === '--data-urlencode') {
+                    dataParts.push(encodeDataUrlencode(nextValue()));
+                } else if (DATA_OPTIONS.includes(token)) {
+                    dataParts.push(checkInlineData(token, nextValue()));
+                } else if (token === '--json') {
+                    dataParts.push(checkInlineData(token, nextValue()));
+                    result.headers.push(['Content-Type', 'application/json']);
+                } else if (token === '-F' || token === '--form' || token === '--form-string') {
+                    const part = nextValue();
+                    const separator = part.indexOf('=');
+                    if (separator <= 0) continue;
+
+                    const name = part.substring(0, separator);
+                    const partValue = part.substring(separator + 1);
+                    if (token !== '--form-string' && (partValue.startsWith('@') || partValue.startsWith('<'))) {
+                        result.form.push({ name: name, fileName: partValue.substring(1).split(';')[0] });
+                    } else {
+                        result.form.push({ name: name, value: partValue });
+                    }
+                } else if (token === '-b' || token === '--cookie') {
+                    const cookie = nextValue();
+                    // Without "=" the value is a cookie file
+                    if (cookie.includes('=')) {
+                        result.cookies = result.cookies ? `${result.cookies}; ${cookie}` : cookie;
+                    }
+                } else if (token === '-u' || token === '--user') {
+                    result.headers.push(['Authorization', window.formatHttpAuthorization('basic', nextValue())]);
+                } else if (token === '--url') {
+                    result.url = nextValue();
+                } else if (token === '-G' || token === '--get') {
+                    queryData = true;
+                } else if (token === '-I' || token === '--head') {
+                    result.method = 'HEAD';
+                } else if (IGNORED_OPTIONS_WITH_VALUE.includes(token)) {
+                    nextValue();
+                } else if (token.startsWith('-')) {
+                    // Flags without a value (-s, -k, -L, --compressed, ...)
+                } else if (!result.url) {
+                    result.url = token;
+                }
+            }
+
+            if (!result.url) throw new Error('No URL found in the command');
+
+            if (dataParts.length > 0) {
+                const data = dataParts.join('&');
+                if (queryData) {
+                    result.url += (result.url.includes('?') ? '&' : '?') + data;
+                } else {
+                    result.data = data;
+                }
+            }
+
+            result.method = result.method || (result.data !== null || result.form.length > 0 ? 'POST' : 'GET');
+            return result;
+        },
+
+        /**
+         * Match a parsed command against the spec.
+         * Returns { method, path, snapshot, ignored: [descriptions of parts that have no field] }
+         */
+        toRequest(parsed, spec) {
+            const method = parsed.method.toLowerCase();
+            const address = /^[a-z][a-z0-9+.-]*:\/\//i.test(parsed.url) || parsed.url.startsWith('/')
+                ? parsed.url
+                : `http://${parsed.url}`;
+            const url = new URL(address, window.location.origin);
+            const match = window.matchSpecPath(spec, method, url.pathname);
+            if (!match) {
+                throw new Error(`No ${parsed.method} operation in this API matches ${url.pathname}`);
+            }
+
+            const operationParams = match.operation.parameters || [];
+            const findParam = (location, name) => operationParams.find(param => param.in === location &&
+                (location === 'header' ? param.name.toLowerCase() === name.toLowerCase() : param.name === name));
+
+            const parameters = Object.assign({}, match.pathParams);
+            const customHeaders = [];
+            const ignored = [];
+
+            // Query string (repeated keys are joined like the array inputs expect)
+            const query = {};
+            url.searchParams.forEach((value, key) => {
+                query[key] = query[key] !== undefined ? `${query[key]},${value}` : value;
+            });
+            Object.keys(query).forEach(key => {
+                const param = findParam('query', key);
+                if (param) {
+                    parameters[param.name] = query[key];
+                } else {
+                    ignored.push(`query parameter "${key}"`);
+                }
+            });
+
+            // Headers
+            let contentType = null;
+            let cookies = parsed.cookies;
+            parsed.headers.forEach(([name, value]) => {
+                const lower = name.toLowerCase();
+                const param = findParam('header', name);
+
+                if (lower === 'content-type') {
+                    contentType = value;
+                } else if (lower === 'cookie') {
+                    cookies = cookies ? `${cookies}; ${value}` : value;
+                } else if (param) {
+                    parameters[param.name] = value;
+                } else if (!SKIPPED_HEADERS.includes(lower) && !lower.startsWith('sec-')) {
+                    customHeaders.push({ key: name, value: value });
+                }
+            });
+
+            // Cookies
+            cookies.split(';').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+                const separator = pair.indexOf('=');
+                const name = separator > 0 ? pair.substring(0, separator) : pair;
+                const param = findParam('cookie', name);
+                if (param) {
+                    parameters[param.name] = separator > 0 ? pair.substring(separator + 1) : '';
+                } else {
+                    ignored.push(`cookie "${name}"`);
+                }
+            });
+
+            // Body
+            const snapshot = { parameters: parameters, customHeaders: customHeaders };
+            const bodyTypes = Object.keys(match.operation.requestBody?.content || {});
+
+            if (parsed.form.length > 0) {
+                snapshot.contentType = bodyTypes.find(type => type.includes('multipart/form-data')) || 'multipart/form-data';
+                snapshot.formFields = {};
+                parsed.form.forEach(part => {
+                    if (part.fileName !== undefined) {
+                        ignored.push(`file "${part.fileName}" for form field "${part.name}" (select it again)`);
+                    } else {
+                        snapshot.formFields[part.name] = part.value;
+                    }
+                });
+            } else if (parsed.data !== null) {
+                let json;
+                try {
+                    json = JSON.parse(parsed.data);
+                } catch (e) {
+                    json = undefined;
+                }
+
+                snapshot.requestBody = json !== undefined ? JSON.stringify(json, null, 2) : parsed.data;
+                snapshot.contentType = pickContentType(contentType, bodyTypes, json !== undefined);
+            } else if (contentType) {
+                snapshot.contentType = pickContentType(contentType, bodyTypes, false);
+            }
+
+            return { method: method, path: match.path, snapshot: snapshot, ignored: ignored };
+        }
+    };
+
+    // -d @file / --data-binary @file read the body from a file, which a pasted command can't give us
+    function checkInlineData(option, value) {
+        if (option !== '--data-raw' && value.startsWith('@')) {
+            throw new Error(`${option} ${value} reads the body from a file. Paste the body inline instead.`);
+        }
+        return value;
+    }
+
+    // --data-urlencode forms: "content", "=content", "name=content" (content is encoded), "name@file" / "@file"
+    function encodeDataUrlencode(value) {
+        const equals = value.indexOf('=');
+        const at = value.indexOf('@');
+
+        if (equals === -1 && at !== -1) {
+            throw new Error(`--data-urlencode ${value} reads the value from a file. Paste the value inline instead.`);
+        }
+        if (equals === -1) return encodeURIComponent(value);
+        if (equals === 0) return encodeURIComponent(value.substring(1));
+        return `${value.substring(0, equals)}=${encodeURIComponent(value.substring(equals + 1))}`;
+    }
+
+    // The operation's content type that matches the command (ignoring parameters like charset/boundary)
+    function pickContentType(contentType, bodyTypes, isJson) {
+        if (contentType) {
+            const mediaType = contentType.split(';')[0].trim().toLowerCase();
+            return bodyTypes.find(type => type.toLowerCase() === mediaType) || mediaType;
+        }
+        if (isJson && bodyTypes.includes('application/json')) return 'application/json';
+        return bodyTypes.find(type => type.includes('x-www-form-urlencoded')) || bodyTypes[0] || null;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function showImportError(message) {
+        const error = document.getElementById('curlImportError');
+        if (!error) return;
+
+        error.innerHTML = message ? `
+            <div style="padding: 10px 12px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px; color: #f93e3e; font-size: 13px;">
+                ❌ ${escapeHtml(message)}
+            </div>
+        ` : '';
+    }
+
+    /**
+     * Open Paste cURL Modal - Connected to the sidebar button
+     */
+    window.openCurlImportModal = function() {
+        const modal = document.getElementById('curlImportModal');
+        if (!modal) return;
+
+        const input = document.getElementById('curlImportInput');
+        if (input) input.value = '';
+        showImportError('');
+
+        modal.style.display = 'flex';
+        if (input) input.focus();
+    };
+
+    window.closeCurlImportModal = function() {
+        const modal = document.getElementById('curlImportModal');
+        if (modal) modal.style.display = 'none';
+    };
+
+    /**
+     * Parse the pasted command and open the matching operation
+     */
+    window.importCurlCommand = async function() {
+        const input = document.getElementById('curlImportInput');
+        const command = input ? input.value.trim() : '';
+        if (!command) {
+            showImportError('Paste a cURL command first.');
+            return;
+        }
+
+        let request;
+        try {
+            const spec = await window.getSwaggerSpec();
+            request = window.CurlImporter.toRequest(window.CurlImporter.parse(command), spec);
+        } catch (e) {
+            showImportError(e.message);
+            return;
+        }
+
+        window.closeCurlImportModal();
+        await window.openTryItWithRequest(request.method, request.path, request.snapshot);
+
+        if (request.ignored.length > 0) {
+            alert(`Opened ${request.method.toUpperCase()} ${request.path}.\n\nThese parts of the command have no matching field and were left out:\n- ${request.ignored.join('\n- ')}`);
+        }
+    };
+
+    // Close modal when clicking outside
+    document.addEventListener('click', function(e) {
+        const modal = document.getElementById('curlImportModal');
+        if (e.target === modal) {
+            window.closeCurlImportModal();
+        }
+    });
+
+})();
@@ -0,0 +1,457 @@
+/**
+ * SwaggerWithSwagg - Offline Endpoint Search
+ * Ranks the operations of the spec against a plain-language query without any LLM or network call:
+ * BM25 over summary, description, operationId, tags, path, parameter names and schema property names,
+ * fuzzy matching for typos and partial words, HTTP verb synonyms (create → POST, remove → DELETE)
+ * and rule-based parameter extraction ("order 42" → {id}).
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    const MAX_RESULTS = 5;
+    const MIN_RELATIVE_SCORE = 0.3;
+    const PREFIX_MATCH_WEIGHT = 0.8;
+    const FUZZY_MATCH_WEIGHT = 0.7;
+
+    // How much a term counts depending on where it appears in an operation
+    const FIELD_WEIGHTS = {
+        path: 3,
+        summary: 2,
+        operationId: 2,
+        tags: 1.5,
+        parameters: 1.5,
+        properties: 1,
+        description: 1
+    };
+
+    // Words that say which HTTP method the user wants
+    const VERB_SYNONYMS = {
+        get: ['GET'], fetch: ['GET'], show: ['GET'], list: ['GET'], find: ['GET'], retrieve: ['GET'], read: ['GET'],
+        view: ['GET'], search: ['GET'], lookup: ['GET'], load: ['GET'], all: ['GET'], download: ['GET'],
+        create: ['POST'], add: ['POST'], new: ['POST'], make: ['POST'], register: ['POST'], insert: ['POST'],
+        submit: ['POST'], post: ['POST'], send: ['POST'], upload: ['POST'],
+        update: ['PUT', 'PATCH'], edit: ['PUT', 'PATCH'], modify: ['PUT', 'PATCH'], change: ['PUT', 'PATCH'],
+        replace: ['PUT'], put: ['PUT'], set: ['PUT', 'PATCH'], rename: ['PUT', 'PATCH'], patch: ['PATCH'],
+        delete: ['DELETE'], remove: ['DELETE'], destroy: ['DELETE'], erase: ['DELETE'], drop: ['DELETE'], purge: ['DELETE']
+    };
+
+    const STOP_WORDS = new Set([
+        'a', 'an', 'the', 'of', 'for', 'to', 'in', 'on', 'by', 'with', 'and', 'or', 'from', 'at', 'as', 'is', 'are',
+        'be', 'me', 'my', 'i', 'we', 'our', 'it', 'its', 'this', 'that', 'please', 'can', 'you', 'want', 'need',
+        'would', 'like', 'give', 'some', 'api', 'endpoint', 'request', 'call'
+    ]);
+
+    // Values that look like identifiers: numbers, UUIDs, or anything containing a digit
+    const ID_LIKE_PATTERN = /^(?:#?\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[\w.-]*\d[\w.-]*)$/i;
+    const VALUE_PATTERN = `("[^"]+"|'[^']+'|#?[\\w.@:+-]+)`;
+
+    const indexCache = new WeakMap();
+
+    /**
+     * Endpoint Search - Offline ranking of operations and parameter extraction
+     */
+    window.EndpointSearch = {
+        /**
+         * Build (or reuse) the search index of a spec
+         */
+        getIndex(spec) {
+            if (!spec || typeof spec !== 'object') return null;
+            if (!indexCache.has(spec)) {
+                indexCache.set(spec, buildIndex(spec));
+            }
+            return indexCache.get(spec);
+        },
+
+        /**
+         * Rank operations for a query.
+         * @returns {Array} - [{ method, path, operation, score, matchedTerms, methodIntent }] best first
+         */
+        search(query, spec, limit = MAX_RESULTS) {
+            const index = this.getIndex(spec);
+            if (!index || index.documents.length === 0) return [];
+
+            // Verbs only steer the method, unless the API has a resource of that name (/posts, /uploads)
+            const words = splitWords(query);
+            const isResource = word => index.resourceWords.has(stem(word));
+            const intent = findMethodIntent(words.filter(word => !isResource(word))) || findMethodIntent(words);
+            const terms = [...new Set(words
+                .filter(word => !STOP_WORDS.has(word) && !/^\d+$/.test(word) && (!isVerb(word) || isResource(word)))
+                .map(stem))];
+            if (terms.length === 0) return [];
+
+            const wantsCollection = words.some(word => word === 'all' || word === 'list' || word === 'every');
+            const mentionsId = splitQueryValues(query).some(value => ID_LIKE_PATTERN.test(value));
+
+            const results = [];
+            index.documents.forEach(doc => {
+                let score = 0;
+                const matchedTerms = [];
+
+                terms.forEach(term => {
+                    expandTerm(term, index.vocabulary).forEach(({ token, weight }) => {
+                        const tf = doc.termFrequencies[token];
+                        if (!tf) return;
+
+                        const df = index.documentFrequencies[token];
+                        const idf = Math.log(1 + (index.documents.length - df + 0.5) / (df + 0.5));
+                        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.averageLength);
+                        score += weight * idf * (tf * (BM25_K1 + 1)) / norm;
+                        if (!matchedTerms.includes(term)) matchedTerms.push(term);
+                    });
+                });
+
+                if (score <= 0) return;
+
+                // Verb synonyms steer between operations on the same resource; without a verb, reading is the safe guess
+                if (intent) {
+                    score *= intent.methods.includes(doc.method) ? 1.5 : 0.6;
+                } else if (doc.method === 'GET') {
+                    score *= 1.2;
+                }
+                const endsWithParameter = /\}$/.test(doc.path);
+                if (wantsCollection && !endsWithParameter) score *= 1.2;
+                if (mentionsId && endsWithParameter) score *= 1.2;
+                if (doc.operation.deprecated) score *= 0.8;
+
+                results.push({
+                    method: doc.method,
+                    path: doc.path,
+                    operation: doc.operation,
+                    score: score,
+                    matchedTerms: matchedTerms,
+                    termCount: terms.length,
+                    methodIntent: intent
+                });
+            });
+
+            results.sort((a, b) => b.score - a.score);
+            const best = results.length > 0 ? results[0].score : 0;
+            return results.filter(result => result.score >= best * MIN_RELATIVE_SCORE).slice(0, limit);
+        },
+
+        /**
+         * Pull path and query parameter values out of a query, e.g. "order 42" → { id: 42 } for /orders/{id}
+         */
+        extractParameters(query, spec, path, method) {
+            const pathItem = spec?.paths?.[path];
+            const operation = pathItem?.[method.toLowerCase()];
+            if (!operation) return {};
+
+            const parameters = collectParameters(spec, pathItem, operation);
+            const values = {};
+            const usedValues = [];
+            const take = (param, raw) => {
+                const value = unquote(raw);
+                values[param.name] = coerceValue(value, param.schema || param);
+                usedValues.push(value);
+            };
+
+            // 1. Explicit names: "id 42", "orderId=42", "status: shipped", "page size is 20"
+            parameters.forEach(param => {
+                const raw = matchNamedValue(query, param);
+                if (raw !== null) take(param, raw);
+            });
+
+            // 2. Resource words in front of path parameters: "order 42" for /orders/{id}
+            parameters.filter(param => param.in === 'path' && values[param.name] === undefined).forEach(param => {
+                const resource = getResourceWords(path, param.name);
+                if (!resource) return;
+
+                const pattern = new RegExp(`\\b(?:${resource.map(escapeRegExp).join('|')})\\s+(?:no\\.?\\s*|number\\s+|id\\s+)?${VALUE_PATTERN}`, 'i');
+                const match = query.match(pattern);
+                if (match && isIdLike(unquote(match[1]))) take(param, match[1]);
+            });
+
+            // 3. Enum values mentioned anywhere: "list shipped orders" → status=shipped
+            parameters.filter(param => values[param.name] === undefined).forEach(param => {
+                const allowed = (param.schema || param).enum || [];
+                const word = allowed.find(option => typeof option === 'string' &&
+                    new RegExp(`\\b${escapeRegExp(option)}\\b`, 'i').test(query));
+                if (word !== undefined) values[param.name] = word;
+            });
+
+            // 4. Left-over identifiers fill the remaining path parameters in order
+            const freeValues = splitQueryValues(query).filter(value => isIdLike(value) && !usedValues.includes(value));
+            parameters.filter(param => param.in === 'path' && values[param.name] === undefined).forEach(param => {
+                if (freeValues.length > 0) take(param, freeValues.shift());
+            });
+
+            return values;
+        },
+
+        /**
+         * Best match for a query in the same shape as the AI result:
+         * { endpoint, method, parameters, confidence, reasoning, description, offline, alternatives }
+         */
+        analyze(query, spec) {
+            const matches = this.search(query, spec);
+            if (matches.length === 0) return null;
+
+            const toResult = (match, index) => ({
+                endpoint: match.path,
+                method: match.method,
+                parameters: this.extractParameters(query, spec, match.path, match.method),
+                confidence: getConfidence(matches, index),
+                description: match.operation.summary || match.operation.description || '',
+                reasoning: describeMatch(match)
+            });
+
+            const result = toResult(matches[0], 0);
+            result.offline = true;
+            result.alternatives = matches.slice(1).map((match, index) => toResult(match, index + 1));
+            return result;
+        }
+    };
+
+    // One document per operation, with weighted term frequencies
+    function buildIndex(spec) {
+        const documents = [];
+        const documentFrequencies = Object.create(null);
+        const resourceWords = new Set();
+
+        Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+            HTTP_METHODS.forEach(method => {
+                const operation = pathItem?.[method];
+                if (!operation) return;
+
+                const fields = {
+                    path: path.split('/').filter(segment => segment && !/^\{.*\}$/.test(segment)).join(' '),
+                    summary: operation.summary || '',
+                    operationId: operation.operationId || '',
+                    tags: (operation.tags || []).join(' '),
+                    parameters: collectParameters(spec, pathItem, operation).map(param => param.name).join(' '),
+                    properties: collectPropertyNames(spec, operation).join(' '),
+                    description: operation.description || ''
+                };
+
+                const termFrequencies = Object.create(null);
+                let length = 0;
+                Object.keys(fields).forEach(field => {
+                    splitWords(fields[field]).filter(word => !STOP_WORDS.has(word)).forEach(word => {
+                        const token = stem(word);
+                        if (field === 'path' || field === 'tags') resourceWords.add(token);
+                        termFrequencies[token] = (termFrequencies[token] || 0) + FIELD_WEIGHTS[field];
+                        length += FIELD_WEIGHTS[field];
+                    });
+                });
+
+                Object.keys(termFrequencies).forEach(token => {
+                    documentFrequencies[token] = (documentFrequencies[token] || 0) + 1;
+                });
+
+                documents.push({
+                    method: method.toUpperCase(),
+                    path: path,
+                    operation: operation,
+                    termFrequencies: termFrequencies,
+                    length: length
+                });
+            });
+        });
+
+        const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+        return {
+            documents: documents,
+            documentFrequencies: documentFrequencies,
+            vocabulary: Object.keys(documentFrequencies),
+            resourceWords: resourceWords,
+            averageLength: documents.length > 0 ? totalLength / documents.length : 1
+        };
+    }
+
+    // Path-level and operation-level parameters, operation-level ones winning
+    function collectParameters(spec, pathItem, operation) {
+        const byKey = {};
+        [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(param => {
+            const resolved = resolveRef(spec, param);
+            if (resolved && resolved.name) {
+                byKey[`${resolved.in}:${resolved.name}`] = resolved;
+            }
+        });
+        return Object.values(byKey);
+    }
+
+    // Property names of the request body and of the successful responses (two levels deep)
+    function collectPropertyNames(spec, operation) {
+        const names = new Set();
+        const schemas = [];
+
+        Object.values(operation.requestBody ? resolveRef(spec, operation.requestBody).content || {} : {})
+            .forEach(media => media.schema && schemas.push(media.schema));
+        Object.entries(operation.responses || {})
+            .filter(([status]) => /^2/.test(status))
+            .forEach(([, response]) => {
+                Object.values(resolveRef(spec, response).content || {}).forEach(media => media.schema && schemas.push(media.schema));
+            });
+
+        const visit = (schema, depth, seen) => {
+            schema = resolveRef(spec, schema);
+            if (!schema || typeof schema !== 'object' || depth > 2 || seen.has(schema)) return;
+            seen.add(schema);
+
+            Object.entries(schema.properties || {}).forEach(([name, property]) => {
+                names.add(name);
+                visit(property, depth + 1, seen);
+            });
+            if (schema.items) visit(schema.items, depth, seen);
+            (schema.allOf || []).concat(schema.oneOf || [], schema.anyOf || []).forEach(part => visit(part, depth, seen));
+        };
+        schemas.forEach(schema => visit(schema, 0, new Set()));
+
+        return [...names];
+    }
+
+    function resolveRef(spec, item) {
+        let resolved = item;
+        let hops = 0;
+        while (resolved && resolved.$ref && hops < 10) {
+            resolved = resolved.$ref.replace(/^#\//, '').split('/')
+                .reduce((node, key) => node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined, spec);
+            hops++;
+        }
+        return resolved;
+    }
+
+    // "getOrderById" / "order_items" / "Order Items" → ['get', 'order', 'by', 'id'] ...
+    function splitWords(text) {
+        return String(text || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 0);
+    }
+
+    // Light English stemming, enough to match "orders" with "order" and "categories" with "category"
+    function stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 4 && /(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+        return word;
+    }
+
+    // A query term matches itself, or else index terms it is a prefix of or a small typo away from
+    function expandTerm(term, vocabulary) {
+        if (vocabulary.includes(term)) {
+            return [{ token: term, weight: 1 }];
+        }
+
+        const maxDistance = term.length >= 7 ? 2 : 1;
+        const expansions = [];
+        vocabulary.forEach(token => {
+            if (term.length >= 3 && token.startsWith(term)) {
+                expansions.push({ token: token, weight: PREFIX_MATCH_WEIGHT });
+            } else if (term.length >= 4 && Math.abs(token.length - term.length) <= maxDistance &&
+                levenshtein(term, token) <= maxDistance) {
+                expansions.push({ token: token, weight: FUZZY_MATCH_WEIGHT });
+            }
+        });
+        return expansions;
+    }
+
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function isVerb(word) {
+        return Object.prototype.hasOwnProperty.call(VERB_SYNONYMS, word);
+    }
+
+    // First verb in the query decides: "remove the order" → DELETE
+    function findMethodIntent(words) {
+        const verb = words.find(isVerb);
+        return verb ? { verb: verb, methods: VERB_SYNONYMS[verb] } : null;
+    }
+
+    // Whitespace-separated values of a query, quotes kept together and trailing punctuation dropped
+    function splitQueryValues(query) {
+        return (String(query).match(/"[^"]+"|'[^']+'|\S+/g) || [])
+            .map(value => unquote(value.replace(/[,;!?)]+$/, '')))
+            .map(value => value.replace(/^#/, ''));
+    }
+
+    function isIdLike(value) {
+        return ID_LIKE_PATTERN.test(value);
+    }
+
+    // "id 42", "orderId=42", "order id: 42", "status is shipped". Bare "name value" only counts for identifier-like values.
+    function matchNamedValue(query, param) {
+        const spaced = splitWords(param.name).map(escapeRegExp).join('[\\s_-]*');
+        const separated = new RegExp(`\\b${spaced}\\s*(?:=|:|\\bis\\b|\\bof\\b)\\s*${VALUE_PATTERN}`, 'i').exec(query);
+        if (separated) return separated[1];
+
+        const bare = new RegExp(`\\b${spaced}\\s+${VALUE_PATTERN}`, 'i').exec(query);
+        if (bare && (isIdLike(unquote(bare[1]).replace(/^#/, '')) || /^["']/.test(bare[1]))) return bare[1];
+
+        return null;
+    }
+
+    // Static segment right before a path parameter, plural and singular: /orders/{id} → ['orders', 'order']
+    function getResourceWords(path, paramName) {
+        const segments = path.split('/').filter(Boolean);
+        const index = segments.indexOf(`{${paramName}}`);
+        for (let i = index - 1; i >= 0; i--) {
+            if (!/^\{.*\}$/.test(segments[i])) {
+                const words = splitWords(segments[i]);
+                if (words.length === 0) return null;
+                const word = words[words.length - 1];
+                return [...new Set([word, stem(word)])];
+            }
+        }
+        return null;
+    }
+
+    function unquote(value) {
+        return String(value).replace(/^(["'])(.*)\1$/, '$2').replace(/^#(?=\d)/, '');
+    }
+
+    function coerceValue(value, schema) {
+        if ((schema.type === 'integer' || schema.type === 'number') && value !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+        if (schema.type === 'boolean' && /^(true|false)$/i.test(value)) {
+            return value.toLowerCase() === 'true';
+        }
+        return value;
+    }
+
+    function escapeRegExp(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Share of query terms found, plus how clearly the match beats the runner-up
+    function getConfidence(matches, index) {
+        const match = matches[index];
+        const coverage = match.matchedTerms.length / match.termCount;
+        const next = matches[index + 1];
+        const margin = next ? (match.score - next.score) / match.score : 1;
+        const intentBonus = match.methodIntent && match.methodIntent.methods.includes(match.method) ? 5 : 0;
+        return Math.min(95, Math.round(25 + 45 * coverage + 20 * margin + intentBonus) - index * 5);
+    }
+
+    function describeMatch(match) {
+        let reasoning = `Offline match on ${match.matchedTerms.map(term => `"${term}"`).join(', ')}`;
+        if (match.methodIntent) {
+            reasoning += `; "${match.methodIntent.verb}" suggests ${match.methodIntent.methods.join('/')}`;
+        }
+        return reasoning;
+    }
+
+})();
@@ -0,0 +1,342 @@
+/**
+ * SwaggerWithSwagg - Environments
+ * Named sets of variables ({{baseUrl}}, {{tenantId}}, ...) substituted into Try It Out requests
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const ENVIRONMENTS_KEY = 'swaggerWithSwagg_environments';
+    const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+    const BASE_URL_VARIABLE = 'baseUrl';
+
+    // Copy of the environments being edited in the modal (saved on "Save")
+    let draftEnvironments = [];
+    let draftSelected = null;
+    // Name the active environment will have once the draft is saved (follows renames)
+    let draftActive = null;
+
+    /**
+     * Environment Manager - Stores environments and resolves {{variables}}
+     */
+    window.EnvironmentManager = {
+        environments: [],
+        activeEnvironment: null,
+
+        /**
+         * Initialize environments
+         */
+        init() {
+            this.load();
+            renderEnvironmentSelector();
+        },
+
+        /**
+         * Load environments from localStorage
+         */
+        load() {
+            try {
+                const saved = localStorage.getItem(ENVIRONMENTS_KEY);
+                if (saved) {
+                    const data = JSON.parse(saved);
+                    this.environments = data.environments || [];
+                    this.activeEnvironment = data.active || null;
+                }
+            } catch (e) {
+                console.error('Failed to load environments:', e);
+            }
+        },
+
+        /**
+         * Save environments to localStorage
+         */
+        save() {
+            try {
+                localStorage.setItem(ENVIRONMENTS_KEY, JSON.stringify({
+                    active: this.activeEnvironment,
+                    environments: this.environments
+                }));
+            } catch (e) {
+                console.error('Failed to save environments:', e);
+            }
+        },
+
+        /**
+         * Get the active environment (or null when none is selected)
+         */
+        getActive() {
+            return this.environments.find(env => env.name === this.activeEnvironment) || null;
+        },
+
+        /**
+         * Switch the active environment
+         */
+        setActive(name) {
+            this.activeEnvironment = this.environments.some(env => env.name === name) ? name : null;
+            this.save();
+            renderEnvironmentSelector();
+
+            // The environment's {{baseUrl}} can change the request base URL
+            if (window.refreshServerSelector) window.refreshServerSelector();
+        },
+
+        /**
+         * Variables of the active environment as a { key: value } map
+         */
+        getVariables() {
+            const variables = {};
+            const env = this.getActive();
+            if (env) {
+                env.variables.forEach(variable => {
+                    if (variable.key) variables[variable.key] = variable.value;
+                });
+            }
+            return variables;
+        },
+
+        /**
+         * Replace {{variable}} placeholders in text. Unknown variables are left untouched.
+         * extraVariables (e.g. values extracted by a runner) take precedence over the environment.
+         */
+        substitute(text, extraVariables) {
+            if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+            const variables = Object.assign(this.getVariables(), extraVariables || {});
+            return text.replace(VARIABLE_PATTERN, (match, name) => {
+                return Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match;
+            });
+        },
+
+        /**
+         * Names of the {{variables}} in text that the active environment can't resolve
+         */
+        findUnresolved(text, extraVariables) {
+            if (typeof text !== 'string') return [];
+
+            const resolved = this.substitute(text, extraVariables);
+            const names = [];
+            let match;
+            VARIABLE_PATTERN.lastIndex = 0;
+            while ((match = VARIABLE_PATTERN.exec(resolved)) !== null) {
+                if (!names.includes(match[1])) names.push(match[1]);
+            }
+            return names;
+        },
+
+        /**
+         * The active environment's {{baseUrl}}, used as the request base URL when set
+         */
+        getBaseUrl() {
+            const baseUrl = this.getVariables()[BASE_URL_VARIABLE];
+            return baseUrl ? this.substitute(baseUrl) : '';
+        }
+    };
+
+    // Render the environment dropdown in the header
+    function renderEnvironmentSelector() {
+        const selector = document.getElementById('environmentSelector');
+        if (!selector) return;
+
+        const manager = window.EnvironmentManager;
+        selector.innerHTML = `<option value="">No Environment</option>` +
+            manager.environments.map(env => `<option value="${escapeHtml(env.name)}" ${env.name === manager.activeEnvironment ? 'selected' : ''}>${escapeHtml(env.name)}</option>`).join('');
+    }
+
+    // Render the environment editor inside the modal
+    function renderEnvironmentEditor() {
+        const body = document.getElementById('environmentModalBody');
+        if (!body) return;
+
+        let html = `
+            <p class="auth-modal-description">
+                Reference variables as <code>{{name}}</code> in parameters, custom headers and request bodies.
+                A <code>baseUrl</code> variable sends Try It Out requests to that host.
+            </p>
+            <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                <select class="auth-input" onchange="selectEnvironmentForEdit(this.value)" style="flex: 1;">
+                    ${draftEnvironments.length === 0 ? '<option value="">No environments yet</option>' : ''}
+                    ${draftEnvironments.map(env => `<option value="${escapeHtml(env.name)}" ${env.name === draftSelected ? 'selected' : ''}>${escapeHtml(env.name)}</option>`).join('')}
+                </select>
+                <button class="auth-modal-button auth-modal-button-secondary" onclick="addEnvironment()">+ New</button>
+                <button class="auth-modal-button auth-modal-button-secondary" onclick="renameEnvironment()" ${draftSelected ? '' : 'disabled'}>Rename</button>
+                <button class="auth-modal-button auth-modal-button-danger" onclick="deleteEnvironment()" ${draftSelected ? '' : 'disabled'}>Delete</button>
+            </div>
+        `;
+
+        const env = draftEnvironments.find(e => e.name === draftSelected);
+        if (env) {
+            html += `<div class="auth-scheme">`;
+            html += `<div class="auth-scheme-header"><span class="auth-scheme-name">Variables</span></div>`;
+
+            env.variables.forEach((variable, index) => {
+                html += `
+                    <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                        <input type="text" class="auth-input" placeholder="Variable" value="${escapeHtml(variable.key)}" oninput="updateEnvironmentVariable(${index}, 'key', this.value)" style="flex: 1;">
+                        <input type="text" class="auth-input" placeholder="Value" value="${escapeHtml(variable.value)}" oninput="updateEnvironmentVariable(${index}, 'value', this.value)" style="flex: 2;">
+                        <button onclick="removeEnvironmentVariable(${index})" title="Remove variable" style="padding: 0 12px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: #f93e3e; cursor: pointer;">✕</button>
+                    </div>
+                `;
+            });
+
+            html += `
+                <button onclick="addEnvironmentVariable()" style="padding: 6px 12px; background: transparent; border: 1px dashed var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 12px; width: 100%;">+ Add Variable</button>
+            </div>`;
+        }
+
+        body.innerHTML = html;
+    }
+
+    /**
+     * Switch active environment - Connected to header dropdown
+     */
+    window.switchEnvironment = function(name) {
+        window.EnvironmentManager.setActive(name);
+
+        // Credential profiles can be linked to an environment
+        if (window.AuthProfileManager) {
+            window.AuthProfileManager.onEnvironmentChanged(name);
+        }
+    };
+
+    /**
+     * Open Environment Modal - Connected to UI button
+     */
+    window.openEnvironmentModal = function() {
+        const modal = document.getElementById('environmentModal');
+        if (!modal) return;
+
+        const manager = window.EnvironmentManager;
+        draftEnvironments = JSON.parse(JSON.stringify(manager.environments));
+        draftActive = manager.activeEnvironment;
+        draftSelected = manager.activeEnvironment || (draftEnvironments[0] ? draftEnvironments[0].name : null);
+        renderEnvironmentEditor();
+
+        modal.style.display = 'flex';
+    };
+
+    /**
+     * Close Environment Modal (unsaved edits are discarded)
+     */
+    window.closeEnvironmentModal = function() {
+        const modal = document.getElementById('environmentModal');
+        if (modal) modal.style.display = 'none';
+    };
+
+    /**
+     * Save edited environments
+     */
+    window.saveEnvironments = function() {
+        const manager = window.EnvironmentManager;
+
+        // Drop empty rows
+        draftEnvironments.forEach(env => {
+            env.variables = env.variables.filter(variable => variable.key.trim());
+            env.variables.forEach(variable => { variable.key = variable.key.trim(); });
+        });
+
+        manager.environments = draftEnvironments;
+        manager.activeEnvironment = draftActive;
+        if (!manager.environments.some(env => env.name === manager.activeEnvironment)) {
+            manager.activeEnvironment = null;
+        }
+        manager.save();
+        renderEnvironmentSelector();
+        if (window.refreshServerSelector) window.refreshServerSelector();
+        window.closeEnvironmentModal();
+    };
+
+    window.selectEnvironmentForEdit = function(name) {
+        draftSelected = name || null;
+        renderEnvironmentEditor();
+    };
+
+    window.addEnvironment = function() {
+        const name = (prompt('Environment name (e.g. local, dev, staging):') || '').trim();
+        if (!name) return;
+
+        if (draftEnvironments.some(env => env.name === name)) {
+            alert(`An environment named "${name}" already exists.`);
+            return;
+        }
+
+        draftEnvironments.push({ name: name, variables: [{ key: BASE_URL_VARIABLE, value: '' }] });
+        draftSelected = name;
+        renderEnvironmentEditor();
+    };
+
+    window.renameEnvironment = function() {
+        const env = draftEnvironments.find(e => e.name === draftSelected);
+        if (!env) return;
+
+        const name = (prompt('Rename environment:', env.name) || '').trim();
+        if (!name || name === env.name) return;
+
+        if (draftEnvironments.some(e => e.name === name)) {
+            alert(`An environment named "${name}" already exists.`);
+            return;
+        }
+
+        // Keep the environment active under its new name (applied on save)
+        if (draftActive === env.name) {
+            draftActive = name;
+        }
+
+        env.name = name;
+        draftSelected = name;
+        renderEnvironmentEditor();
+    };
+
+    window.deleteEnvironment = function() {
+        if (!draftSelected || !confirm(`Delete environment "${draftSelected}"?`)) return;
+
+        draftEnvironments = draftEnvironments.filter(env => env.name !== draftSelected);
+        draftSelected = draftEnvironments[0] ? draftEnvironments[0].name : null;
+        renderEnvironmentEditor();
+    };
+
+    window.addEnvironmentVariable = function() {
+        const env = draftEnvironments.find(e => e.name === draftSelected);
+        if (!env) return;
+
+        env.variables.push({ key: '', value: '' });
+        renderEnvironmentEditor();
+    };
+
+    window.updateEnvironmentVariable = function(index, field, value) {
+        const env = draftEnvironments.find(e => e.name === draftSelected);
+        if (env && env.variables[index]) {
+            env.variables[index][field] = value;
+        }
+    };
+
+    window.removeEnvironmentVariable = function(index) {
+        const env = draftEnvironments.find(e => e.name === draftSelected);
+        if (!env) return;
+
+        env.variables.splice(index, 1);
+        renderEnvironmentEditor();
+    };
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Close modal when clicking outside
+    document.addEventListener('click', function(e) {
+        const modal = document.getElementById('environmentModal');
+        if (e.target === modal) {
+            window.closeEnvironmentModal();
+        }
+    });
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => window.EnvironmentManager.init());
+    } else {
+        window.EnvironmentManager.init();
+    }
+
+})();
@@ -0,0 +1,395 @@
+/**
+ * SwaggerWithSwagg - Request History
+ * Records every executed Try It Out request in IndexedDB and lists them in the sidebar
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const DB_NAME = 'swaggerWithSwagg';
+    const DB_VERSION = 1;
+    const HISTORY_STORE = 'history';
+    const MAX_HISTORY_ENTRIES = 500;
+    const MAX_HISTORY_SIZE = 20 * 1024 * 1024; // characters kept across all entries
+    const MAX_BODY_LENGTH = 200 * 1024; // characters kept per request/response body
+    const REDACTED = '[redacted]';
+    // Headers that carry credentials, besides the API key headers of the spec's security schemes
+    const CREDENTIAL_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie)$|api[-_]?key|token|secret|password/i;
+
+    let dbPromise = null;
+    let filterTerm = '';
+
+    // Open (and create on first use) the IndexedDB database
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    // Run a request against the history store and resolve with its result
+    async function withStore(mode, action) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = action(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            // Quota errors and explicit aborts end here without an error event on the transaction
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction was aborted'));
+        });
+    }
+
+    // Keep large payloads from filling up the browser's storage quota
+    function truncate(text) {
+        if (typeof text !== 'string' || text.length <= MAX_BODY_LENGTH) return { text: text, truncated: false };
+        return { text: text.substring(0, MAX_BODY_LENGTH), truncated: true };
+    }
+
+    // Names of the spec's API keys: { headers: [lower-case names], query: [names], cookies: [names] }
+    async function getApiKeyNames() {
+        const names = { headers: [], query: [], cookies: [] };
+        try {
+            const spec = await window.getSwaggerSpec();
+            const schemes = spec.components?.securitySchemes || {};
+            Object.keys(schemes).forEach(schemeName => {
+                const scheme = schemes[schemeName];
+                if (!scheme || scheme.type !== 'apiKey' || !scheme.name) return;
+                if (scheme.in === 'header') names.headers.push(scheme.name.toLowerCase());
+                if (scheme.in === 'query') names.query.push(scheme.name);
+                if (scheme.in === 'cookie') names.cookies.push(scheme.name);
+            });
+        } catch (e) {
+            console.warn('Could not read the security schemes for history redaction:', e);
+        }
+        return names;
+    }
+
+    function isCredentialHeader(name, apiKeys) {
+        return CREDENTIAL_HEADER_PATTERN.test(name) || apiKeys.headers.includes(String(name).toLowerCase());
+    }
+
+    function redactHeaders(headers, apiKeys) {
+        const redacted = {};
+        Object.keys(headers || {}).forEach(name => {
+            redacted[name] = isCredentialHeader(name, apiKeys) ? REDACTED : headers[name];
+        });
+        return redacted;
+    }
+
+    // API keys sent in the query string
+    function redactUrl(url, apiKeys) {
+        if (!url || apiKeys.query.length === 0) return url;
+        return apiKeys.query.reduce((result, name) => {
+            const escapedName = encodeURIComponent(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`([?&]${escapedName}=)[^&#]*`, 'g');
+            return result.replace(pattern, `$1${REDACTED}`);
+        }, url);
+    }
+
+    // "a=1; session=xyz" with the cookie API keys redacted
+    function redactCookies(cookies, apiKeys) {
+        if (!cookies) return cookies;
+        return cookies.split(';').map(pair => {
+            const name = pair.split('=')[0].trim();
+            return apiKeys.cookies.includes(name) ? `${name}=${REDACTED}` : pair.trim();
+        }).join('; ');
+    }
+
+    // Strip credentials (Authorization, API keys) from everything the entry keeps, the cURL command included
+    function redactEntry(entry, apiKeys) {
+        entry.url = redactUrl(entry.url, apiKeys);
+        entry.requestHeaders = redactHeaders(entry.requestHeaders, apiKeys);
+        entry.customHeaders = entry.customHeaders.map(header => ({
+            key: header.key,
+            value: isCredentialHeader(header.key, apiKeys) ? REDACTED : header.value
+        }));
+        Object.keys(entry.parameters).forEach(name => {
+            if (apiKeys.query.includes(name) || apiKeys.cookies.includes(name) || isCredentialHeader(name, apiKeys)) {
+                entry.parameters[name] = REDACTED;
+            }
+        });
+
+        if (entry.snippetRequest) {
+            entry.snippetRequest = Object.assign({}, entry.snippetRequest, {
+                url: redactUrl(entry.snippetRequest.url, apiKeys),
+                headers: redactHeaders(entry.snippetRequest.headers, apiKeys),
+                cookies: redactCookies(entry.snippetRequest.cookies, apiKeys)
+            });
+        }
+
+        // The cURL command is generated again from the redacted request
+        entry.curl = entry.snippetRequest && window.SnippetGenerators
+            ? window.SnippetGenerators.generate('curl', entry.snippetRequest)
+            : '';
+        return entry;
+    }
+
+    /**
+     * History Manager - Stores executed requests
+     */
+    window.HistoryManager = {
+        entries: [],
+
+        /**
+         * Record an executed request. Credentials are redacted before anything is stored.
+         * Failed requests have no response but an error (and their own duration and snippetRequest).
+         */
+        async record(data) {
+            const requestBody = truncate(data.requestBody);
+            const responseBody = truncate(data.response ? data.response.body : null);
+
+            const entry = {
+                timestamp: Date.now(),
+                method: data.method,
+                path: data.path,
+                url: data.url,
+                swaggerEndpoint: data.swaggerEndpoint,
+                environment: data.environment || null,
+                authProfile: data.authProfile || null,
+                parameters: data.parameters || {},
+                customHeaders: data.customHeaders || [],
+                requestHeaders: data.requestHeaders || {},
+                contentType: data.contentType,
+                requestBody: requestBody.text,
+                requestBodyTruncated: requestBody.truncated,
+                status: data.response ? data.response.status : null,
+                statusText: data.response ? data.response.statusText : '',
+                duration: data.response ? data.response.duration : (data.duration !== undefined ? data.duration : null),
+                error: data.error || null,
+                responseHeaders: data.responseHeaders || {},
+                responseBody: responseBody.text,
+                responseBodyTruncated: responseBody.truncated,
+                responseFile: data.response ? data.response.file || null : null,
+                curl: data.response ? data.response.curl : '',
+                snippetRequest: data.response ? data.response.request || null : (data.snippetRequest || null)
+            };
+
+            redactEntry(entry, await getApiKeyNames());
+            entry.size = JSON.stringify(entry).length;
+
+            try {
+                entry.id = await withStore('readwrite', store => store.add(entry));
+                await this.prune();
+
+                if (isHistoryTabVisible()) {
+                    this.renderSidebar();
+                }
+                return entry;
+            } catch (e) {
+                console.error('Failed to record request history:', e);
+                return null;
+            }
+        },
+
+        /**
+         * Delete the oldest entries beyond MAX_HISTORY_ENTRIES or MAX_HISTORY_SIZE (the newest entry is always kept)
+         */
+        async prune() {
+            await withStore('readwrite', store => {
+                let count = 0;
+                let size = 0;
+                const request = store.index('timestamp').openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+
+                    count++;
+                    size += cursor.value.size || JSON.stringify(cursor.value).length;
+                    if (count > 1 && (count > MAX_HISTORY_ENTRIES || size > MAX_HISTORY_SIZE)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+                return null;
+            });
+        },
+
+        /**
+         * All entries, newest first
+         */
+        async getAll() {
+            try {
+                const entries = await withStore('readonly', store => store.getAll());
+                return (entries || []).sort((a, b) => b.timestamp - a.timestamp);
+            } catch (e) {
+                console.error('Failed to load request history:', e);
+                return [];
+            }
+        },
+
+        /**
+         * A single entry by id
+         */
+        async get(id) {
+            return withStore('readonly', store => store.get(id));
+        },
+
+        /**
+         * Delete a single entry
+         */
+        async remove(id) {
+            try {
+                await withStore('readwrite', store => store.delete(id));
+            } catch (e) {
+                console.error('Failed to delete history entry:', e);
+            }
+        },
+
+        /**
+         * Delete all entries
+         */
+        async clear() {
+            try {
+                await withStore('readwrite', store => store.clear());
+            } catch (e) {
+                console.error('Failed to clear request history:', e);
+            }
+        },
+
+        /**
+         * Re-open an entry in the Try It Out panel, including its recorded response
+         */
+        async open(id) {
+            const entry = await this.get(id);
+            if (!entry) return;
+
+            window.openTryItWithRequest(entry.method, entry.path, {
+                parameters: entry.parameters,
+                requestBody: entry.requestBody,
+                contentType: entry.contentType,
+                customHeaders: entry.customHeaders,
+                response: entry.error ? undefined : {
+                    status: entry.status,
+                    statusText: entry.statusText,
+                    duration: entry.duration,
+                    body: entry.responseBody,
+                    contentType: entry.responseHeaders ? entry.responseHeaders['content-type'] : undefined,
+                    headers: entry.responseHeaders || {},
+                    timestamp: entry.timestamp,
+                    file: entry.responseFile || null,
+                    curl: entry.curl,
+                    request: entry.snippetRequest,
+                    authProfile: entry.authProfile || null
+                }
+            });
+        },
+
+        /**
+         * Render the history list in the sidebar
+         */
+        async renderSidebar() {
+            const list = document.getElementById('historyList');
+            if (!list) return;
+
+            this.entries = await this.getAll();
+
+            const term = filterTerm.toLowerCase();
+            const visible = this.entries.filter(entry => {
+                if (!term) return true;
+                return [entry.method, entry.path, entry.url, String(entry.status), entry.error || '', entry.environment || '', entry.authProfile || '']
+                    .some(value => (value || '').toLowerCase().includes(term));
+            });
+
+            if (visible.length === 0) {
+                list.innerHTML = `
+                    <li class="empty-state">
+                        <p>${this.entries.length === 0 ? 'No requests yet' : 'No matching requests'}</p>
+                        <small>${this.entries.length === 0 ? 'Executed Try It Out requests will appear here' : 'Try a different filter'}</small>
+                    </li>
+                `;
+                return;
+            }
+
+            list.innerHTML = visible.map(entry => {
+                const statusColor = entry.status >= 200 && entry.status < 300 ? '#49cc90' :
+                    entry.status >= 400 && entry.status < 500 ? '#ffa500' : '#f93e3e';
+
+                return `
+                    <li class="history-item" onclick="openHistoryEntry(${entry.id})" title="${escapeHtml(entry.url || entry.path)}${entry.error ? ` - ${escapeHtml(entry.error)}` : ''}">
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <span class="endpoint-method method-${entry.method}">${entry.method.toUpperCase()}</span>
+                            <span class="endpoint-path" style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(entry.path)}</span>
+                            <button class="history-item-delete" onclick="event.stopPropagation(); deleteHistoryEntry(${entry.id})" title="Delete">✕</button>
+                        </div>
+                        <div class="history-item-meta">
+                            <span style="color: ${statusColor}; font-weight: 600;">${entry.error ? 'Failed' : entry.status || ''}</span>
+                            ${entry.duration !== null && entry.duration !== undefined ? `<span>⏱ ${entry.duration}ms</span>` : ''}
+                            <span>${formatTimestamp(entry.timestamp)}</span>
+                            ${entry.environment ? `<span>🌍 ${escapeHtml(entry.environment)}</span>` : ''}
+                            ${entry.authProfile ? `<span title="Credential profile">👤 ${escapeHtml(entry.authProfile)}</span>` : ''}
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        }
+    };
+
+    function isHistoryTabVisible() {
+        const panel = document.getElementById('historyPanel');
+        return panel && panel.style.display !== 'none';
+    }
+
+    // Time for today's entries, date and time for older ones
+    function formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        return date.toDateString() === new Date().toDateString()
+            ? date.toLocaleTimeString()
+            : date.toLocaleString();
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Filter history list - Connected to sidebar filter input
+     */
+    window.filterHistory = function(term) {
+        filterTerm = term || '';
+        window.HistoryManager.renderSidebar();
+    };
+
+    window.openHistoryEntry = async function(id) {
+        try {
+            await window.HistoryManager.open(id);
+        } catch (e) {
+            console.error('Failed to open history entry:', e);
+            alert(`Could not open this history entry: ${e.message || e}`);
+        }
+    };
+
+    window.deleteHistoryEntry = async function(id) {
+        await window.HistoryManager.remove(id);
+        window.HistoryManager.renderSidebar();
+    };
+
+    window.clearHistory = async function() {
+        if (!confirm('Delete the entire request history?')) return;
+
+        await window.HistoryManager.clear();
+        window.HistoryManager.renderSidebar();
+    };
+
+})();
@@ -0,0 +1,663 @@
+/**
+ * SwaggerWithSwagg - JSON Response Viewer
+ * Collapsible tree for JSON response bodies with text search, match navigation and a JSONPath filter.
+ * Children are rendered lazily and in chunks, so large payloads don't freeze the panel.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CHUNK_SIZE = 200;             // child rows rendered per animation frame
+    const AUTO_EXPAND_LENGTH = 50000;   // bodies smaller than this (as JSON text) open two levels deep
+    const MAX_MATCHES = 5000;
+
+    // State of the mounted viewer (there is one response panel at a time)
+    let state = null;
+
+    /**
+     * JSON Viewer - Renders a value as an interactive tree
+     */
+    window.JsonViewer = {
+        /**
+         * Render the viewer into container. rawElement (optional) is the plain text view toggled by "Raw".
+         */
+        mount(container, value, rawElement) {
+            if (!container) return;
+
+            let size = 0;
+            try {
+                size = JSON.stringify(value).length;
+            } catch (e) {
+                size = Infinity;
+            }
+
+            state = {
+                container: container,
+                rawElement: rawElement || null,
+                root: value,
+                displayRoot: value,
+                expandDepth: size < AUTO_EXPAND_LENGTH ? 2 : 1,
+                term: '',
+                matches: [],
+                matchSet: new Set(),
+                current: -1
+            };
+
+            container.innerHTML = `
+                <div class="json-viewer-toolbar">
+                    <div class="json-viewer-modes">
+                        <button class="json-viewer-mode active" data-mode="tree" onclick="jsonViewerSetMode('tree')">Tree</button>
+                        <button class="json-viewer-mode" data-mode="raw" onclick="jsonViewerSetMode('raw')">Raw</button>
+                    </div>
+                    <div class="json-viewer-controls">
+                        <input type="text" class="json-viewer-input" id="jsonViewerSearch" placeholder="Search keys and values..." oninput="jsonViewerSearch(this.value)" onkeydown="if (event.key === 'Enter') jsonViewerNextMatch(event.shiftKey ? -1 : 1)">
+                        <span class="json-viewer-count" id="jsonViewerCount"></span>
+                        <button class="json-viewer-button" onclick="jsonViewerNextMatch(-1)" title="Previous match (Shift+Enter)">▲</button>
+                        <button class="json-viewer-button" onclick="jsonViewerNextMatch(1)" title="Next match (Enter)">▼</button>
+                        <input type="text" class="json-viewer-input" id="jsonViewerFilter" placeholder="JSONPath filter, e.g. $.items[?(@.status == 'active')].id" onkeydown="if (event.key === 'Enter') jsonViewerFilter(this.value)" onchange="jsonViewerFilter(this.value)" style="flex: 2;">
+                        <button class="json-viewer-button" onclick="jsonViewerCollapseAll()" title="Collapse all">⊟</button>
+                    </div>
+                </div>
+                <div class="json-viewer-info" id="jsonViewerInfo"></div>
+                <div class="json-viewer-tree" id="jsonViewerTree"></div>
+            `;
+
+            if (state.rawElement) state.rawElement.style.display = 'none';
+            renderTree();
+        },
+
+        /**
+         * Evaluate a JSONPath expression against a value. Returns the list of matched values.
+         * Supports $, .name, ['name'], [n], [-n], [start:end:step], [*], .*, ..name (recursive descent),
+         * unions [a,b] and filters [?(@.field op value)] with ==, !=, <, <=, >, >=, =~ /regex/, &&, ||, !
+         */
+        query(value, expression) {
+            return evaluateJsonPath(expression, value);
+        }
+    };
+
+    // Tree rendering
+
+    function getTreeElement() {
+        return state ? document.getElementById('jsonViewerTree') : null;
+    }
+
+    function renderTree() {
+        const tree = getTreeElement();
+        if (!tree) return;
+
+        tree.innerHTML = renderNode(null, state.displayRoot, '', 0);
+        const rootNode = tree.firstElementChild;
+        if (rootNode && isContainer(state.displayRoot)) {
+            expandNode(rootNode, false);
+        }
+        updateMatchHighlights();
+    }
+
+    function isContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    function getEntries(value) {
+        return Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.keys(value).map(key => [key, value[key]]);
+    }
+
+    function escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function unescapePointer(segment) {
+        return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    }
+
+    function getByPointer(pointer) {
+        if (!pointer) return state.displayRoot;
+        return pointer.substring(1).split('/').map(unescapePointer).reduce((node, segment) => (node == null ? undefined : node[segment]), state.displayRoot);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function renderPrimitive(value) {
+        if (typeof value === 'string') return `<span class="json-string">${escapeHtml(JSON.stringify(value))}</span>`;
+        if (typeof value === 'number') return `<span class="json-number">${value}</span>`;
+        return `<span class="json-literal">${value === null ? 'null' : String(value)}</span>`;
+    }
+
+    function renderNode(key, value, pointer, depth) {
+        const keyHtml = key === null ? '' : `<span class="json-key">${escapeHtml(typeof key === 'number' ? String(key) : JSON.stringify(key))}</span>: `;
+        const indent = `padding-left: ${depth * 16}px;`;
+
+        if (!isContainer(value)) {
+            return `
+                <div class="json-node" data-pointer="${escapeHtml(pointer)}">
+                    <div class="json-row" style="${indent}"><span class="json-toggle"></span>${keyHtml}${renderPrimitive(value)}</div>
+                </div>`;
+        }
+
+        const count = Array.isArray(value) ? value.length : Object.keys(value).length;
+        const summary = Array.isArray(value) ? `[${count}]` : `{${count}}`;
+        return `
+            <div class="json-node" data-pointer="${escapeHtml(pointer)}" data-depth="${depth}">
+                <div class="json-row json-row-container" style="${indent}" onclick="jsonViewerToggle(this.parentElement)"><span class="json-toggle">${count > 0 ? '▶' : ''}</span>${keyHtml}<span class="json-summary">${summary}</span></div>
+                <div class="json-children" style="display: none;"></div>
+            </div>`;
+    }
+
+    // Render the children of a node. sync renders up to untilIndex immediately (used to reveal search matches).
+    function renderChildren(node, untilIndex, sync) {
+        const children = node.querySelector(':scope > .json-children');
+        const pointer = node.getAttribute('data-pointer');
+        const depth = parseInt(node.getAttribute('data-depth') || '0', 10);
+        const entries = getEntries(getByPointer(pointer));
+        let rendered = parseInt(node.getAttribute('data-rendered') || '0', 10);
+
+        const renderBatch = limit => {
+            const end = Math.min(entries.length, limit);
+            let html = '';
+            for (let i = rendered; i < end; i++) {
+                const [key, value] = entries[i];
+                html += renderNode(key, value, `${pointer}/${escapePointer(key)}`, depth + 1);
+            }
+            children.insertAdjacentHTML('beforeend', html);
+
+            // Open small subtrees right away
+            Array.from(children.children).slice(rendered, end).forEach(child => {
+                if (depth + 1 < state.expandDepth && child.querySelector(':scope > .json-children')) {
+                    expandNode(child, false);
+                }
+            });
+
+            rendered = end;
+            node.setAttribute('data-rendered', String(rendered));
+            updateMatchHighlights(children);
+        };
+
+        if (sync) {
+            if (untilIndex >= rendered) renderBatch(untilIndex + 1);
+            return;
+        }
+
+        // Render the rest in chunks, one per frame, while the node stays open
+        const step = () => {
+            if (!node.isConnected || node.getAttribute('data-expanded') !== 'true') {
+                node.removeAttribute('data-rendering');
+                return;
+            }
+            rendered = parseInt(node.getAttribute('data-rendered') || '0', 10);
+            if (rendered >= entries.length) {
+                node.removeAttribute('data-rendering');
+                return;
+            }
+            renderBatch(rendered + CHUNK_SIZE);
+            schedule(step);
+        };
+
+        if (!node.hasAttribute('data-rendering')) {
+            node.setAttribute('data-rendering', 'true');
+            step();
+        }
+    }
+
+    function schedule(callback) {
+        if (window.requestAnimationFrame) {
+            window.requestAnimationFrame(callback);
+        } else {
+            setTimeout(callback, 0);
+        }
+    }
+
+    function expandNode(node, sync, untilIndex) {
+        const children = node.querySelector(':scope > .json-children');
+        const toggle = node.querySelector(':scope > .json-row > .json-toggle');
+        if (!children) return;
+
+        node.setAttribute('data-expanded', 'true');
+        children.style.display = 'block';
+        if (toggle && toggle.textContent) toggle.textContent = '▼';
+
+        if (sync) {
+            renderChildren(node, untilIndex, true);
+        }
+        renderChildren(node, 0, false);
+    }
+
+    function collapseNode(node) {
+        const children = node.querySelector(':scope > .json-children');
+        const toggle = node.querySelector(':scope > .json-row > .json-toggle');
+        if (!children) return;
+
+        node.setAttribute('data-expanded', 'false');
+        children.style.display = 'none';
+        if (toggle && toggle.textContent) toggle.textContent = '▶';
+    }
+
+    // Search
+
+    function findMatches(term) {
+        const matches = [];
+        const needle = term.toLowerCase();
+
+        const visit = (value, pointer, key) => {
+            if (matches.length >= MAX_MATCHES) return;
+
+            const keyMatches = key !== null && String(key).toLowerCase().includes(needle);
+            const valueMatches = !isContainer(value) && String(value).toLowerCase().includes(needle);
+            if (keyMatches || valueMatches) matches.push(pointer);
+
+            if (isContainer(value)) {
+                getEntries(value).forEach(([childKey, child]) => visit(child, `${pointer}/${escapePointer(childKey)}`, childKey));
+            }
+        };
+
+        visit(state.displayRoot, '', null);
+        return matches;
+    }
+
+    function updateMatchHighlights(scope) {
+        const tree = getTreeElement();
+        if (!tree) return;
+
+        (scope || tree).querySelectorAll('.json-node').forEach(node => {
+            const row = node.querySelector(':scope > .json-row');
+            if (row) row.classList.toggle('json-match', state.matchSet.has(node.getAttribute('data-pointer')));
+        });
+    }
+
+    function updateMatchCount() {
+        const count = document.getElementById('jsonViewerCount');
+        if (!count) return;
+
+        if (!state.term) {
+            count.textContent = '';
+        } else if (state.matches.length === 0) {
+            count.textContent = 'No matches';
+        } else {
+            const capped = state.matches.length >= MAX_MATCHES ? '+' : '';
+            count.textContent = `${state.current + 1} / ${state.matches.length}${capped}`;
+        }
+    }
+
+    // Expand the ancestors of a pointer (rendering just enough rows) and return its node
+    function revealPointer(pointer) {
+        const tree = getTreeElement();
+        let node = tree.firstElementChild;
+        if (!pointer) return node;
+
+        let current = '';
+        const segments = pointer.substring(1).split('/');
+        for (const segment of segments) {
+            const container = getByPointer(current);
+            const key = unescapePointer(segment);
+            const index = Array.isArray(container) ? parseInt(key, 10) : Object.keys(container).indexOf(key);
+
+            if (node.getAttribute('data-expanded') !== 'true') {
+                expandNode(node, true, index);
+            } else {
+                renderChildren(node, index, true);
+            }
+
+            current += `/${segment}`;
+            node = node.querySelector(':scope > .json-children').children[index];
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    function showCurrentMatch() {
+        const tree = getTreeElement();
+        if (!tree) return;
+
+        tree.querySelectorAll('.json-match-current').forEach(row => row.classList.remove('json-match-current'));
+        updateMatchCount();
+        if (state.current < 0) return;
+
+        const node = revealPointer(state.matches[state.current]);
+        const row = node && node.querySelector(':scope > .json-row');
+        if (row) {
+            row.classList.add('json-match-current');
+            row.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    function runSearch() {
+        state.matches = state.term ? findMatches(state.term) : [];
+        state.matchSet = new Set(state.matches);
+        state.current = state.matches.length > 0 ? 0 : -1;
+        updateMatchHighlights();
+        showCurrentMatch();
+    }
+
+    // JSONPath
+
+    function evaluateJsonPath(expression, root) {
+        const path = (expression || '').trim();
+        if (!path.startsWith('$')) throw new Error('JSONPath must start with $');
+
+        let nodes = [root];
+        let i = 1;
+
+        const readName = () => {
+            const match = /^(\*|[^.[\]\s]+)/.exec(path.substring(i));
+            if (!match) throw new Error(`Expected a property name at position ${i}`);
+            i += match[0].length;
+            return match[0];
+        };
+
+        while (i < path.length) {
+            if (path.startsWith('..', i)) {
+                i += 2;
+                nodes = nodes.reduce((all, node) => all.concat(descendants(node)), []);
+                if (path[i] === '[') continue;
+                nodes = selectChildren(nodes, readName());
+            } else if (path[i] === '.') {
+                i++;
+                nodes = selectChildren(nodes, readName());
+            } else if (path[i] === '[') {
+                const end = findClosingBracket(path, i);
+                nodes = applyBracket(nodes, path.substring(i + 1, end).trim());
+                i = end + 1;
+            } else if (/\s/.test(path[i])) {
+                i++;
+            } else {
+                throw new Error(`Unexpected "${path[i]}" at position ${i}`);
+            }
+        }
+
+        return nodes;
+    }
+
+    function descendants(node) {
+        const result = [node];
+        if (isContainer(node)) {
+            getEntries(node).forEach(([, child]) => {
+                result.push(...descendants(child));
+            });
+        }
+        return result;
+    }
+
+    function selectChildren(nodes, name) {
+        const result = [];
+        nodes.forEach(node => {
+            if (!isContainer(node)) return;
+            if (name === '*') {
+                getEntries(node).forEach(([, child]) => result.push(child));
+            } else if (Object.prototype.hasOwnProperty.call(node, name)) {
+                result.push(node[name]);
+            }
+        });
+        return result;
+    }
+
+    function findClosingBracket(path, start) {
+        let depth = 0;
+        let quote = null;
+        for (let i = start; i < path.length; i++) {
+            const char = path[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        throw new Error('Missing closing ]');
+    }
+
+    function applyBracket(nodes, content) {
+        if (content === '*') return selectChildren(nodes, '*');
+
+        if (content.startsWith('?')) {
+            const filter = content.substring(1).trim().replace(/^\(([\s\S]*)\)$/, '$1');
+            const result = [];
+            nodes.forEach(node => {
+                if (!isContainer(node)) return;
+                getEntries(node).forEach(([, child]) => {
+                    if (evaluateFilter(filter, child)) result.push(child);
+                });
+            });
+            return result;
+        }
+
+        // Slice [start:end:step]
+        if (/^-?\d*:-?\d*(:-?\d+)?$/.test(content)) {
+            const [start, end, step] = content.split(':').map(part => (part === '' || part === undefined ? undefined : parseInt(part, 10)));
+            const result = [];
+            nodes.forEach(node => {
+                if (!Array.isArray(node)) return;
+                const length = node.length;
+                const from = start === undefined ? 0 : (start < 0 ? Math.max(length + start, 0) : Math.min(start, length));
+                const to = end === undefined ? length : (end < 0 ? Math.max(length + end, 0) : Math.min(end, length));
+                for (let i = from; i < to; i += (step && step > 0 ? step : 1)) result.push(node[i]);
+            });
+            return result;
+        }
+
+        // Union of names or indexes
+        const selectors = splitOutsideQuotes(content, ',').map(part => part.trim());
+        const result = [];
+        nodes.forEach(node => {
+            if (!isContainer(node)) return;
+            selectors.forEach(selector => {
+                const quoted = /^(['"])([\s\S]*)\1$/.exec(selector);
+                if (quoted) {
+                    if (Object.prototype.hasOwnProperty.call(node, quoted[2])) result.push(node[quoted[2]]);
+                } else if (/^-?\d+$/.test(selector) && Array.isArray(node)) {
+                    const index = parseInt(selector, 10);
+                    const item = node[index < 0 ? node.length + index : index];
+                    if (item !== undefined) result.push(item);
+                } else {
+                    throw new Error(`Unsupported selector [${selector}]`);
+                }
+            });
+        });
+        return result;
+    }
+
+    // Split on separator, skipping quoted strings and parenthesized groups
+    function splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(depth - 1, 0);
+            } else if (depth === 0 && text.startsWith(separator, i)) {
+                parts.push(current);
+                current = '';
+                i += separator.length - 1;
+                continue;
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    // Filter expressions: @.a.b == 'x' && (@.c > 3 || !@.d)
+    function evaluateFilter(expression, item) {
+        const orParts = splitOutsideQuotes(expression, '||');
+        if (orParts.length > 1) return orParts.some(part => evaluateFilter(part, item));
+
+        const andParts = splitOutsideQuotes(expression, '&&');
+        if (andParts.length > 1) return andParts.every(part => evaluateFilter(part, item));
+
+        let condition = expression.trim();
+        if (isWrappedInParentheses(condition)) {
+            return evaluateFilter(condition.slice(1, -1), item);
+        }
+
+        let negate = false;
+        if (condition.startsWith('!')) {
+            negate = true;
+            condition = condition.substring(1).trim();
+            if (isWrappedInParentheses(condition)) {
+                return !evaluateFilter(condition.slice(1, -1), item);
+            }
+        }
+
+        const match = /^(@(?:\.[\w$-]+|\[\d+\]|\[(['"])[^'"]*\2\])*)\s*(?:(==|!=|<=|>=|<|>|=~)\s*([\s\S]+))?$/.exec(condition);
+        if (!match) throw new Error(`Unsupported filter: ${condition}`);
+
+        const left = resolveRelative(match[1], item);
+        let result;
+        if (!match[3]) {
+            result = left !== undefined && left !== null && left !== false;
+        } else {
+            const operator = match[3];
+            const rightText = match[4].trim();
+            if (operator === '=~') {
+                const regex = /^\/(.*)\/([a-z]*)$/.exec(rightText);
+                if (!regex) throw new Error(`Expected /regex/ after =~ in: ${condition}`);
+                result = typeof left === 'string' && new RegExp(regex[1], regex[2]).test(left);
+            } else {
+                const right = parseLiteral(rightText, item);
+                result = compare(left, operator, right);
+            }
+        }
+
+        return negate ? !result : result;
+    }
+
+    // "(a) && (b)" starts and ends with a parenthesis but isn't one group - only strip a pair that matches
+    function isWrappedInParentheses(text) {
+        if (!text.startsWith('(') || !text.endsWith(')')) return false;
+
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+                if (depth === 0 && i < text.length - 1) return false;
+            }
+        }
+        return depth === 0;
+    }
+
+    function resolveRelative(path, item) {
+        const segments = [];
+        const pattern = /\.([\w$-]+)|\[(\d+)\]|\[(['"])([^'"]*)\3\]/g;
+        let match;
+        while ((match = pattern.exec(path.substring(1))) !== null) {
+            segments.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? parseInt(match[2], 10) : match[4]);
+        }
+        return segments.reduce((node, segment) => (node == null ? undefined : node[segment]), item);
+    }
+
+    function parseLiteral(text, item) {
+        if (text.startsWith('@')) return resolveRelative(text, item);
+        if (/^(['"])[\s\S]*\1$/.test(text)) return text.slice(1, -1);
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        if (text === 'null') return null;
+        if (!isNaN(text)) return parseFloat(text);
+        throw new Error(`Unsupported value: ${text}`);
+    }
+
+    function compare(left, operator, right) {
+        switch (operator) {
+            case '==': return left === right;
+            case '!=': return left !== right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: return false;
+        }
+    }
+
+    // Window handlers
+
+    window.jsonViewerToggle = function(node) {
+        if (!state || !node) return;
+        if (node.getAttribute('data-expanded') === 'true') {
+            collapseNode(node);
+        } else {
+            expandNode(node, false);
+        }
+    };
+
+    window.jsonViewerCollapseAll = function() {
+        const tree = getTreeElement();
+        if (!tree) return;
+
+        tree.querySelectorAll('.json-node[data-expanded="true"]').forEach(node => {
+            if (node !== tree.firstElementChild) collapseNode(node);
+        });
+    };
+
+    window.jsonViewerSetMode = function(mode) {
+        if (!state) return;
+
+        state.container.querySelectorAll('.json-viewer-mode').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-mode') === mode);
+        });
+
+        const isTree = mode === 'tree';
+        state.container.querySelector('.json-viewer-controls').style.visibility = isTree ? 'visible' : 'hidden';
+        document.getElementById('jsonViewerInfo').style.display = isTree ? '' : 'none';
+        getTreeElement().style.display = isTree ? '' : 'none';
+        if (state.rawElement) state.rawElement.style.display = isTree ? 'none' : '';
+    };
+
+    window.jsonViewerSearch = function(term) {
+        if (!state) return;
+        state.term = (term || '').trim();
+        runSearch();
+    };
+
+    window.jsonViewerNextMatch = function(direction) {
+        if (!state || state.matches.length === 0) return;
+        state.current = (state.current + direction + state.matches.length) % state.matches.length;
+        showCurrentMatch();
+    };
+
+    window.jsonViewerFilter = function(expression) {
+        if (!state) return;
+
+        const info = document.getElementById('jsonViewerInfo');
+        const trimmed = (expression || '').trim();
+
+        if (!trimmed || trimmed === '$') {
+            state.displayRoot = state.root;
+            if (info) info.innerHTML = '';
+        } else {
+            try {
+                state.displayRoot = evaluateJsonPath(trimmed, state.root);
+                if (info) info.innerHTML = `<span style="color: var(--text-secondary);">${state.displayRoot.length} result(s) for <code>${escapeHtml(trimmed)}</code></span>`;
+            } catch (e) {
+                if (info) info.innerHTML = `<span style="color: #f93e3e;">❌ ${escapeHtml(e.message)}</span>`;
+                return;
+            }
+        }
+
+        renderTree();
+        if (state.term) runSearch();
+    };
+
+})();
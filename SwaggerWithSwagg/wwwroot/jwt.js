@@ -0,0 +1,246 @@
+/**
+ * SwaggerWithSwagg - JWT Inspector
+ * Decodes JSON Web Tokens from the auth modal and from responses: header and payload claims,
+ * exp/nbf/iat as readable times, audience and scopes, and a check against an operation's required scopes.
+ * Signatures are not verified - this is an inspection aid, not a validator.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+    const JWT_SEARCH_PATTERN = /eyJ[A-Za-z0-9_-]*\.eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*/g;
+    const TIME_CLAIMS = ['exp', 'nbf', 'iat', 'auth_time'];
+    const MAX_FOUND_TOKENS = 10;
+
+    /**
+     * JWT Inspector - Decoding, claim checks and rendering
+     */
+    window.JwtInspector = {
+        /**
+         * Decode a token ("Bearer " prefix allowed). Returns { header, payload, signature } or null when it isn't a JWT.
+         */
+        decode(token) {
+            const value = String(token || '').trim().replace(/^Bearer\s+/i, '');
+            if (!JWT_PATTERN.test(value)) return null;
+
+            try {
+                const parts = value.split('.');
+                const header = JSON.parse(decodeSegment(parts[0]));
+                const payload = JSON.parse(decodeSegment(parts[1]));
+                if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') return null;
+                return { header: header, payload: payload, signature: parts[2] };
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Scopes granted by a payload: scp / scope (space separated) or scopes, plus roles (Azure AD app roles)
+         */
+        getScopes(payload) {
+            const scopes = [];
+            const add = value => {
+                const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/\s+/) : []);
+                list.forEach(scope => {
+                    if (scope && !scopes.includes(scope)) scopes.push(scope);
+                });
+            };
+            add(payload.scp);
+            add(payload.scope);
+            add(payload.scopes);
+            add(payload.roles);
+            return scopes;
+        },
+
+        /**
+         * Audience as an array
+         */
+        getAudience(payload) {
+            if (payload.aud === undefined) return [];
+            return Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        },
+
+        /**
+         * Problems that make a request with this token fail: expired, not yet valid, missing required scopes.
+         * Spec scopes may be full URIs (api://app/User.Read) while tokens carry the short name, so both are accepted.
+         */
+        check(token, requiredScopes) {
+            const decoded = this.decode(token);
+            if (!decoded) return [];
+
+            const problems = [];
+            const now = Date.now() / 1000;
+            const payload = decoded.payload;
+
+            if (typeof payload.exp === 'number' && payload.exp <= now) {
+                problems.push(`Token expired ${formatRelative(payload.exp)} (${formatTime(payload.exp)})`);
+            }
+            if (typeof payload.nbf === 'number' && payload.nbf > now) {
+                problems.push(`Token is not valid until ${formatTime(payload.nbf)}`);
+            }
+
+            const granted = this.getScopes(payload);
+            const missing = (requiredScopes || []).filter(scope => {
+                const shortName = scope.substring(scope.lastIndexOf('/') + 1);
+                return !granted.includes(scope) && !granted.includes(shortName);
+            });
+            if (missing.length > 0) {
+                problems.push(`Token is missing required scope${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+            }
+
+            return problems;
+        },
+
+        /**
+         * JWTs inside a response body and headers: [{ source, token }]
+         */
+        findTokens(body, headers) {
+            const found = [];
+            const collect = (text, source) => {
+                if (typeof text !== 'string') return;
+                (text.match(JWT_SEARCH_PATTERN) || []).forEach(token => {
+                    if (found.length < MAX_FOUND_TOKENS && !found.some(item => item.token === token) && this.decode(token)) {
+                        found.push({ source: source, token: token });
+                    }
+                });
+            };
+
+            Object.keys(headers || {}).forEach(name => collect(headers[name], `${name} header`));
+            collect(body, 'body');
+            return found;
+        },
+
+        /**
+         * Decoded view of a token: warnings, audience, scopes and claim tables
+         */
+        render(token, requiredScopes) {
+            const decoded = this.decode(token);
+            if (!decoded) return '';
+
+            const payload = decoded.payload;
+            const problems = this.check(token, requiredScopes);
+            const audience = this.getAudience(payload);
+            const scopes = this.getScopes(payload);
+
+            let html = '<div class="jwt-inspector">';
+
+            problems.forEach(problem => {
+                html += `<div class="jwt-warning">⚠️ ${escapeHtml(problem)}</div>`;
+            });
+            if (problems.length === 0 && typeof payload.exp === 'number') {
+                html += `<div class="jwt-valid">✓ Valid until ${escapeHtml(formatTime(payload.exp))} (${escapeHtml(formatRelative(payload.exp))})</div>`;
+            }
+
+            if (audience.length > 0) {
+                html += `<div class="jwt-summary"><strong>Audience:</strong> ${audience.map(aud => `<code>${escapeHtml(String(aud))}</code>`).join(' ')}</div>`;
+            }
+            html += `<div class="jwt-summary"><strong>Scopes:</strong> ${scopes.length > 0
+                ? scopes.map(scope => `<span class="jwt-scope ${(requiredScopes || []).some(required => required === scope || required.endsWith('/' + scope)) ? 'jwt-scope-required' : ''}">${escapeHtml(scope)}</span>`).join(' ')
+                : '<span style="color: var(--text-secondary);">none</span>'}</div>`;
+
+            html += renderClaims('Header', decoded.header);
+            html += renderClaims('Payload', payload);
+            html += '<div class="jwt-note">Signature not verified</div>';
+            html += '</div>';
+            return html;
+        },
+
+        /**
+         * Collapsible list of the tokens found in a response (empty string when there are none)
+         */
+        renderFound(body, headers) {
+            const tokens = this.findTokens(body, headers);
+            if (tokens.length === 0) return '';
+
+            return `
+                <details class="jwt-found" style="margin-bottom: 16px;">
+                    <summary>🔑 ${tokens.length} JWT${tokens.length > 1 ? 's' : ''} in this response</summary>
+                    ${tokens.map(item => `
+                        <div class="jwt-found-item">
+                            <div class="jwt-found-source">${escapeHtml(item.source)} · <code>${escapeHtml(item.token.substring(0, 24))}…</code></div>
+                            ${this.render(item.token)}
+                        </div>
+                    `).join('')}
+                </details>
+            `;
+        },
+
+        /**
+         * Decode bearer/OAuth2 token inputs of the auth modal as they are typed
+         */
+        attachToAuthModal(securitySchemes) {
+            Object.keys(securitySchemes || {}).forEach(schemeName => {
+                const scheme = securitySchemes[schemeName];
+                const isToken = (scheme.type === 'http' && (scheme.scheme || '').toLowerCase() === 'bearer') ||
+                    scheme.type === 'oauth2' || scheme.type === 'openIdConnect';
+                const input = document.getElementById(`auth_${schemeName}`);
+                if (!isToken || !input) return;
+
+                const container = document.createElement('div');
+                container.id = `jwt_${schemeName}`;
+                input.insertAdjacentElement('afterend', container);
+
+                const update = () => {
+                    container.innerHTML = this.render(input.value);
+                };
+                input.addEventListener('input', update);
+                update();
+            });
+        }
+    };
+
+    function decodeSegment(segment) {
+        const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
+    function renderClaims(title, claims) {
+        const rows = Object.keys(claims).map(name => {
+            const value = claims[name];
+            let display = typeof value === 'string' ? value : JSON.stringify(value);
+            if (TIME_CLAIMS.includes(name) && typeof value === 'number') {
+                display = `${value} → ${formatTime(value)} (${formatRelative(value)})`;
+            }
+            return `
+                <tr>
+                    <td class="jwt-claim-name">${escapeHtml(name)}</td>
+                    <td class="jwt-claim-value ${TIME_CLAIMS.includes(name) ? 'jwt-claim-time' : ''}">${escapeHtml(display)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="jwt-section-title">${title}</div>
+            <table class="jwt-claims">${rows}</table>
+        `;
+    }
+
+    function formatTime(seconds) {
+        return new Date(seconds * 1000).toLocaleString();
+    }
+
+    // "in 5 min", "3 h ago", "2 days ago"
+    function formatRelative(seconds) {
+        const diff = seconds - Date.now() / 1000;
+        const abs = Math.abs(diff);
+        const amount = abs < 60 ? `${Math.round(abs)} s` :
+            abs < 3600 ? `${Math.round(abs / 60)} min` :
+            abs < 86400 ? `${Math.round(abs / 3600)} h` : `${Math.round(abs / 86400)} days`;
+        return diff >= 0 ? `in ${amount}` : `${amount} ago`;
+    }
+
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+})();
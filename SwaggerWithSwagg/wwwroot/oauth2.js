@@ -0,0 +1,578 @@
+/**
+ * SwaggerWithSwagg - OAuth2
+ * Token flows for oauth2 and openIdConnect security schemes: authorization code with PKCE (popup + oauth2-redirect.html),
+ * client credentials and password. Tracks expiry and renews tokens before requests are sent.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const OAUTH2_KEY = 'swaggerWithSwagg_oauth2';
+    const AUTH_KEY = 'swaggerWithSwagg_auth';
+    const REFRESH_MARGIN = 60 * 1000;       // renew tokens that expire within a minute
+    const POPUP_FEATURES = 'width=600,height=700';
+    const TOKEN_SCHEME_TYPES = ['oauth2', 'openIdConnect'];
+    const FLOW_LABELS = {
+        authorizationCode: 'Authorization code (PKCE)',
+        clientCredentials: 'Client credentials',
+        password: 'Password',
+        implicit: 'Implicit'
+    };
+
+    // Served next to this script by the middleware
+    const REDIRECT_URL = new URL('oauth2-redirect.html', document.currentScript ? document.currentScript.src : window.location.href).href;
+
+    // OpenID Connect discovery grant types -> OpenAPI flow names
+    const GRANT_FLOWS = {
+        authorization_code: 'authorizationCode',
+        client_credentials: 'clientCredentials',
+        password: 'password'
+    };
+
+    // Authorization code flow waiting for the popup: { state, resolve, reject }
+    let pendingAuthorization = null;
+
+    // Discovery documents by openIdConnectUrl (promises, so concurrent lookups share one fetch)
+    const discoveryCache = {};
+
+    /**
+     * OAuth2 Manager - Obtains, stores and renews OAuth2 tokens per security scheme.
+     * State per scheme: { flow, clientId, clientSecret, username, scopes, accessToken, refreshToken, tokenType, expiresAt }
+     */
+    window.OAuth2Manager = {
+        state: {},
+
+        /**
+         * Load saved settings and tokens from localStorage
+         */
+        load() {
+            try {
+                this.state = JSON.parse(localStorage.getItem(OAUTH2_KEY)) || {};
+            } catch (e) {
+                console.error('Failed to load OAuth2 state:', e);
+                this.state = {};
+            }
+        },
+
+        /**
+         * Save settings and tokens to localStorage
+         */
+        save() {
+            try {
+                localStorage.setItem(OAUTH2_KEY, JSON.stringify(this.state));
+            } catch (e) {
+                console.error('Failed to save OAuth2 state:', e);
+            }
+        },
+
+        /**
+         * The redirect URI to register with the identity provider
+         */
+        getRedirectUrl() {
+            return REDIRECT_URL;
+        },
+
+        /**
+         * An oauth2 scheme as-is, or an openIdConnect scheme with flows built from its discovery document.
+         * A failed discovery is returned as { discoveryError } instead of throwing.
+         */
+        async resolveScheme(scheme) {
+            if (!scheme || scheme.type !== 'openIdConnect') return scheme;
+
+            try {
+                const url = new URL(scheme.openIdConnectUrl, window.location.href).href;
+                if (!discoveryCache[url]) {
+                    discoveryCache[url] = fetchDiscovery(url).catch(e => {
+                        delete discoveryCache[url];
+                        throw e;
+                    });
+                }
+                const config = await discoveryCache[url];
+
+                const scopes = {};
+                (config.scopes_supported || ['openid']).forEach(scope => {
+                    scopes[scope] = '';
+                });
+
+                const flows = {};
+                (config.grant_types_supported || ['authorization_code']).forEach(grantType => {
+                    const flowName = GRANT_FLOWS[grantType];
+                    if (!flowName || (flowName === 'authorizationCode' && !config.authorization_endpoint)) return;
+                    flows[flowName] = {
+                        authorizationUrl: config.authorization_endpoint,
+                        tokenUrl: config.token_endpoint,
+                        scopes: scopes
+                    };
+                });
+
+                return Object.assign({}, scheme, { flows: flows });
+            } catch (e) {
+                return Object.assign({}, scheme, { flows: {}, discoveryError: e.message });
+            }
+        },
+
+        /**
+         * Resolve every oauth2/openIdConnect scheme of a securitySchemes map
+         */
+        async resolveSchemes(securitySchemes) {
+            const resolved = {};
+            for (const schemeName of Object.keys(securitySchemes)) {
+                resolved[schemeName] = await this.resolveScheme(securitySchemes[schemeName]);
+            }
+            return resolved;
+        },
+
+        /**
+         * Flows a scheme declares that this page can run, in preferred order
+         */
+        getFlows(scheme) {
+            const flows = scheme.flows || {};
+            return ['authorizationCode', 'clientCredentials', 'password'].filter(name => flows[name]);
+        },
+
+        /**
+         * Run a flow and store the resulting token. settings: { flow, clientId, clientSecret, username, password, scopes }
+         */
+        async authorize(schemeName, scheme, settings) {
+            const flow = (scheme.flows || {})[settings.flow];
+            if (!flow) throw new Error(`The scheme does not declare the ${settings.flow} flow`);
+            if (!settings.clientId) throw new Error('Client ID is required');
+
+            const scope = (settings.scopes || []).join(' ');
+            let tokenResponse;
+
+            if (settings.flow === 'authorizationCode') {
+                const verifier = randomString(64);
+                const challenge = await createCodeChallenge(verifier);
+                const state = randomString(32);
+
+                const url = new URL(flow.authorizationUrl, window.location.href);
+                url.searchParams.set('response_type', 'code');
+                url.searchParams.set('client_id', settings.clientId);
+                url.searchParams.set('redirect_uri', REDIRECT_URL);
+                url.searchParams.set('state', state);
+                url.searchParams.set('code_challenge', challenge);
+                url.searchParams.set('code_challenge_method', 'S256');
+                if (scope) url.searchParams.set('scope', scope);
+
+                const params = await openAuthorizationPopup(url.href, state);
+                tokenResponse = await requestToken(flow.tokenUrl, {
+                    grant_type: 'authorization_code',
+                    code: params.code,
+                    redirect_uri: REDIRECT_URL,
+                    client_id: settings.clientId,
+                    client_secret: settings.clientSecret,
+                    code_verifier: verifier,
+                    scope: scope
+                });
+            } else if (settings.flow === 'clientCredentials') {
+                if (!settings.clientSecret) throw new Error('Client secret is required');
+                tokenResponse = await requestToken(flow.tokenUrl, {
+                    grant_type: 'client_credentials',
+                    client_id: settings.clientId,
+                    client_secret: settings.clientSecret,
+                    scope: scope
+                });
+            } else if (settings.flow === 'password') {
+                if (!settings.username || !settings.password) throw new Error('Username and password are required');
+                tokenResponse = await requestToken(flow.tokenUrl, {
+                    grant_type: 'password',
+                    username: settings.username,
+                    password: settings.password,
+                    client_id: settings.clientId,
+                    client_secret: settings.clientSecret,
+                    scope: scope
+                });
+            } else {
+                throw new Error(`Unsupported flow: ${settings.flow}`);
+            }
+
+            // The password itself is never stored
+            this.state[schemeName] = Object.assign({
+                flow: settings.flow,
+                clientId: settings.clientId,
+                clientSecret: settings.clientSecret || '',
+                username: settings.username || '',
+                scopes: settings.scopes || []
+            }, parseTokenResponse(tokenResponse, null));
+            this.save();
+            storeAccessToken(schemeName, this.state[schemeName].accessToken);
+            return this.state[schemeName];
+        },
+
+        /**
+         * Renew a token with its refresh token, or re-run client credentials (which needs no user).
+         * Returns the new state, or null when the token can't be renewed without the user.
+         */
+        async refresh(schemeName, scheme) {
+            const entry = this.state[schemeName];
+            const flow = entry && scheme.flows ? scheme.flows[entry.flow] : null;
+            if (!entry || !flow) return null;
+
+            let tokenResponse;
+            if (entry.refreshToken) {
+                tokenResponse = await requestToken(flow.refreshUrl || flow.tokenUrl, {
+                    grant_type: 'refresh_token',
+                    refresh_token: entry.refreshToken,
+                    client_id: entry.clientId,
+                    client_secret: entry.clientSecret,
+                    scope: entry.scopes.join(' ')
+                });
+            } else if (entry.flow === 'clientCredentials' && entry.clientSecret) {
+                tokenResponse = await requestToken(flow.tokenUrl, {
+                    grant_type: 'client_credentials',
+                    client_id: entry.clientId,
+                    client_secret: entry.clientSecret,
+                    scope: entry.scopes.join(' ')
+                });
+            } else {
+                return null;
+            }
+
+            Object.assign(entry, parseTokenResponse(tokenResponse, entry.refreshToken));
+            this.save();
+            storeAccessToken(schemeName, entry.accessToken);
+            return entry;
+        },
+
+        /**
+         * Renew the tokens of the given oauth2 schemes that are expired or about to expire.
+         * Failures are logged; the request then goes out with the current token.
+         */
+        async refreshExpiring(schemeNames, securitySchemes) {
+            for (const schemeName of schemeNames) {
+                const scheme = securitySchemes[schemeName];
+                const entry = this.state[schemeName];
+                if (!scheme || !TOKEN_SCHEME_TYPES.includes(scheme.type) || !entry || !entry.accessToken || !entry.expiresAt) continue;
+                if (entry.expiresAt - Date.now() > REFRESH_MARGIN) continue;
+
+                try {
+                    await this.refresh(schemeName, await this.resolveScheme(scheme));
+                } catch (e) {
+                    console.warn(`Failed to renew the ${schemeName} token:`, e);
+                }
+            }
+        },
+
+        /**
+         * Forget tokens (settings such as the client ID are kept)
+         */
+        clearTokens() {
+            Object.keys(this.state).forEach(schemeName => {
+                const entry = this.state[schemeName];
+                delete entry.accessToken;
+                delete entry.refreshToken;
+                delete entry.expiresAt;
+            });
+            this.save();
+        },
+
+        /**
+         * Human readable token status: "Expires in 54 min", "Expired", ...
+         */
+        describeStatus(schemeName) {
+            const entry = this.state[schemeName];
+            if (!entry || !entry.accessToken) return { text: 'Not authorized', color: 'var(--text-secondary)' };
+            if (!entry.expiresAt) return { text: 'Authorized (no expiry given)', color: '#49cc90' };
+
+            const remaining = entry.expiresAt - Date.now();
+            const renewable = entry.refreshToken ? ' - will be renewed automatically' : '';
+            if (remaining <= 0) return { text: `Expired${renewable}`, color: '#f93e3e' };
+
+            const minutes = Math.floor(remaining / 60000);
+            const text = minutes >= 1 ? `Expires in ${minutes} min` : 'Expires in less than a minute';
+            return { text: `${text}${renewable}`, color: remaining <= REFRESH_MARGIN ? '#ffa500' : '#49cc90' };
+        },
+
+        /**
+         * Auth modal section for an oauth2 or (resolved) openIdConnect scheme. The token input keeps the id auth_<scheme> used by saveAuth.
+         */
+        renderScheme(schemeName, scheme, savedValue) {
+            const flows = this.getFlows(scheme);
+            const discovery = scheme.type !== 'openIdConnect' ? '' : `
+                <div style="font-size: 12px; color: ${scheme.discoveryError ? '#f93e3e' : 'var(--text-secondary)'}; margin-bottom: 8px;">
+                    ${scheme.discoveryError
+                        ? `❌ Discovery failed (${escapeHtml(scheme.openIdConnectUrl || '')}): ${escapeHtml(scheme.discoveryError)}`
+                        : `Discovered from <code>${escapeHtml(scheme.openIdConnectUrl)}</code>`}
+                </div>
+            `;
+            const entry = this.state[schemeName] || {};
+            const selectedFlow = flows.includes(entry.flow) ? entry.flow : flows[0];
+
+            const flowSection = flows.length === 0 ? '' : `
+                <div class="auth-input-group">
+                    <label class="auth-input-label">Flow</label>
+                    <select class="auth-input" id="oauth2_flow_${schemeName}" onchange="selectOAuth2Flow('${schemeName}', this.value)">
+                        ${flows.map(flow => `<option value="${flow}" ${flow === selectedFlow ? 'selected' : ''}>${FLOW_LABELS[flow]}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="oauth2_fields_${schemeName}">${this.renderFlowFields(schemeName, scheme, selectedFlow)}</div>
+            `;
+
+            const status = this.describeStatus(schemeName);
+            return `
+                ${discovery}
+                ${flowSection}
+                <div class="auth-input-group">
+                    <label class="auth-input-label">Access Token</label>
+                    <input type="text"
+                           class="auth-input"
+                           id="auth_${schemeName}"
+                           placeholder="Enter access token, or use the flow above"
+                           value="${escapeHtml(savedValue)}">
+                    <div id="oauth2_status_${schemeName}" style="font-size: 12px; margin-top: 6px; color: ${status.color};">${escapeHtml(status.text)}</div>
+                </div>
+            `;
+        },
+
+        /**
+         * Client, credential and scope fields of one flow
+         */
+        renderFlowFields(schemeName, scheme, flowName) {
+            const flow = (scheme.flows || {})[flowName] || {};
+            const entry = this.state[schemeName] || {};
+            const scopes = Object.keys(flow.scopes || {});
+            const selectedScopes = entry.flow === flowName && entry.scopes ? entry.scopes : scopes;
+            const field = (id, label, type, value, placeholder) => `
+                <div class="auth-input-group">
+                    <label class="auth-input-label">${label}</label>
+                    <input type="${type}" class="auth-input" id="oauth2_${id}_${schemeName}" value="${escapeHtml(value || '')}" placeholder="${placeholder}">
+                </div>
+            `;
+
+            return `
+                ${field('clientId', 'Client ID', 'text', entry.clientId, 'Application (client) ID')}
+                ${field('clientSecret', flowName === 'clientCredentials' ? 'Client Secret' : 'Client Secret (optional)', 'password', entry.clientSecret, flowName === 'authorizationCode' ? 'Leave empty for public clients' : 'Client secret')}
+                ${flowName === 'password' ? field('username', 'Username', 'text', entry.username, 'Username') + field('password', 'Password', 'password', '', 'Password (not stored)') : ''}
+                ${scopes.length > 0 ? `
+                    <div class="auth-input-group">
+                        <label class="auth-input-label">Scopes</label>
+                        <div id="oauth2_scopes_${schemeName}" style="display: flex; flex-direction: column; gap: 4px; font-size: 13px;">
+                            ${scopes.map(scope => `
+                                <label style="display: flex; gap: 8px; align-items: baseline; color: var(--text-primary);">
+                                    <input type="checkbox" value="${escapeHtml(scope)}" ${selectedScopes.includes(scope) ? 'checked' : ''}>
+                                    <span><code>${escapeHtml(scope)}</code> <span style="color: var(--text-secondary);">${escapeHtml(flow.scopes[scope] || '')}</span></span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${flowName === 'authorizationCode' ? `<div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 8px;">Redirect URI to register: <code>${escapeHtml(REDIRECT_URL)}</code></div>` : ''}
+                <div id="oauth2_error_${schemeName}"></div>
+                <button class="auth-modal-button auth-modal-button-secondary" onclick="authorizeOAuth2('${schemeName}')" style="margin-bottom: 12px;">
+                    ${flowName === 'authorizationCode' ? '🔑 Sign in' : '🔑 Get token'}
+                </button>
+            `;
+        }
+    };
+
+    // Token requests
+
+    async function fetchDiscovery(url) {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Discovery document returned ${response.status}`);
+        }
+        const config = await response.json();
+        if (!config.token_endpoint) {
+            throw new Error('Discovery document has no token_endpoint');
+        }
+        return config;
+    }
+
+    async function requestToken(tokenUrl, fields) {
+        const body = new URLSearchParams();
+        Object.keys(fields).forEach(key => {
+            if (fields[key]) body.append(key, fields[key]);
+        });
+
+        const response = await fetch(new URL(tokenUrl, window.location.href).href, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+            body: body.toString()
+        });
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new Error(`Token endpoint returned ${response.status} without a JSON body`);
+        }
+
+        if (!response.ok || data.error) {
+            throw new Error(data.error_description || data.error || `Token endpoint returned ${response.status}`);
+        }
+        if (!data.access_token) {
+            throw new Error('Token endpoint response has no access_token');
+        }
+        return data;
+    }
+
+    function parseTokenResponse(data, previousRefreshToken) {
+        const expiresIn = parseInt(data.expires_in, 10);
+        return {
+            accessToken: data.access_token,
+            // Providers may omit the refresh token on renewal; the old one stays valid then
+            refreshToken: data.refresh_token || previousRefreshToken || null,
+            tokenType: data.token_type || 'Bearer',
+            expiresAt: isNaN(expiresIn) ? null : Date.now() + expiresIn * 1000
+        };
+    }
+
+    // Keep swaggerWithSwagg_auth in sync, so requests (and Postman export) use the new token
+    function storeAccessToken(schemeName, accessToken) {
+        let auth = {};
+        try {
+            auth = JSON.parse(localStorage.getItem(AUTH_KEY) || '{}');
+        } catch (e) {
+            auth = {};
+        }
+        auth[schemeName] = accessToken;
+        localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+
+        const input = document.getElementById(`auth_${schemeName}`);
+        if (input) {
+            input.value = accessToken;
+            input.dispatchEvent(new Event('input'));
+        }
+    }
+
+    // PKCE
+
+    function randomString(length) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return base64Url(bytes).substring(0, length);
+    }
+
+    async function createCodeChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return base64Url(new Uint8Array(digest));
+    }
+
+    function base64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Open the sign-in popup and wait for oauth2-redirect.html to post the response back
+    function openAuthorizationPopup(url, state) {
+        return new Promise((resolve, reject) => {
+            if (pendingAuthorization) {
+                pendingAuthorization.reject(new Error('Sign-in was restarted'));
+            }
+
+            const popup = window.open(url, 'swaggerWithSwaggOAuth2', POPUP_FEATURES);
+            if (!popup) {
+                reject(new Error('The sign-in popup was blocked. Allow popups for this page and try again.'));
+                return;
+            }
+
+            const watcher = setInterval(() => {
+                if (popup.closed && pendingAuthorization && pendingAuthorization.state === state) {
+                    pendingAuthorization.reject(new Error('The sign-in window was closed'));
+                }
+            }, 500);
+
+            const finish = () => {
+                clearInterval(watcher);
+                pendingAuthorization = null;
+            };
+
+            pendingAuthorization = {
+                state: state,
+                resolve: params => { finish(); resolve(params); },
+                reject: error => { finish(); reject(error); }
+            };
+        });
+    }
+
+    window.addEventListener('message', function(event) {
+        if (event.origin !== window.location.origin || !event.data || event.data.type !== 'swaggerWithSwagg-oauth2') return;
+        if (!pendingAuthorization) return;
+
+        const params = event.data.params || {};
+        if (params.state !== pendingAuthorization.state) {
+            pendingAuthorization.reject(new Error('Sign-in response has an unexpected state'));
+        } else if (params.error) {
+            pendingAuthorization.reject(new Error(params.error_description || params.error));
+        } else if (!params.code) {
+            pendingAuthorization.reject(new Error('Sign-in response has no authorization code'));
+        } else {
+            pendingAuthorization.resolve(params);
+        }
+    });
+
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Window handlers
+
+    window.selectOAuth2Flow = async function(schemeName, flowName) {
+        const container = document.getElementById(`oauth2_fields_${schemeName}`);
+        const spec = await window.getSwaggerSpec();
+        const scheme = await window.OAuth2Manager.resolveScheme(spec.components?.securitySchemes?.[schemeName]);
+        if (container && scheme) {
+            container.innerHTML = window.OAuth2Manager.renderFlowFields(schemeName, scheme, flowName);
+        }
+    };
+
+    window.authorizeOAuth2 = async function(schemeName) {
+        const manager = window.OAuth2Manager;
+        const errorBox = document.getElementById(`oauth2_error_${schemeName}`);
+        const statusBox = document.getElementById(`oauth2_status_${schemeName}`);
+        const value = id => {
+            const input = document.getElementById(`oauth2_${id}_${schemeName}`);
+            return input ? input.value.trim() : '';
+        };
+
+        if (errorBox) errorBox.innerHTML = '';
+        if (statusBox) {
+            statusBox.textContent = 'Requesting token...';
+            statusBox.style.color = 'var(--text-secondary)';
+        }
+
+        try {
+            const spec = await window.getSwaggerSpec();
+            const scheme = await manager.resolveScheme(spec.components?.securitySchemes?.[schemeName]);
+            const scopesBox = document.getElementById(`oauth2_scopes_${schemeName}`);
+
+            await manager.authorize(schemeName, scheme, {
+                flow: document.getElementById(`oauth2_flow_${schemeName}`).value,
+                clientId: value('clientId'),
+                clientSecret: value('clientSecret'),
+                username: value('username'),
+                password: value('password'),
+                scopes: scopesBox ? Array.from(scopesBox.querySelectorAll('input:checked')).map(input => input.value) : []
+            });
+
+            const authButton = document.getElementById('authButton');
+            if (authButton) authButton.classList.add('authorized');
+        } catch (e) {
+            if (errorBox) {
+                errorBox.innerHTML = `
+                    <div style="padding: 8px 12px; margin-bottom: 8px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px; color: #f93e3e; font-size: 13px;">
+                        ❌ ${escapeHtml(e.message)}
+                    </div>
+                `;
+            }
+        }
+
+        if (statusBox) {
+            const status = manager.describeStatus(schemeName);
+            statusBox.textContent = status.text;
+            statusBox.style.color = status.color;
+        }
+    };
+
+    window.OAuth2Manager.load();
+
+})();
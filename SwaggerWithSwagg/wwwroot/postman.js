@@ -0,0 +1,525 @@
+/**
+ * SwaggerWithSwagg - Postman Collections
+ * Exports the spec (or one tag) as a Postman v2.1 collection and imports Postman collections into saved requests
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const AUTH_KEY = 'swaggerWithSwagg_auth';
+    const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+    const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+    /**
+     * Postman Manager - Converts between OpenAPI operations and Postman collections
+     */
+    window.PostmanManager = {
+        /**
+         * Build a Postman v2.1 collection for the whole spec, or only the operations of one tag
+         */
+        buildCollection(spec, tag) {
+            const savedAuth = loadSavedAuth();
+            const securitySchemes = spec.components?.securitySchemes || {};
+            const variables = [{ key: 'baseUrl', value: window.getRequestBaseUrl() || window.location.origin, type: 'string' }];
+
+            // One collection variable per security scheme, pre-filled with the saved credential
+            // (basic auth is saved as "username:password" and gets one variable for each)
+            Object.keys(securitySchemes).forEach(schemeName => {
+                const saved = savedAuth[schemeName] || '';
+                if (isBasicAuth(securitySchemes[schemeName])) {
+                    const separator = saved.indexOf(':');
+                    variables.push({ key: getAuthVariableName(schemeName, 'Username'), value: separator === -1 ? saved : saved.substring(0, separator), type: 'string' });
+                    variables.push({ key: getAuthVariableName(schemeName, 'Password'), value: separator === -1 ? '' : saved.substring(separator + 1), type: 'string' });
+                } else {
+                    variables.push({ key: getAuthVariableName(schemeName), value: saved, type: 'string' });
+                }
+            });
+
+            // Group operations into folders by tag (like the sidebar tree)
+            const folders = {};
+            Object.keys(spec.paths || {}).forEach(path => {
+                Object.keys(spec.paths[path]).forEach(method => {
+                    if (!HTTP_METHODS.includes(method)) return;
+
+                    const operation = spec.paths[path][method];
+                    const tags = operation.tags || ['Default'];
+                    tags.forEach(operationTag => {
+                        if (tag && operationTag !== tag) return;
+                        if (!folders[operationTag]) folders[operationTag] = [];
+                        folders[operationTag].push(this.buildItem(spec, method, path, operation));
+                    });
+                });
+            });
+
+            const title = spec.info?.title || 'API';
+            return {
+                info: {
+                    name: tag ? `${title} - ${tag}` : title,
+                    description: spec.info?.description || '',
+                    schema: POSTMAN_SCHEMA
+                },
+                item: Object.keys(folders).sort().map(folderName => ({
+                    name: folderName,
+                    item: folders[folderName]
+                })),
+                variable: variables
+            };
+        },
+
+        /**
+         * Build a Postman request item for one operation
+         */
+        buildItem(spec, method, path, operation) {
+            const parameters = operation.parameters || [];
+            const headers = [];
+            const query = [];
+            const pathVariables = [];
+            const cookies = [];
+
+            parameters.forEach(param => {
+                const example = getParameterExample(param);
+                if (param.in === 'path') {
+                    pathVariables.push({ key: param.name, value: example, description: param.description || '' });
+                } else if (param.in === 'query') {
+                    query.push({ key: encodeQueryComponent(param.name), value: encodeQueryComponent(example), description: param.description || '', disabled: !param.required });
+                } else if (param.in === 'header') {
+                    headers.push({ key: param.name, value: example, type: 'text', description: param.description || '', disabled: !param.required });
+                } else if (param.in === 'cookie') {
+                    cookies.push(`${param.name}=${example}`);
+                }
+            });
+
+            // Postman API keys only go in a header or the query, so a cookie API key joins the Cookie header
+            const security = getFirstScheme(spec, operation);
+            if (security && security.scheme.type === 'apiKey' && security.scheme.in === 'cookie') {
+                cookies.push(`${security.scheme.name}={{${getAuthVariableName(security.schemeName)}}}`);
+            }
+
+            if (cookies.length > 0) {
+                headers.push({ key: 'Cookie', value: cookies.join('; '), type: 'text' });
+            }
+
+            // Postman writes path variables as :name
+            const postmanPath = path.replace(/\{([^}]+)\}/g, ':$1');
+            const queryString = query.filter(q => !q.disabled).map(q => `${q.key}=${q.value}`).join('&');
+
+            const request = {
+                method: method.toUpperCase(),
+                header: headers,
+                url: {
+                    raw: `{{baseUrl}}${postmanPath}${queryString ? `?${queryString}` : ''}`,
+                    host: ['{{baseUrl}}'],
+                    path: postmanPath.split('/').filter(segment => segment !== ''),
+                    query: query,
+                    variable: pathVariables
+                },
+                description: operation.description || operation.summary || ''
+            };
+
+            const body = buildBody(spec, operation, headers);
+            if (body) request.body = body;
+
+            const auth = buildAuth(spec, operation);
+            if (auth) request.auth = auth;
+
+            return {
+                name: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+                request: request,
+                response: []
+            };
+        },
+
+        /**
+         * Download the collection for the whole spec or one tag
+         */
+        async export(tag) {
+            try {
+                const spec = await window.getSwaggerSpec();
+                const collection = this.buildCollection(spec, tag);
+                const fileName = `${collection.info.name.replace(/[^\w\- ]+/g, '').trim() || 'collection'}.postman_collection.json`;
+                downloadJson(collection, fileName);
+            } catch (e) {
+                console.error('Failed to export Postman collection:', e);
+                alert(`Failed to export Postman collection: ${e.message}`);
+            }
+        },
+
+        /**
+         * Import a Postman v2.0/v2.1 collection into saved requests.
+         * Requests are matched against spec.paths; ones without a matching operation are skipped.
+         * Nothing is saved unless the whole collection converts. Returns { imported, skipped: [names] }
+         */
+        import(collection, spec) {
+            if (!collection || !collection.info || !Array.isArray(collection.item)) {
+                throw new Error('Not a Postman collection (missing info/item)');
+            }
+            if (collection.info.schema && !/v2\.[01]\.0/.test(collection.info.schema)) {
+                throw new Error('Only Postman collection format v2.0 and v2.1 are supported');
+            }
+
+            const manager = window.CollectionsManager;
+            const variables = {};
+            (collection.variable || []).forEach(variable => {
+                variables[variable.key] = variable.value;
+            });
+
+            const result = { imported: 0, skipped: [] };
+
+            // Convert everything first: [{ folder, items }] or [{ name, snapshot }]
+            const convertItems = items => {
+                const converted = [];
+                items.forEach(item => {
+                    if (Array.isArray(item.item)) {
+                        converted.push({ folder: item.name || 'Folder', items: convertItems(item.item) });
+                        return;
+                    }
+                    if (!item.request) return;
+
+                    const snapshot = convertRequest(item.request, spec, variables);
+                    if (!snapshot) {
+                        result.skipped.push(item.name || 'Unnamed request');
+                        return;
+                    }
+
+                    converted.push({ name: item.name || `${snapshot.method.toUpperCase()} ${snapshot.path}`, snapshot: snapshot });
+                    result.imported++;
+                });
+                return converted;
+            };
+
+            const saveItems = (items, folderId) => {
+                items.forEach(item => {
+                    if (item.folder !== undefined) {
+                        saveItems(item.items, manager.addFolder(folderId, item.folder).id);
+                    } else {
+                        manager.addRequest(folderId, item.name, item.snapshot);
+                    }
+                });
+            };
+
+            const items = convertItems(collection.item);
+            if (result.imported > 0) {
+                saveItems(items, manager.addCollection(collection.info.name || 'Imported Collection').id);
+            }
+            return result;
+        }
+    };
+
+    function loadSavedAuth() {
+        try {
+            return JSON.parse(localStorage.getItem(AUTH_KEY) || '{}');
+        } catch (e) {
+            console.error('Failed to parse saved auth:', e);
+            return {};
+        }
+    }
+
+    // Collection variable holding the credential of a security scheme
+    function getAuthVariableName(schemeName, part = 'Token') {
+        return `${schemeName.replace(/[^\w]/g, '')}${part}`;
+    }
+
+    function isBasicAuth(scheme) {
+        return !!scheme && scheme.type === 'http' && String(scheme.scheme || '').toLowerCase() === 'basic';
+    }
+
+    // First scheme of the operation's first security requirement: { schemeName, scheme }, or null
+    function getFirstScheme(spec, operation) {
+        const security = operation.security !== undefined ? operation.security : (spec.security || []);
+        const schemeName = security.length > 0 ? Object.keys(security[0])[0] : null;
+        const scheme = schemeName ? (spec.components?.securitySchemes || {})[schemeName] : null;
+        return scheme ? { schemeName: schemeName, scheme: scheme } : null;
+    }
+
+    // Encode a query string key or value, keeping {{variables}} for Postman to fill in
+    function encodeQueryComponent(value) {
+        return String(value).split(/(\{\{[^}]+\}\})/)
+            .map(part => /^\{\{[^}]+\}\}$/.test(part) ? part : encodeURIComponent(part))
+            .join('');
+    }
+
+    function decodeQueryComponent(value) {
+        try {
+            return decodeURIComponent(String(value).replace(/\+/g, ' '));
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    // Example value for a parameter: example, default, first enum value, or empty
+    function getParameterExample(param) {
+        const schema = param.schema || param;
+        const value = param.example !== undefined ? param.example :
+            schema.example !== undefined ? schema.example :
+            schema.default !== undefined ? schema.default :
+            (schema.enum && schema.enum.length > 0) ? schema.enum[0] : '';
+        return String(value);
+    }
+
+    // Postman body from the operation's request body (JSON example, form data or urlencoded)
+    function buildBody(spec, operation, headers) {
+        const content = operation.requestBody?.content;
+        if (!content) return null;
+
+        const contentTypes = Object.keys(content);
+        const contentType = contentTypes.includes('application/json') ? 'application/json' : contentTypes[0];
+        const schema = content[contentType]?.schema;
+
+        if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+            const resolved = schema && schema.$ref ? resolveRef(schema.$ref, spec) : (schema || {});
+            const fields = Object.keys(resolved.properties || {}).map(name => {
+                const prop = resolved.properties[name];
+                const isFile = prop.format === 'binary' || (prop.type === 'array' && prop.items?.format === 'binary');
+                if (isFile) {
+                    return { key: name, type: 'file', src: [] };
+                }
+                const example = window.buildSchemaExample(prop, spec);
+                return { key: name, value: typeof example === 'object' ? JSON.stringify(example) : String(example ?? ''), type: 'text' };
+            });
+
+            if (contentType.includes('multipart/form-data')) {
+                return { mode: 'formdata', formdata: fields };
+            }
+            return { mode: 'urlencoded', urlencoded: fields.map(({ key, value }) => ({ key, value: value || '' })) };
+        }
+
+        headers.push({ key: 'Content-Type', value: contentType, type: 'text' });
+        const example = window.buildSchemaExample(schema, spec);
+        const isJson = contentType.includes('json');
+        return {
+            mode: 'raw',
+            raw: isJson ? JSON.stringify(example, null, 2) : (typeof example === 'string' ? example : JSON.stringify(example)),
+            options: { raw: { language: isJson ? 'json' : 'text' } }
+        };
+    }
+
+    // Postman auth for the first security requirement of the operation
+    function buildAuth(spec, operation) {
+        const security = operation.security !== undefined ? operation.security : (spec.security || []);
+        if (security.length === 0) return { type: 'noauth' };
+
+        const first = getFirstScheme(spec, operation);
+        if (!first) return null;
+
+        const { schemeName, scheme } = first;
+        const token = `{{${getAuthVariableName(schemeName)}}}`;
+        if (scheme.type === 'http' && String(scheme.scheme || '').toLowerCase() === 'bearer') {
+            return { type: 'bearer', bearer: [{ key: 'token', value: token, type: 'string' }] };
+        }
+        if (isBasicAuth(scheme)) {
+            return {
+                type: 'basic',
+                basic: [
+                    { key: 'username', value: `{{${getAuthVariableName(schemeName, 'Username')}}}`, type: 'string' },
+                    { key: 'password', value: `{{${getAuthVariableName(schemeName, 'Password')}}}`, type: 'string' }
+                ]
+            };
+        }
+        // Sent in the Cookie header (see buildItem)
+        if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+            return { type: 'noauth' };
+        }
+        if (scheme.type === 'apiKey') {
+            return {
+                type: 'apikey',
+                apikey: [
+                    { key: 'key', value: scheme.name, type: 'string' },
+                    { key: 'value', value: token, type: 'string' },
+                    { key: 'in', value: scheme.in === 'query' ? 'query' : 'header', type: 'string' }
+                ]
+            };
+        }
+        if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+            return {
+                type: 'oauth2',
+                oauth2: [
+                    { key: 'accessToken', value: token, type: 'string' },
+                    { key: 'tokenType', value: 'Bearer', type: 'string' },
+                    { key: 'addTokenTo', value: 'header', type: 'string' }
+                ]
+            };
+        }
+        return null;
+    }
+
+    function resolveRef(ref, spec) {
+        return ref.replace('#/', '').split('/').reduce((node, part) => (node ? node[part] : undefined), spec) || {};
+    }
+
+    // Convert a Postman request into a saved request snapshot, or null when no operation matches
+    function convertRequest(request, spec, variables) {
+        const method = (request.method || 'GET').toLowerCase();
+        const url = typeof request.url === 'string' ? { raw: request.url } : (request.url || {});
+
+        // Path: prefer the structured path array, otherwise strip scheme/host ({{baseUrl}} included) from the raw URL
+        const pathVariables = {};
+        (url.variable || []).forEach(variable => {
+            pathVariables[variable.key] = variable.value;
+        });
+
+        let pathname;
+        if (Array.isArray(url.path)) {
+            pathname = '/' + url.path.map(segment => typeof segment === 'string' ? segment : segment.value).join('/');
+        } else {
+            pathname = (url.raw || '').split('?')[0]
+                .replace(/^[a-z]+:\/\/[^/]+/i, '')
+                .replace(/^\{\{[^}]+\}\}/, '');
+        }
+
+        // :id segments become {{id}} unless the collection gives a value
+        pathname = pathname.replace(/:([\w-]+)/g, (match, name) => {
+            return pathVariables[name] !== undefined && pathVariables[name] !== '' ? pathVariables[name] : `{{${name}}}`;
+        });
+
+        const match = window.matchSpecPath(spec, method, pathname);
+        if (!match) return null;
+
+        const operationParams = match.operation.parameters || [];
+        const parameters = {};
+        Object.keys(match.pathParams).forEach(name => {
+            parameters[name] = match.pathParams[name];
+        });
+
+        // Query string
+        let queryItems = url.query;
+        if (!queryItems && url.raw && url.raw.includes('?')) {
+            queryItems = url.raw.split('?')[1].split('&').filter(Boolean).map(pair => {
+                const [key, ...rest] = pair.split('=');
+                return { key: key, value: rest.join('=') };
+            });
+        }
+        // Postman keeps query values URL-encoded; Try It Out encodes them again when sending
+        (queryItems || []).forEach(item => {
+            if (!item.disabled && item.key) parameters[decodeQueryComponent(item.key)] = decodeQueryComponent(item.value ?? '');
+        });
+
+        // Headers: declared header parameters become parameters, everything else a custom header
+        const customHeaders = [];
+        let contentType = null;
+        (request.header || []).forEach(header => {
+            if (header.disabled || !header.key) return;
+
+            if (header.key.toLowerCase() === 'content-type') {
+                contentType = header.value;
+            } else if (operationParams.some(param => param.in === 'header' && param.name.toLowerCase() === header.key.toLowerCase())) {
+                parameters[header.key] = header.value;
+            } else {
+                customHeaders.push({ key: header.key, value: header.value });
+            }
+        });
+
+        // Request-level auth that isn't inherited is kept as a custom header
+        const authHeader = convertAuth(request.auth, variables);
+        if (authHeader) customHeaders.push(authHeader);
+
+        // Body
+        let requestBody;
+        let formFields = null;
+        const body = request.body;
+        if (body && body.mode === 'raw') {
+            requestBody = body.raw;
+        } else if (body && body.mode === 'urlencoded') {
+            requestBody = (body.urlencoded || []).filter(field => !field.disabled)
+                .map(field => `${encodeURIComponent(field.key)}=${encodeURIComponent(field.value || '')}`).join('&');
+            contentType = contentType || 'application/x-www-form-urlencoded';
+        } else if (body && body.mode === 'formdata') {
+            // Text fields are kept; files aren't part of the collection and have to be picked again
+            formFields = {};
+            (body.formdata || []).forEach(field => {
+                if (!field.disabled && field.key && field.type !== 'file') formFields[field.key] = field.value || '';
+            });
+            contentType = 'multipart/form-data';
+        }
+
+        return {
+            method: method,
+            path: match.path,
+            parameters: parameters,
+            customHeaders: customHeaders,
+            requestBody: requestBody,
+            formFields: formFields,
+            contentType: contentType
+        };
+    }
+
+    // Postman request auth -> custom header.
+    // Collection variables are filled in; any other {{variables}} are resolved by the active environment.
+    function convertAuth(auth, variables) {
+        if (!auth || auth.type === 'noauth' || auth.type === 'inherit') return null;
+
+        const values = {};
+        (auth[auth.type] || []).forEach(entry => {
+            values[entry.key] = typeof entry.value === 'string'
+                ? entry.value.replace(/\{\{([\w.-]+)\}\}/g, (match, name) => variables[name] ? variables[name] : match)
+                : entry.value;
+        });
+
+        if (auth.type === 'bearer' && values.token) {
+            return { key: 'Authorization', value: `Bearer ${values.token}` };
+        }
+        if (auth.type === 'apikey' && values.key && values.in !== 'query') {
+            return { key: values.key, value: values.value || '' };
+        }
+        if (auth.type === 'basic') {
+            return { key: 'Authorization', value: window.formatHttpAuthorization('basic', `${values.username || ''}:${values.password || ''}`) };
+        }
+        if (auth.type === 'oauth2' && values.accessToken) {
+            return { key: 'Authorization', value: `Bearer ${values.accessToken}` };
+        }
+        return null;
+    }
+
+    function downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Export to Postman - Connected to sidebar buttons (whole spec or one tag folder)
+     */
+    window.exportPostmanCollection = function(tag) {
+        window.PostmanManager.export(tag);
+    };
+
+    /**
+     * Import a Postman collection file - Connected to the Saved tab
+     */
+    window.importPostmanCollection = function() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+
+            try {
+                const collection = JSON.parse(await file.text());
+                const spec = await window.getSwaggerSpec();
+                const result = window.PostmanManager.import(collection, spec);
+
+                window.CollectionsManager.renderSidebar();
+                window.switchSidebarTab('saved');
+
+                let message = result.imported > 0
+                    ? `Imported ${result.imported} request(s) from "${collection.info.name}".`
+                    : `Nothing was imported from "${collection.info.name}", so no collection was created.`;
+                if (result.skipped.length > 0) {
+                    message += `\n\n${result.skipped.length} request(s) did not match any endpoint of this API and were skipped:\n- ${result.skipped.join('\n- ')}`;
+                }
+                alert(message);
+            } catch (e) {
+                console.error('Failed to import Postman collection:', e);
+                alert(`Failed to import Postman collection: ${e.message}`);
+            }
+        };
+        input.click();
+    };
+
+})();
@@ -0,0 +1,367 @@
+/**
+ * SwaggerWithSwagg - Response Diff
+ * Compares the current Try It Out response with an earlier response of the same operation from the
+ * request history, or the latest responses recorded under two API versions.
+ * JSON bodies get a structural diff (key order ignored); other bodies a line diff.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const MAX_DIFF_LINES = 5000;
+    const MAX_LINE_DIFF_CELLS = 4000000;    // lines(a) * lines(b) limit for the text diff
+
+    // The response shown in the Try It Out panel: { method, path, swaggerEndpoint, status, body, timestamp }
+    let current = null;
+
+    /**
+     * Response Diff - Structural comparison of two response bodies
+     */
+    window.ResponseDiff = {
+        /**
+         * Remember the response currently shown, so the Compare tab can diff against it
+         */
+        setCurrent(response) {
+            current = Object.assign({ timestamp: Date.now() }, response);
+        },
+
+        /**
+         * Structural diff of two JSON values. Object key order is ignored, array items are compared by index.
+         * Returns [{ pointer, type: 'added' | 'removed' | 'changed', before, after }]
+         */
+        diff(before, after) {
+            const changes = [];
+
+            const walk = (a, b, pointer) => {
+                if (deepEqual(a, b)) return;
+
+                if (isObject(a) && isObject(b)) {
+                    unionKeys(a, b).forEach(key => {
+                        const childPointer = `${pointer}/${escapePointer(key)}`;
+                        if (!(key in a)) changes.push({ pointer: childPointer, type: 'added', after: b[key] });
+                        else if (!(key in b)) changes.push({ pointer: childPointer, type: 'removed', before: a[key] });
+                        else walk(a[key], b[key], childPointer);
+                    });
+                } else if (Array.isArray(a) && Array.isArray(b)) {
+                    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+                        const childPointer = `${pointer}/${i}`;
+                        if (i >= a.length) changes.push({ pointer: childPointer, type: 'added', after: b[i] });
+                        else if (i >= b.length) changes.push({ pointer: childPointer, type: 'removed', before: a[i] });
+                        else walk(a[i], b[i], childPointer);
+                    }
+                } else {
+                    changes.push({ pointer: pointer, type: 'changed', before: a, after: b });
+                }
+            };
+
+            walk(before, after, '');
+            return changes;
+        },
+
+        /**
+         * Diff view (HTML) of two response bodies. Each side is { label, status, body (text) }.
+         */
+        render(before, after) {
+            const beforeJson = parseJson(before.body);
+            const afterJson = parseJson(after.body);
+
+            let summary;
+            let lines;
+            if (beforeJson.ok && afterJson.ok) {
+                const changes = this.diff(beforeJson.value, afterJson.value);
+                const counts = { added: 0, removed: 0, changed: 0 };
+                changes.forEach(change => counts[change.type]++);
+                summary = changes.length === 0
+                    ? '<span style="color: #49cc90;">✓ Bodies are structurally identical</span>'
+                    : `<span style="color: #49cc90;">+${counts.added} added</span> · <span style="color: #f93e3e;">−${counts.removed} removed</span> · <span style="color: #ffa500;">~${counts.changed} changed</span>`;
+                lines = changes.length === 0 ? [] : jsonDiffLines(beforeJson.value, afterJson.value);
+            } else {
+                lines = textDiffLines(before.body || '', after.body || '');
+                summary = lines === null
+                    ? '<span style="color: #ffa500;">⚠️ Bodies differ, but are too large for a line diff</span>'
+                    : lines.some(line => line.type !== 'same')
+                        ? '<span style="color: var(--text-secondary);">Text diff (at least one body is not JSON)</span>'
+                        : '<span style="color: #49cc90;">✓ Bodies are identical</span>';
+            }
+
+            const statusLine = before.status !== after.status
+                ? `<span style="color: #ffa500;">Status ${escapeHtml(String(before.status))} → ${escapeHtml(String(after.status))}</span>`
+                : `<span style="color: var(--text-secondary);">Status ${escapeHtml(String(after.status))}</span>`;
+
+            return `
+                <div style="display: flex; justify-content: space-between; flex-wrap: wrap; gap: 8px; font-size: 12px; margin-bottom: 8px;">
+                    <span><span style="color: #f93e3e;">−</span> ${escapeHtml(before.label)} &nbsp; <span style="color: #49cc90;">+</span> ${escapeHtml(after.label)}</span>
+                    <span>${statusLine} · ${summary}</span>
+                </div>
+                ${lines && lines.length > 0 ? renderLines(lines) : ''}
+            `;
+        },
+
+        /**
+         * Fill the Compare tab for the current response
+         */
+        async renderPanel() {
+            const container = document.getElementById('responseComparePanel');
+            if (!container || !current) return;
+
+            if (!window.HistoryManager) {
+                container.innerHTML = '<p style="color: var(--text-secondary); font-size: 13px;">Request history is not available.</p>';
+                return;
+            }
+
+            const entries = (await window.HistoryManager.getAll()).filter(entry =>
+                entry.method === current.method && entry.timestamp < current.timestamp);
+            const earlier = entries.filter(entry => entry.path === current.path);
+            const versions = getVersions();
+
+            container.innerHTML = `
+                <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 12px; flex-wrap: wrap;">
+                    <label style="color: var(--text-secondary); font-size: 12px;">Compare with</label>
+                    <select class="auth-input" id="responseCompareEntry" onchange="compareWithHistoryEntry(this.value)" style="flex: 1; min-width: 200px; margin: 0;">
+                        <option value="">${earlier.length === 0 ? 'No earlier responses for this operation' : 'Select an earlier response...'}</option>
+                        ${earlier.map(entry => `<option value="${entry.id}">${escapeHtml(describeEntry(entry, versions))}</option>`).join('')}
+                    </select>
+                </div>
+                ${versions.length >= 2 ? `
+                    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 12px; flex-wrap: wrap;">
+                        <label style="color: var(--text-secondary); font-size: 12px;">Across versions</label>
+                        <select class="auth-input" id="responseCompareVersionA" style="flex: 1; margin: 0;">
+                            ${versions.map((version, index) => `<option value="${escapeHtml(version.endpoint)}" ${index === 0 ? 'selected' : ''}>${escapeHtml(version.name)}</option>`).join('')}
+                        </select>
+                        <span style="color: var(--text-secondary);">→</span>
+                        <select class="auth-input" id="responseCompareVersionB" style="flex: 1; margin: 0;">
+                            ${versions.map((version, index) => `<option value="${escapeHtml(version.endpoint)}" ${index === 1 ? 'selected' : ''}>${escapeHtml(version.name)}</option>`).join('')}
+                        </select>
+                        <button class="auth-modal-button auth-modal-button-secondary" onclick="compareApiVersions()">Compare</button>
+                    </div>
+                ` : ''}
+                <div id="responseCompareResult"></div>
+            `;
+        }
+    };
+
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Keys of b in order, followed by keys only present in a
+    function unionKeys(a, b) {
+        return Object.keys(b).concat(Object.keys(a).filter(key => !(key in b)));
+    }
+
+    function deepEqual(a, b) {
+        if (a === b) return true;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+        }
+        if (isObject(a) && isObject(b)) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+        }
+        return false;
+    }
+
+    function parseJson(text) {
+        if (typeof text !== 'string' || !text.trim()) return { ok: false };
+        try {
+            return { ok: true, value: JSON.parse(text) };
+        } catch (e) {
+            return { ok: false };
+        }
+    }
+
+    // Annotated JSON: unchanged subtrees collapse to one line, changed leaves show both sides
+    function jsonDiffLines(before, after) {
+        const lines = [];
+
+        const push = (type, depth, text) => {
+            lines.push({ type: type, text: '  '.repeat(depth) + text });
+        };
+
+        const pushValue = (type, depth, prefix, value) => {
+            JSON.stringify(value, null, 2).split('\n').forEach((line, index) => {
+                push(type, depth, (index === 0 ? prefix : '') + line);
+            });
+        };
+
+        const summarize = value => (Array.isArray(value) ? `[… ${value.length} items]` : `{… ${Object.keys(value).length} keys}`);
+
+        const walk = (a, b, depth, prefix) => {
+            if (deepEqual(a, b)) {
+                push('same', depth, prefix + (a !== null && typeof a === 'object' ? summarize(a) : JSON.stringify(a)));
+                return;
+            }
+
+            if (isObject(a) && isObject(b)) {
+                push('same', depth, prefix + '{');
+                unionKeys(a, b).forEach(key => {
+                    const keyPrefix = `${JSON.stringify(key)}: `;
+                    if (!(key in a)) pushValue('added', depth + 1, keyPrefix, b[key]);
+                    else if (!(key in b)) pushValue('removed', depth + 1, keyPrefix, a[key]);
+                    else walk(a[key], b[key], depth + 1, keyPrefix);
+                });
+                push('same', depth, '}');
+            } else if (Array.isArray(a) && Array.isArray(b)) {
+                push('same', depth, prefix + '[');
+                for (let i = 0; i < Math.max(a.length, b.length); i++) {
+                    const indexPrefix = `${i}: `;
+                    if (i >= a.length) pushValue('added', depth + 1, indexPrefix, b[i]);
+                    else if (i >= b.length) pushValue('removed', depth + 1, indexPrefix, a[i]);
+                    else walk(a[i], b[i], depth + 1, indexPrefix);
+                }
+                push('same', depth, ']');
+            } else {
+                pushValue('removed', depth, prefix, a);
+                pushValue('added', depth, prefix, b);
+            }
+        };
+
+        walk(before, after, 0, '');
+        return lines;
+    }
+
+    // Line diff via longest common subsequence; null when the inputs are too large
+    function textDiffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+        if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+            return before === after ? a.map(text => ({ type: 'same', text: text })) : null;
+        }
+
+        const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (j < b.length && (i >= a.length || table[i][j + 1] >= table[i + 1][j])) {
+                lines.push({ type: 'added', text: b[j++] });
+            } else {
+                lines.push({ type: 'removed', text: a[i++] });
+            }
+        }
+        return lines;
+    }
+
+    function renderLines(lines) {
+        const markers = { same: ' ', added: '+', removed: '−' };
+        const shown = lines.slice(0, MAX_DIFF_LINES);
+        const more = lines.length - shown.length;
+
+        return `
+            <div class="diff-view">
+                ${shown.map(line => `<div class="diff-line diff-${line.type}"><span class="diff-marker">${markers[line.type]}</span>${escapeHtml(line.text)}</div>`).join('')}
+                ${more > 0 ? `<div class="diff-line" style="color: var(--text-secondary);">… ${more} more lines</div>` : ''}
+            </div>
+        `;
+    }
+
+    // Versions listed in the API version selector: [{ endpoint, name }]
+    function getVersions() {
+        const selector = document.getElementById('apiVersionSelector');
+        if (!selector) return [];
+        return Array.from(selector.options).map(option => ({ endpoint: option.value, name: option.textContent.trim() }));
+    }
+
+    function getVersionName(endpoint, versions) {
+        const version = versions.find(v => v.endpoint === endpoint);
+        return version ? version.name : endpoint;
+    }
+
+    function describeEntry(entry, versions) {
+        const time = new Date(entry.timestamp).toLocaleString();
+        const version = versions.length > 0 && entry.swaggerEndpoint !== current.swaggerEndpoint ? ` · ${getVersionName(entry.swaggerEndpoint, versions)}` : '';
+        const environment = entry.environment ? ` · ${entry.environment}` : '';
+        return `${time} · ${entry.status || 'ERR'}${version}${environment}`;
+    }
+
+    // Paths of the same operation in different versions usually differ only by a version segment (/v1/ vs /v2/)
+    function normalizeVersionedPath(path) {
+        return (path || '').replace(/\/v\d+(\.\d+)*(?=\/|$)/gi, '/{version}');
+    }
+
+    function entryToSide(entry, label) {
+        const truncated = entry.responseBodyTruncated ? ' (truncated)' : '';
+        return { label: label + truncated, status: entry.status, body: entry.responseBody };
+    }
+
+    function showResult(html) {
+        const result = document.getElementById('responseCompareResult');
+        if (result) result.innerHTML = html;
+    }
+
+    // Window handlers
+
+    window.compareWithHistoryEntry = async function(id) {
+        if (!id || !current || !window.HistoryManager) {
+            showResult('');
+            return;
+        }
+
+        const entry = await window.HistoryManager.get(Number(id));
+        if (!entry) return;
+
+        const versions = getVersions();
+        showResult(window.ResponseDiff.render(
+            entryToSide(entry, describeEntry(entry, versions)),
+            { label: 'Current response', status: current.status, body: current.body }
+        ));
+    };
+
+    window.compareApiVersions = async function() {
+        const endpointA = document.getElementById('responseCompareVersionA')?.value;
+        const endpointB = document.getElementById('responseCompareVersionB')?.value;
+        if (!current || !window.HistoryManager) return;
+
+        if (endpointA === endpointB) {
+            showResult('<p style="color: #ffa500; font-size: 13px;">⚠️ Select two different versions.</p>');
+            return;
+        }
+
+        const versions = getVersions();
+        const operationPath = normalizeVersionedPath(current.path);
+        const entries = (await window.HistoryManager.getAll()).filter(entry =>
+            entry.method === current.method && normalizeVersionedPath(entry.path) === operationPath);
+
+        // Latest recorded response per version; the current response counts for the active version
+        const latest = endpoint => {
+            if (endpoint === current.swaggerEndpoint) {
+                return { label: `${getVersionName(endpoint, versions)} · current response`, status: current.status, body: current.body };
+            }
+            const entry = entries.find(e => e.swaggerEndpoint === endpoint);
+            return entry ? entryToSide(entry, `${getVersionName(endpoint, versions)} · ${new Date(entry.timestamp).toLocaleString()}`) : null;
+        };
+
+        const sideA = latest(endpointA);
+        const sideB = latest(endpointB);
+        const missing = [[endpointA, sideA], [endpointB, sideB]].filter(([, side]) => !side).map(([endpoint]) => getVersionName(endpoint, versions));
+        if (missing.length > 0) {
+            showResult(`<p style="color: #ffa500; font-size: 13px;">⚠️ No recorded response for this operation in ${escapeHtml(missing.join(' and '))}. Switch to that version and execute the request first.</p>`);
+            return;
+        }
+
+        showResult(window.ResponseDiff.render(sideA, sideB));
+    };
+
+})();
@@ -0,0 +1,245 @@
+/**
+ * SwaggerWithSwagg - Response Preview
+ * Renders non-JSON responses by content type: inline images, embedded PDFs, sandboxed HTML previews,
+ * pretty-printed XML and downloads for binary payloads.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const TEXT_TYPES = ['application/javascript', 'application/x-www-form-urlencoded', 'application/x-yaml', 'application/yaml', 'application/graphql'];
+
+    // Object URL of the last binary response (revoked when the next one arrives)
+    let currentObjectUrl = null;
+
+    /**
+     * Response Preview - Content-type aware rendering of response bodies
+     */
+    window.ResponsePreview = {
+        /**
+         * Classify a Content-Type header: json, image, pdf, html, xml, text or binary.
+         * image, pdf and binary bodies must be read as a Blob; the rest as text.
+         */
+        getKind(contentType) {
+            const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+            if (!mediaType) return 'text';
+            if (mediaType.includes('json')) return 'json';
+            if (mediaType.startsWith('image/')) return 'image';
+            if (mediaType === 'application/pdf') return 'pdf';
+            if (mediaType === 'text/html' || mediaType === 'application/xhtml+xml') return 'html';
+            if (mediaType.endsWith('/xml') || mediaType.endsWith('+xml')) return 'xml';
+            if (mediaType.startsWith('text/') || TEXT_TYPES.includes(mediaType)) return 'text';
+            return 'binary';
+        },
+
+        /**
+         * Whether a response of this kind is read as a Blob instead of text
+         */
+        isBinary(kind) {
+            return kind === 'image' || kind === 'pdf' || kind === 'binary';
+        },
+
+        /**
+         * Wrap a Blob for rendering: { url, fileName, contentType, size }.
+         * The previous object URL is revoked, so only the latest response stays downloadable.
+         */
+        createFile(blob, contentType, contentDisposition) {
+            if (currentObjectUrl) {
+                URL.revokeObjectURL(currentObjectUrl);
+            }
+            currentObjectUrl = URL.createObjectURL(blob);
+
+            return {
+                url: currentObjectUrl,
+                fileName: this.getFileName(contentDisposition, contentType),
+                contentType: (contentType || 'application/octet-stream').split(';')[0].trim(),
+                size: blob.size
+            };
+        },
+
+        /**
+         * Filename from a Content-Disposition header (RFC 6266: filename* wins over filename),
+         * falling back to "response.<ext>" derived from the content type
+         */
+        getFileName(contentDisposition, contentType) {
+            const header = contentDisposition || '';
+
+            const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+            if (extended) {
+                try {
+                    return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+                } catch (e) {
+                    // Malformed encoding - fall through to the plain filename
+                }
+            }
+
+            const plain = /filename\s*=\s*("((?:\\.|[^"\\])*)"|[^;]+)/i.exec(header);
+            if (plain) {
+                const name = plain[2] !== undefined ? plain[2].replace(/\\(.)/g, '$1') : plain[1].trim();
+                if (name) return name.split(/[\\/]/).pop();
+            }
+
+            const subtype = ((contentType || '').split(';')[0].split('/')[1] || '').trim().toLowerCase();
+            const extension = !subtype || subtype === 'octet-stream' ? 'bin' : subtype.replace(/^x-/, '').split('+')[0];
+            return `response.${extension}`;
+        },
+
+        /**
+         * Human readable byte size
+         */
+        formatSize(bytes) {
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        },
+
+        /**
+         * HTML for an image, PDF or binary response
+         */
+        renderFile(kind, file) {
+            const meta = `
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; font-size: 12px; color: var(--text-secondary);">
+                    <span>${escapeHtml(file.contentType)} · ${this.formatSize(file.size)}</span>
+                    <a href="${file.url}" download="${escapeHtml(file.fileName)}" style="color: var(--orange); text-decoration: none;">⬇ ${escapeHtml(file.fileName)}</a>
+                </div>
+            `;
+
+            if (kind === 'image') {
+                return `
+                    <div style="margin-bottom: 16px;">
+                        ${meta}
+                        <div class="response-image-preview">
+                            <img src="${file.url}" alt="${escapeHtml(file.fileName)}">
+                        </div>
+                    </div>
+                `;
+            }
+
+            if (kind === 'pdf') {
+                return `
+                    <div style="margin-bottom: 16px;">
+                        ${meta}
+                        <iframe src="${file.url}" title="${escapeHtml(file.fileName)}" style="width: 100%; height: 500px; border: 1px solid var(--border-color); border-radius: 4px; background: #fff;"></iframe>
+                    </div>
+                `;
+            }
+
+            return `
+                <div style="margin-bottom: 16px; padding: 24px; border: 1px solid var(--border-color); border-radius: 4px; background: var(--dark-bg); text-align: center;">
+                    <div style="font-size: 32px; margin-bottom: 8px;">📦</div>
+                    <div style="color: var(--text-primary); font-weight: 600; margin-bottom: 4px; word-break: break-all;">${escapeHtml(file.fileName)}</div>
+                    <div style="color: var(--text-secondary); font-size: 12px; margin-bottom: 16px;">${escapeHtml(file.contentType)} · ${this.formatSize(file.size)}</div>
+                    <a href="${file.url}" download="${escapeHtml(file.fileName)}" class="auth-modal-button auth-modal-button-primary" style="text-decoration: none; display: inline-block;">⬇ Download</a>
+                </div>
+            `;
+        },
+
+        /**
+         * Placeholder for a cached binary response (blobs are not kept in localStorage)
+         */
+        renderCachedFile(file) {
+            return `
+                <div style="margin-bottom: 16px; padding: 16px; border: 1px dashed var(--border-color); border-radius: 4px; color: var(--text-secondary); font-size: 13px;">
+                    📦 <strong style="color: var(--text-primary);">${escapeHtml(file.fileName)}</strong> (${escapeHtml(file.contentType)}, ${this.formatSize(file.size)})<br>
+                    <span style="font-size: 12px;">Binary responses are not cached. Execute the request again to view or download it.</span>
+                </div>
+            `;
+        },
+
+        /**
+         * Sandboxed preview of an HTML response with a Preview/Source toggle.
+         * The source is the raw body box (#responseRawBody), which starts hidden.
+         */
+        renderHtmlPreview(html) {
+            return `
+                <div class="response-preview-modes">
+                    <button class="response-preview-mode active" data-mode="preview" onclick="switchResponsePreview('preview')">Preview</button>
+                    <button class="response-preview-mode" data-mode="source" onclick="switchResponsePreview('source')">Source</button>
+                </div>
+                <iframe id="responsePreview" sandbox="" srcdoc="${escapeHtml(html)}" title="HTML preview" style="width: 100%; height: 500px; border: 1px solid var(--border-color); border-radius: 4px; background: #fff;"></iframe>
+            `;
+        },
+
+        /**
+         * Re-indent an XML document, two spaces per level. Text-only elements stay on one line.
+         * Malformed input is indented as far as possible rather than rejected.
+         */
+        formatXml(xml) {
+            const tokens = xml.replace(/>\s+</g, '><').trim().match(/<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<[^>]+>|[^<]+/g) || [];
+            const lines = [];
+            let depth = 0;
+
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                const indent = '  '.repeat(Math.max(depth, 0));
+
+                if (/^<\//.test(token)) {
+                    depth--;
+                    lines.push('  '.repeat(Math.max(depth, 0)) + token);
+                } else if (/^<[^!?]/.test(token) && !/\/>$/.test(token)) {
+                    // Opening tag: keep <a>text</a> together
+                    const text = tokens[i + 1];
+                    const close = tokens[i + 2];
+                    if (text !== undefined && !text.startsWith('<') && close && /^<\//.test(close)) {
+                        lines.push(indent + token + text.trim() + close);
+                        i += 2;
+                    } else {
+                        lines.push(indent + token);
+                        depth++;
+                    }
+                } else if (token.startsWith('<')) {
+                    // Self-closing tag, comment, CDATA, declaration or processing instruction
+                    lines.push(indent + token);
+                } else if (token.trim()) {
+                    lines.push(indent + token.trim());
+                }
+            }
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Syntax highlight XML text (escapes it first)
+         */
+        highlightXml(xml) {
+            return xml.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[^>]+>|[^<]+/g, token => {
+                if (token.startsWith('<!--') || token.startsWith('<![CDATA[')) {
+                    return `<span style="color: #6a9955;">${escapeHtml(token)}</span>`;
+                }
+                if (!token.startsWith('<')) {
+                    return escapeHtml(token);
+                }
+
+                const match = /^(<\/?[!?]?)([^\s/>?]*)([\s\S]*?)([/?]?>)$/.exec(token);
+                if (!match) return escapeHtml(token);
+
+                const attributes = escapeHtml(match[3]).replace(/([\w:.-]+)(\s*=\s*)(&quot;.*?&quot;|'[^']*')/g,
+                    '<span style="color: #9cdcfe;">$1</span>$2<span style="color: #ce9178;">$3</span>');
+                return `<span style="color: #808080;">${escapeHtml(match[1])}</span><span style="color: #569cd6;">${escapeHtml(match[2])}</span>${attributes}<span style="color: #808080;">${escapeHtml(match[4])}</span>`;
+            });
+        }
+    };
+
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Switch an HTML response between the sandboxed preview and its source
+    window.switchResponsePreview = function(mode) {
+        const preview = document.getElementById('responsePreview');
+        const source = document.getElementById('responseRawBody');
+        if (!preview || !source) return;
+
+        document.querySelectorAll('.response-preview-mode').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-mode') === mode);
+        });
+        preview.style.display = mode === 'preview' ? 'block' : 'none';
+        source.style.display = mode === 'preview' ? 'none' : '';
+    };
+
+})();
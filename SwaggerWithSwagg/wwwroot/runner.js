@@ -0,0 +1,650 @@
+/**
+ * SwaggerWithSwagg - Collection Runner
+ * Runs the saved requests of a collection in order through the Try It Out request pipeline,
+ * chaining values between requests ({{variables}} extracted with JSONPath), iterating over a CSV/JSON
+ * data file and reporting pass/fail as JSON or JUnit XML.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const MAX_DATA_ROWS = 1000;
+
+    // Runner modal state
+    let runnerState = {
+        folderId: null,
+        dataRows: null,         // [{ column: value }] from the data file, or null
+        dataFileName: '',
+        running: false,
+        report: null
+    };
+
+    // Handle of the run in progress ({ stopRequested, state }) - only one run at a time
+    let activeRun = null;
+
+    /**
+     * Collection Runner - Executes saved requests in sequence
+     */
+    window.CollectionRunner = {
+        /**
+         * Parse extraction rules ("customerId = $.id; orderId = $.order.id") into [{ variable, path }]
+         */
+        parseExtractions(text) {
+            return (text || '').split(/[;\n]/)
+                .map(rule => rule.trim())
+                .filter(rule => rule)
+                .map(rule => {
+                    const index = rule.indexOf('=');
+                    if (index === -1) throw new Error(`Expected "variable = $.path" in: ${rule}`);
+                    return { variable: rule.substring(0, index).trim(), path: rule.substring(index + 1).trim() };
+                });
+        },
+
+        /**
+         * Format extraction rules back into the editable text form
+         */
+        formatExtractions(extractions) {
+            return (extractions || []).map(rule => `${rule.variable} = ${rule.path}`).join('; ');
+        },
+
+        /**
+         * Parse a CSV (header row + data rows) or JSON (array of objects) data file into rows
+         */
+        parseDataFile(text, fileName) {
+            const trimmed = text.trim();
+            let rows;
+
+            if (/\.json$/i.test(fileName || '') || trimmed.startsWith('[')) {
+                rows = JSON.parse(trimmed);
+                if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+                    throw new Error('A JSON data file must be an array of objects');
+                }
+            } else {
+                const records = parseCsv(trimmed);
+                if (records.length < 2) throw new Error('A CSV data file needs a header row and at least one data row');
+
+                const header = records[0].map(column => column.trim());
+                rows = records.slice(1)
+                    .filter(record => record.some(value => value !== ''))
+                    .map(record => header.reduce((row, column, index) => {
+                        row[column] = record[index] !== undefined ? record[index] : '';
+                        return row;
+                    }, {}));
+            }
+
+            if (rows.length === 0) throw new Error('The data file has no rows');
+            if (rows.length > MAX_DATA_ROWS) throw new Error(`The data file has more than ${MAX_DATA_ROWS} rows`);
+            return rows;
+        },
+
+        /**
+         * Run the requests of a folder. dataRows (optional) gives one iteration per row.
+         * onProgress(result) is called after every request. Returns the report.
+         */
+        async run(folderId, options = {}) {
+            const manager = window.CollectionsManager;
+            const found = manager.find(folderId);
+            if (!found || found.node.type !== 'folder') throw new Error('Collection not found');
+
+            const folder = found.node;
+            const requests = manager.getRequests(folder).filter(request => !request.skipInRun);
+            const spec = await window.getSwaggerSpec();
+            const iterations = options.dataRows && options.dataRows.length > 0 ? options.dataRows : [{}];
+            const startedAt = Date.now();
+            const results = [];
+
+            for (let iteration = 0; iteration < iterations.length; iteration++) {
+                // Data columns are variables; values extracted during the iteration are added on top
+                const variables = Object.assign({}, stringifyValues(iterations[iteration]));
+
+                for (const request of requests) {
+                    if (options.shouldStop && options.shouldStop()) {
+                        return buildReport(folder, startedAt, iterations.length, results, true);
+                    }
+
+                    const result = await runRequest(request, spec, variables);
+                    result.iteration = iteration + 1;
+                    results.push(result);
+                    if (options.onProgress) options.onProgress(result);
+
+                    if (!result.passed && !result.skipped && options.stopOnFailure) {
+                        return buildReport(folder, startedAt, iterations.length, results, true);
+                    }
+                }
+            }
+
+            return buildReport(folder, startedAt, iterations.length, results, false);
+        },
+
+        /**
+         * JUnit XML for a report: one test suite per iteration, one test case per request
+         */
+        toJUnit(report) {
+            const suites = [];
+            for (let iteration = 1; iteration <= report.iterations; iteration++) {
+                const cases = report.results.filter(result => result.iteration === iteration);
+                if (cases.length === 0) continue;
+
+                const counts = countOutcomes(cases);
+                const time = cases.reduce((total, result) => total + (result.duration || 0), 0) / 1000;
+
+                suites.push(`  <testsuite name="${escapeXml(`${report.collection} - iteration ${iteration}`)}" tests="${cases.length}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${time.toFixed(3)}">
+${cases.map(result => renderTestCase(report, result)).join('\n')}
+  </testsuite>`);
+            }
+
+            // Failed assertions and requests that could not be sent are reported separately
+            const counts = countOutcomes(report.results);
+            const time = report.duration / 1000;
+            return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(report.collection)}" tests="${report.totals.requests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${time.toFixed(3)}">
+${suites.join('\n')}
+</testsuites>
+`;
+        }
+    };
+
+    // Execution
+
+    async function runRequest(request, spec, variables) {
+        const method = request.method.toLowerCase();
+        const result = {
+            name: request.name,
+            method: method.toUpperCase(),
+            path: request.path,
+            url: null,
+            status: null,
+            duration: null,
+            tests: [],
+            extracted: {},
+            error: null,
+            skipped: null,
+            passed: false
+        };
+
+        const operation = spec.paths && spec.paths[request.path] ? spec.paths[request.path][method] : null;
+        if (!operation) {
+            result.error = 'Operation not found in the current API definition';
+            return result;
+        }
+
+        // Multipart bodies are rebuilt from the saved text fields; files aren't saved with a request
+        let formData = null;
+        if ((request.contentType || '').includes('multipart/form-data')) {
+            if (requiresFileUpload(operation, request.contentType, spec)) {
+                result.skipped = 'Needs a file upload - files are not saved with the request';
+                return result;
+            }
+
+            formData = new FormData();
+            Object.keys(request.formFields || {}).forEach(name => {
+                formData.append(name, window.EnvironmentManager.substitute(request.formFields[name], variables));
+            });
+        }
+
+        try {
+            const sent = await window.sendOperationRequest({ method: method, path: request.path, operation: operation, spec: spec }, {
+                parameters: request.parameters,
+                customHeaders: request.customHeaders,
+                contentType: request.contentType,
+                requestBody: request.requestBody,
+                formData: formData,
+                securityRequirement: request.securityRequirement
+            }, variables);
+
+            const body = await readBody(sent.response);
+            const headers = {};
+            sent.response.headers.forEach((value, key) => {
+                headers[key] = value;
+            });
+
+            result.url = sent.url;
+            result.status = sent.response.status;
+            result.duration = sent.duration;
+
+            const response = { status: sent.response.status, statusText: sent.response.statusText, duration: sent.duration, headers: headers, body: body };
+
+            // Operation tests (assertions and script); pm.variables.set values are chained like extractions
+            if (window.TestManager && window.TestManager.hasTests(window.TestManager.get(method, request.path))) {
+                const outcome = await window.TestManager.run(method, request.path, response, { variables: variables });
+                result.tests = outcome.results;
+                if (outcome.error) {
+                    result.tests.push({ name: 'Test script', passed: false, message: outcome.error });
+                }
+                Object.keys(outcome.variables || {}).forEach(name => {
+                    if (variables[name] !== outcome.variables[name]) {
+                        variables[name] = stringifyValue(outcome.variables[name]);
+                        result.extracted[name] = variables[name];
+                    }
+                });
+            } else {
+                result.tests = [{ name: 'Status code is 2xx', passed: sent.response.ok, message: sent.response.ok ? '' : `Actual: ${sent.response.status}` }];
+            }
+
+            // Extract values for the following requests
+            (request.extract || []).forEach(rule => {
+                const value = extractValue(body, rule.path);
+                if (value === undefined) {
+                    result.tests.push({ name: `Extract ${rule.variable} from ${rule.path}`, passed: false, message: 'No value found' });
+                } else {
+                    variables[rule.variable] = value;
+                    result.extracted[rule.variable] = value;
+                }
+            });
+
+            result.passed = result.tests.every(test => test.passed);
+        } catch (e) {
+            result.error = e.message;
+        }
+
+        return result;
+    }
+
+    // Whether the multipart form of an operation has a required file field (the same fields the Try It Out form shows)
+    function requiresFileUpload(operation, contentType, spec) {
+        const content = operation.requestBody && operation.requestBody.content ? operation.requestBody.content : {};
+        const media = content[contentType] || content[Object.keys(content).find(type => type.includes('multipart/form-data'))];
+        const schema = resolveRef(media && media.schema, spec);
+
+        // Without properties the form is a single required file input
+        if (!schema || !schema.properties) return true;
+
+        return Object.keys(schema.properties).some(name => {
+            const property = resolveRef(schema.properties[name], spec) || {};
+            const isFile = property.type === 'string' && property.format === 'binary';
+            const isMultipleFiles = property.type === 'array' && property.items && property.items.type === 'string' && property.items.format === 'binary';
+            return (isFile || isMultipleFiles) && (schema.required || []).includes(name);
+        });
+    }
+
+    function resolveRef(schema, spec) {
+        if (!schema || !schema.$ref) return schema;
+
+        let resolved = spec;
+        schema.$ref.replace('#/', '').split('/').forEach(part => {
+            resolved = resolved ? resolved[part] : undefined;
+        });
+        return resolved;
+    }
+
+    async function readBody(response) {
+        const kind = window.ResponsePreview ? window.ResponsePreview.getKind(response.headers.get('content-type')) : 'text';
+        if (window.ResponsePreview && window.ResponsePreview.isBinary(kind)) {
+            const blob = await response.blob();
+            return blob.size > 0 ? '(binary)' : '';
+        }
+        return response.text();
+    }
+
+    function extractValue(body, path) {
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {
+            return undefined;
+        }
+
+        const values = window.JsonViewer ? window.JsonViewer.query(json, path) : [];
+        return values.length > 0 ? stringifyValue(values[0]) : undefined;
+    }
+
+    function stringifyValue(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    function stringifyValues(row) {
+        return Object.keys(row || {}).reduce((result, key) => {
+            result[key] = stringifyValue(row[key]);
+            return result;
+        }, {});
+    }
+
+    function buildReport(folder, startedAt, iterations, results, stopped) {
+        const passed = results.filter(result => result.passed).length;
+        const skipped = results.filter(result => result.skipped).length;
+        return {
+            collection: folder.name,
+            startedAt: new Date(startedAt).toISOString(),
+            duration: Date.now() - startedAt,
+            iterations: iterations,
+            stopped: stopped,
+            totals: {
+                requests: results.length,
+                passed: passed,
+                failed: results.length - passed - skipped,
+                skipped: skipped
+            },
+            results: results
+        };
+    }
+
+    // JUnit counts: failures are failed assertions, errors are requests that could not be sent
+    function countOutcomes(results) {
+        return {
+            failures: results.filter(result => !result.passed && !result.error && !result.skipped).length,
+            errors: results.filter(result => result.error).length,
+            skipped: results.filter(result => result.skipped).length
+        };
+    }
+
+    // CSV with quoted fields ("a, b", "say ""hi""") and line breaks inside quotes
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        record.push(field);
+        records.push(record);
+        return records;
+    }
+
+    // Rendering
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    function renderTestCase(report, result) {
+        const name = escapeXml(`${result.name} (${result.method} ${result.path})`);
+        const time = ((result.duration || 0) / 1000).toFixed(3);
+        const open = `    <testcase name="${name}" classname="${escapeXml(report.collection)}" time="${time}"`;
+
+        if (result.error) {
+            return `${open}>\n      <error message="${escapeXml(result.error)}"/>\n    </testcase>`;
+        }
+
+        if (result.skipped) {
+            return `${open}>\n      <skipped message="${escapeXml(result.skipped)}"/>\n    </testcase>`;
+        }
+
+        const failed = result.tests.filter(test => !test.passed);
+        if (failed.length === 0) return `${open}/>`;
+
+        const message = failed.map(test => test.message ? `${test.name}: ${test.message}` : test.name).join('\n');
+        return `${open}>\n      <failure message="${escapeXml(failed[0].name)}">${escapeXml(message)}</failure>\n    </testcase>`;
+    }
+
+    function renderResultRow(result) {
+        const failures = result.error ? [result.error] : result.tests.filter(test => !test.passed).map(test => test.message ? `${test.name}: ${test.message}` : test.name);
+        const extracted = Object.keys(result.extracted).map(name => `${name} = ${result.extracted[name]}`).join(', ');
+        const outcome = result.passed ? { label: 'PASS', color: '#49cc90' } : result.skipped ? { label: 'SKIP', color: 'var(--text-secondary)' } : { label: 'FAIL', color: '#f93e3e' };
+
+        return `
+            <div style="padding: 8px 12px; border-bottom: 1px solid var(--border-color); font-size: 13px; background: var(--dark-bg);">
+                <div style="display: flex; gap: 10px; align-items: center;">
+                    <span style="color: ${outcome.color}; font-weight: 600; min-width: 40px;">${outcome.label}</span>
+                    <span class="endpoint-method method-${result.method.toLowerCase()}">${result.method}</span>
+                    <span style="flex: 1; color: var(--text-primary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHtml(result.url || result.path)}">${escapeHtml(result.name)}</span>
+                    <span style="color: var(--text-secondary); font-size: 12px;">#${result.iteration}</span>
+                    <span style="color: var(--text-secondary); font-size: 12px;">${result.status !== null ? result.status : '—'}</span>
+                    <span style="color: var(--text-secondary); font-size: 12px; min-width: 50px; text-align: right;">${result.duration !== null ? `${result.duration}ms` : ''}</span>
+                </div>
+                ${result.skipped ? `<div style="color: var(--text-secondary); font-size: 12px; margin: 4px 0 0 50px;">${escapeHtml(result.skipped)}</div>` : ''}
+                ${failures.map(message => `<div style="color: #f93e3e; font-size: 12px; margin: 4px 0 0 50px;">${escapeHtml(message)}</div>`).join('')}
+                ${extracted ? `<div style="color: var(--text-secondary); font-size: 12px; margin: 4px 0 0 50px; font-family: 'Monaco', 'Consolas', monospace;">${escapeHtml(extracted)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    function renderRequestList(folder) {
+        const requests = window.CollectionsManager.getRequests(folder);
+        if (requests.length === 0) {
+            return '<p style="color: var(--text-secondary); font-size: 13px;">This collection has no saved requests.</p>';
+        }
+
+        return requests.map(request => `
+            <div style="display: flex; gap: 8px; align-items: center; padding: 6px 0;">
+                <input type="checkbox" ${request.skipInRun ? '' : 'checked'} onchange="setRunnerRequestEnabled('${request.id}', this.checked)" title="Include in the run">
+                <span class="endpoint-method method-${request.method}">${request.method.toUpperCase()}</span>
+                <span style="flex: 0 0 30%; color: var(--text-primary); font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHtml(request.path)}">${escapeHtml(request.name)}</span>
+                <input type="text" class="auth-input" value="${escapeHtml(window.CollectionRunner.formatExtractions(request.extract))}" placeholder="customerId = $.id" onchange="setRunnerExtractions('${request.id}', this)" style="flex: 1; margin: 0; font-family: 'Monaco', 'Consolas', monospace; font-size: 12px;" title="Values to extract from the response as {{variables}} for the following requests">
+            </div>
+        `).join('');
+    }
+
+    function renderSummary(report) {
+        const failed = report.totals.failed > 0;
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 10px 12px; margin-bottom: 8px; border: 1px solid ${failed ? '#f93e3e' : '#49cc90'}; border-radius: 4px; background: ${failed ? 'rgba(249, 62, 62, 0.1)' : 'rgba(73, 204, 144, 0.1)'}; font-size: 13px;">
+                <span style="color: ${failed ? '#f93e3e' : '#49cc90'}; font-weight: 600;">
+                    ${failed ? '❌' : '✓'} ${report.totals.passed} passed, ${report.totals.failed} failed${report.totals.skipped > 0 ? `, ${report.totals.skipped} skipped` : ''} · ${report.iterations} iteration(s) · ${report.duration}ms${report.stopped ? ' · stopped' : ''}
+                </span>
+                <span style="display: flex; gap: 6px;">
+                    <button class="sidebar-action-button" style="padding: 4px 10px;" onclick="exportRunnerReport('json')">⤓ JSON</button>
+                    <button class="sidebar-action-button" style="padding: 4px 10px;" onclick="exportRunnerReport('junit')">⤓ JUnit</button>
+                </span>
+            </div>
+        `;
+    }
+
+    function download(content, fileName, type) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function setRunning(running) {
+        runnerState.running = running;
+        const runButton = document.getElementById('runnerRunButton');
+        const stopButton = document.getElementById('runnerStopButton');
+        if (runButton) runButton.style.display = running ? 'none' : '';
+        if (stopButton) stopButton.style.display = running ? '' : 'none';
+    }
+
+    function showRunnerError(message) {
+        const error = document.getElementById('runnerError');
+        if (!error) return;
+
+        error.innerHTML = message ? `
+            <div style="padding: 10px 12px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px; color: #f93e3e; font-size: 13px;">
+                ❌ ${escapeHtml(message)}
+            </div>
+        ` : '';
+    }
+
+    // Window handlers
+
+    /**
+     * Open the runner for a collection or folder
+     */
+    window.openCollectionRunner = function(folderId) {
+        const modal = document.getElementById('collectionRunnerModal');
+        const found = window.CollectionsManager.find(folderId);
+        if (!modal || !found) return;
+
+        // A run of the previously opened collection is stopped, not left running in the background
+        if (activeRun) activeRun.stopRequested = true;
+
+        runnerState = { folderId: folderId, dataRows: null, dataFileName: '', running: false, report: null };
+
+        document.getElementById('runnerTitle').textContent = `▶ Run "${found.node.name}"`;
+        document.getElementById('runnerRequests').innerHTML = renderRequestList(found.node);
+        document.getElementById('runnerDataInfo').textContent = 'No data file - runs once';
+        document.getElementById('runnerDataFile').value = '';
+        document.getElementById('runnerResults').innerHTML = '';
+        showRunnerError('');
+        setRunning(false);
+
+        modal.style.display = 'flex';
+    };
+
+    window.closeCollectionRunner = function() {
+        const modal = document.getElementById('collectionRunnerModal');
+        if (modal) modal.style.display = 'none';
+        if (activeRun) activeRun.stopRequested = true;
+    };
+
+    window.setRunnerRequestEnabled = function(id, enabled) {
+        const manager = window.CollectionsManager;
+        const found = manager.find(id);
+        if (!found) return;
+
+        if (enabled) {
+            delete found.node.skipInRun;
+        } else {
+            found.node.skipInRun = true;
+        }
+        manager.save();
+    };
+
+    window.setRunnerExtractions = function(id, input) {
+        const manager = window.CollectionsManager;
+        const found = manager.find(id);
+        if (!found) return;
+
+        try {
+            found.node.extract = window.CollectionRunner.parseExtractions(input.value);
+            manager.save();
+            input.style.borderColor = '';
+            showRunnerError('');
+        } catch (e) {
+            input.style.borderColor = '#f93e3e';
+            showRunnerError(e.message);
+        }
+    };
+
+    window.loadRunnerDataFile = function(input) {
+        const file = input.files && input.files[0];
+        const info = document.getElementById('runnerDataInfo');
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                runnerState.dataRows = window.CollectionRunner.parseDataFile(String(reader.result), file.name);
+                runnerState.dataFileName = file.name;
+                const columns = Object.keys(runnerState.dataRows[0] || {});
+                info.textContent = `${runnerState.dataRows.length} iteration(s) from ${file.name} · variables: ${columns.join(', ')}`;
+                showRunnerError('');
+            } catch (e) {
+                runnerState.dataRows = null;
+                info.textContent = 'No data file - runs once';
+                input.value = '';
+                showRunnerError(`Could not read ${file.name}: ${e.message}`);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    window.clearRunnerDataFile = function() {
+        runnerState.dataRows = null;
+        runnerState.dataFileName = '';
+        document.getElementById('runnerDataFile').value = '';
+        document.getElementById('runnerDataInfo').textContent = 'No data file - runs once';
+    };
+
+    window.startCollectionRun = async function() {
+        if (activeRun) {
+            // A stopped run finishes the request it is waiting for before it ends
+            showRunnerError(activeRun.stopRequested ? 'The previous run is still stopping. Try again in a moment.' : 'A run is already in progress.');
+            return;
+        }
+
+        const results = document.getElementById('runnerResults');
+        const stopOnFailure = document.getElementById('runnerStopOnFailure').checked;
+        const run = { stopRequested: false, state: runnerState };
+        const isCurrent = () => runnerState === run.state;
+        activeRun = run;
+
+        setRunning(true);
+        showRunnerError('');
+        runnerState.report = null;
+        results.innerHTML = '<div id="runnerProgress" style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden;"></div>';
+
+        try {
+            const report = await window.CollectionRunner.run(runnerState.folderId, {
+                dataRows: runnerState.dataRows,
+                stopOnFailure: stopOnFailure,
+                shouldStop: () => run.stopRequested,
+                onProgress: result => {
+                    const progress = document.getElementById('runnerProgress');
+                    if (progress && isCurrent()) {
+                        progress.insertAdjacentHTML('beforeend', renderResultRow(result));
+                        progress.lastElementChild.scrollIntoView({ block: 'nearest' });
+                    }
+                }
+            });
+
+            if (isCurrent()) {
+                runnerState.report = report;
+                results.insertAdjacentHTML('afterbegin', renderSummary(report));
+            }
+        } catch (e) {
+            if (isCurrent()) showRunnerError(e.message);
+        } finally {
+            activeRun = null;
+            if (isCurrent()) setRunning(false);
+        }
+    };
+
+    window.stopCollectionRun = function() {
+        if (activeRun) activeRun.stopRequested = true;
+    };
+
+    window.exportRunnerReport = function(format) {
+        const report = runnerState.report;
+        if (!report) return;
+
+        const baseName = report.collection.replace(/[^\w.-]+/g, '_') || 'collection';
+        if (format === 'junit') {
+            download(window.CollectionRunner.toJUnit(report), `${baseName}.junit.xml`, 'application/xml');
+        } else {
+            download(JSON.stringify(report, null, 2), `${baseName}.report.json`, 'application/json');
+        }
+    };
+
+    // Close modal when clicking outside (not while a run is in progress)
+    document.addEventListener('click', function(e) {
+        const modal = document.getElementById('collectionRunnerModal');
+        if (e.target === modal && !runnerState.running) {
+            window.closeCollectionRunner();
+        }
+    });
+
+})();
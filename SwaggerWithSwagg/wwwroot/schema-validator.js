@@ -0,0 +1,427 @@
+/**
+ * SwaggerWithSwagg - Schema Validation
+ * Validates JSON values against OpenAPI (JSON Schema) schemas and reports errors with JSON pointers
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const MAX_DEPTH = 64; // guards against schemas that only reference themselves
+    const MAX_ERRORS = 100;
+
+    const FORMAT_PATTERNS = {
+        'date': /^\d{4}-\d{2}-\d{2}$/,
+        'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/,
+        'time': /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+        'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        'hostname': /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+        'ipv4': /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/,
+        'ipv6': /^[0-9a-f:]+(%\w+)?$/i,
+        'byte': /^[A-Za-z0-9+/]*={0,2}$/
+    };
+
+    /**
+     * Schema Validator - Checks a value against a schema.
+     * Errors: [{ pointer: '/items/0/name', message: 'must be string' }]
+     * Options: { direction: 'request' | 'response' } - readOnly properties aren't required in requests,
+     * writeOnly properties aren't required in responses.
+     * { undocumentedProperties: true } also reports properties the schema doesn't declare (as warnings).
+     */
+    window.SchemaValidator = {
+        validate(value, schema, spec, options) {
+            const context = {
+                spec: spec || {},
+                direction: (options && options.direction) || 'request',
+                undocumentedProperties: !!(options && options.undocumentedProperties),
+                errors: []
+            };
+            if (schema) {
+                validateNode(value, schema, '', context, 0, null);
+            }
+            return context.errors;
+        },
+
+        /**
+         * Check a response against the operation's documented responses.
+         * response: { status, contentType, body (text) }
+         * Returns violations: [{ message, severity: 'error' | 'warning', pointer? }]
+         */
+        checkContract(operation, spec, response) {
+            const violations = [];
+            const responses = operation.responses || {};
+            const documented = Object.keys(responses);
+
+            // Exact status, then ranges like 2XX, then default
+            const status = String(response.status);
+            const statusKey = documented.find(key => key === status) ||
+                documented.find(key => key.toUpperCase() === `${status[0]}XX`) ||
+                (responses.default ? 'default' : null);
+
+            if (!statusKey) {
+                violations.push({
+                    severity: 'error',
+                    message: `Status ${status} is not documented (documented: ${documented.join(', ') || 'none'})`
+                });
+                return violations;
+            }
+
+            const documentedResponse = resolve(responses[statusKey], spec) || {};
+            const content = documentedResponse.content || {};
+            const mediaTypes = Object.keys(content);
+            const body = response.body || '';
+
+            if (mediaTypes.length === 0) {
+                if (body.trim()) {
+                    violations.push({ severity: 'warning', message: `Status ${statusKey} documents no response body, but one was returned` });
+                }
+                return violations;
+            }
+
+            const mediaType = (response.contentType || '').split(';')[0].trim().toLowerCase();
+            const mediaTypeKey = findMediaType(mediaTypes, mediaType);
+            if (!mediaTypeKey) {
+                if (!body.trim() && !mediaType) return violations;
+
+                violations.push({
+                    severity: 'error',
+                    message: `Content type ${mediaType || '(none)'} is not documented for ${statusKey} (documented: ${mediaTypes.join(', ')})`
+                });
+                return violations;
+            }
+
+            const schema = content[mediaTypeKey].schema;
+            if (!schema || !mediaType.includes('json')) return violations;
+
+            let value;
+            try {
+                value = JSON.parse(body);
+            } catch (e) {
+                violations.push({ severity: 'error', pointer: '', message: `is not valid JSON: ${e.message}` });
+                return violations;
+            }
+
+            this.validate(value, schema, spec, { direction: 'response', undocumentedProperties: true }).forEach(error => {
+                violations.push({ severity: error.severity || 'error', pointer: error.pointer, message: error.message });
+            });
+            return violations;
+        },
+
+        /**
+         * Human readable pointer ("(root)" for the document itself)
+         */
+        formatPointer(pointer) {
+            return pointer || '(root)';
+        }
+    };
+
+    function addError(context, pointer, message, severity) {
+        // allOf members can report the same problem more than once
+        if (context.errors.some(error => error.pointer === pointer && error.message === message)) return;
+
+        if (context.errors.length < MAX_ERRORS) {
+            context.errors.push(severity ? { pointer: pointer, message: message, severity: severity } : { pointer: pointer, message: message });
+        }
+    }
+
+    // Documented media type matching the actual one (wildcards like application/* and */* included)
+    function findMediaType(mediaTypes, mediaType) {
+        if (!mediaType) return null;
+        return mediaTypes.find(type => type.toLowerCase() === mediaType) ||
+            mediaTypes.find(type => type.endsWith('/*') && mediaType.startsWith(type.slice(0, -1).toLowerCase())) ||
+            mediaTypes.find(type => type === '*/*') ||
+            null;
+    }
+
+    function escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function resolveRef(ref, spec) {
+        if (!ref.startsWith('#/')) return null;
+        return ref.substring(2).split('/').reduce((node, part) => {
+            return node ? node[part.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+        }, spec) || null;
+    }
+
+    function resolve(schema, spec) {
+        let resolved = schema;
+        let hops = 0;
+        while (resolved && resolved.$ref && hops++ < MAX_DEPTH) {
+            resolved = resolveRef(resolved.$ref, spec);
+        }
+        return resolved;
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    // Allowed types of a schema (OpenAPI 3.0 nullable and 3.1 type arrays)
+    function getTypes(schema) {
+        const types = schema.type === undefined ? [] : (Array.isArray(schema.type) ? schema.type.slice() : [schema.type]);
+        if (schema.nullable === true && types.length > 0 && !types.includes('null')) types.push('null');
+        return types;
+    }
+
+    // Property names declared by a schema and the allOf members it is composed of
+    function collectPropertyNames(schema, spec, depth) {
+        const resolved = resolve(schema, spec);
+        if (!resolved || depth > MAX_DEPTH) return [];
+
+        let names = Object.keys(resolved.properties || {});
+        (resolved.allOf || []).forEach(member => {
+            names = names.concat(collectPropertyNames(member, spec, depth + 1));
+        });
+        return names;
+    }
+
+    function isValid(value, schema, context, depth, siblingProperties) {
+        const nested = { spec: context.spec, direction: context.direction, undocumentedProperties: context.undocumentedProperties, errors: [] };
+        validateNode(value, schema, '', nested, depth, siblingProperties);
+        return nested.errors.filter(error => error.severity !== 'warning');
+    }
+
+    function validateNode(value, rawSchema, pointer, context, depth, siblingProperties) {
+        if (depth > MAX_DEPTH) return;
+
+        const schema = resolve(rawSchema, context.spec);
+        if (!schema || typeof schema !== 'object') return;
+
+        // Composition - properties of the allOf members count as known for this schema's own object check too
+        // (Swashbuckle inheritance: { type: object, allOf: [{ $ref: Base }], properties: { extra } })
+        const known = schema.allOf
+            ? collectPropertyNames(schema, context.spec, 0).concat(siblingProperties || [])
+            : siblingProperties;
+        if (schema.allOf) {
+            schema.allOf.forEach(member => validateNode(value, member, pointer, context, depth + 1, known));
+        }
+
+        if (schema.oneOf || schema.anyOf) {
+            validateAlternatives(value, schema, pointer, context, depth, known);
+        }
+
+        if (schema.not && isValid(value, schema.not, context, depth + 1).length === 0) {
+            addError(context, pointer, 'must not match the "not" schema');
+        }
+
+        // Type
+        const types = getTypes(schema);
+        if (value === null && (schema.nullable === true || types.includes('null'))) return;
+        if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+            addError(context, pointer, `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+
+        // Enum / const
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            addError(context, pointer, `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            addError(context, pointer, `must be ${JSON.stringify(schema.const)}`);
+        }
+
+        const actual = typeOf(value);
+        if (actual === 'string') {
+            validateString(value, schema, pointer, context);
+        } else if (actual === 'number' || actual === 'integer') {
+            validateNumber(value, schema, pointer, context);
+        } else if (actual === 'array') {
+            validateArray(value, schema, pointer, context, depth);
+        } else if (actual === 'object') {
+            validateObject(value, schema, pointer, context, depth, known);
+        }
+    }
+
+    function validateAlternatives(value, schema, pointer, context, depth, siblingProperties) {
+        const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+        let variants = schema[keyword];
+
+        // A discriminator picks the variant to validate against
+        const discriminator = schema.discriminator;
+        if (discriminator && discriminator.propertyName && value && typeof value === 'object' && !Array.isArray(value)) {
+            const tag = value[discriminator.propertyName];
+            if (tag === undefined) {
+                addError(context, `${pointer}/${escapePointer(discriminator.propertyName)}`, 'is required (discriminator)');
+                return;
+            }
+
+            const mappedRef = discriminator.mapping && discriminator.mapping[tag];
+            const selected = variants.find(variant => variant.$ref && (variant.$ref === mappedRef || (!mappedRef && variant.$ref.split('/').pop() === String(tag))));
+            if (!selected) {
+                addError(context, `${pointer}/${escapePointer(discriminator.propertyName)}`, `unknown discriminator value ${JSON.stringify(tag)}`);
+                return;
+            }
+            variants = [selected];
+        }
+
+        // A single candidate (discriminator) is validated in place
+        if (variants.length === 1) {
+            validateNode(value, variants[0], pointer, context, depth + 1, siblingProperties);
+            return;
+        }
+
+        const results = variants.map(variant => isValid(value, variant, context, depth + 1, siblingProperties));
+        const matches = results.filter(errors => errors.length === 0).length;
+
+        if (matches === 0) {
+            // Report the variant that came closest
+            const closest = results.reduce((best, errors) => (errors.length < best.length ? errors : best), results[0]);
+            addError(context, pointer, `must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of ${variants.length} schemas; closest match has ${closest.length} error(s)`);
+            closest.forEach(error => addError(context, pointer + error.pointer, error.message));
+            return;
+        }
+
+        if (keyword === 'oneOf' && matches > 1 && !discriminator) {
+            addError(context, pointer, `must match exactly one oneOf schema, but matches ${matches}`);
+        }
+
+        // Surface the warnings of the matching variant
+        if (context.undocumentedProperties) {
+            validateNode(value, variants[results.findIndex(errors => errors.length === 0)], pointer, context, depth + 1, siblingProperties);
+        }
+    }
+
+    function validateString(value, schema, pointer, context) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError(context, pointer, `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError(context, pointer, `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) {
+                    addError(context, pointer, `must match pattern ${schema.pattern}`);
+                }
+            } catch (e) {
+                // Patterns that JavaScript can't compile are skipped
+            }
+        }
+
+        const format = schema.format;
+        if (!format) return;
+
+        if (format === 'uri' || format === 'url') {
+            try {
+                new URL(value);
+            } catch (e) {
+                addError(context, pointer, 'must be a valid URI');
+            }
+        } else if (FORMAT_PATTERNS[format] && !FORMAT_PATTERNS[format].test(value)) {
+            addError(context, pointer, `must be a valid ${format}`);
+        } else if ((format === 'date' || format === 'date-time') && isNaN(Date.parse(value))) {
+            addError(context, pointer, `must be a valid ${format}`);
+        }
+    }
+
+    function validateNumber(value, schema, pointer, context) {
+        // OpenAPI 3.0 uses boolean exclusiveMinimum/Maximum, 3.1 uses numbers
+        if (schema.minimum !== undefined) {
+            if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+                addError(context, pointer, `must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`);
+            }
+        }
+        if (schema.maximum !== undefined) {
+            if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+                addError(context, pointer, `must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`);
+            }
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            addError(context, pointer, `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            addError(context, pointer, `must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+            addError(context, pointer, `must be a multiple of ${schema.multipleOf}`);
+        }
+        if (schema.format === 'int32' && (value < -2147483648 || value > 2147483647)) {
+            addError(context, pointer, 'must be a 32-bit integer');
+        }
+        if (schema.format === 'int64' && !Number.isSafeInteger(value)) {
+            addError(context, pointer, 'is outside the range JavaScript can represent exactly');
+        }
+    }
+
+    function validateArray(value, schema, pointer, context, depth) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError(context, pointer, `must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError(context, pointer, `must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.uniqueItems) {
+            const seen = value.map(item => JSON.stringify(item));
+            if (new Set(seen).size !== seen.length) {
+                addError(context, pointer, 'must not contain duplicate items');
+            }
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, `${pointer}/${index}`, context, depth + 1, null));
+        }
+    }
+
+    function validateObject(value, schema, pointer, context, depth, siblingProperties) {
+        const properties = schema.properties || {};
+        const keys = Object.keys(value);
+
+        (schema.required || []).forEach(name => {
+            if (value[name] !== undefined) return;
+
+            const property = resolve(properties[name], context.spec) || {};
+            if (context.direction === 'request' && property.readOnly) return;
+            if (context.direction === 'response' && property.writeOnly) return;
+            addError(context, `${pointer}/${escapePointer(name)}`, 'is required');
+        });
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            addError(context, pointer, `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            addError(context, pointer, `must have at most ${schema.maxProperties} propert${schema.maxProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        keys.forEach(key => {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            if (properties[key]) {
+                validateNode(value[key], properties[key], childPointer, context, depth + 1, null);
+                return;
+            }
+
+            const patternSchema = Object.keys(schema.patternProperties || {}).find(pattern => {
+                try {
+                    return new RegExp(pattern, 'u').test(key);
+                } catch (e) {
+                    return false;
+                }
+            });
+            if (patternSchema) {
+                validateNode(value[key], schema.patternProperties[patternSchema], childPointer, context, depth + 1, null);
+                return;
+            }
+
+            // Properties declared by allOf siblings aren't "additional"
+            if (siblingProperties && siblingProperties.includes(key)) return;
+
+            if (schema.additionalProperties === false) {
+                addError(context, childPointer, 'is not allowed (additionalProperties: false)');
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(value[key], schema.additionalProperties, childPointer, context, depth + 1, null);
+            } else if (context.undocumentedProperties && schema.additionalProperties === undefined && (schema.properties || siblingProperties)) {
+                addError(context, childPointer, 'is not documented in the schema', 'warning');
+            }
+        });
+    }
+
+})();
@@ -0,0 +1,488 @@
+/**
+ * SwaggerWithSwagg - Code Snippets
+ * Turns an executed Try It Out request into ready-to-run code (cURL, C#, TypeScript, Python, Go, PowerShell)
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Snippet Generators - Pluggable registry of code generators.
+     *
+     * Every generator receives the same request model:
+     * {
+     *   method: 'POST',
+     *   url: 'https://host/api/items?page=1',      // absolute, query string included
+     *   headers: { 'Authorization': 'Bearer ...' },  // auth and custom headers included
+     *   cookies: 'session=abc; theme=dark',          // or ''
+     *   body: '{"name":"x"}',                        // raw body string, or null
+     *   formData: [{ name, value } | { name, fileName }]  // multipart fields, or null
+     * }
+     *
+     * Register your own through the CustomJs option, which runs after all UI scripts:
+     *   options.CustomJs = "SnippetGenerators.register('ruby', { label: 'Ruby Net::HTTP', generate(request) { return '...'; } });";
+     */
+    window.SnippetGenerators = {
+        generators: {},
+
+        /**
+         * Add (or replace) a generator
+         */
+        register(id, generator) {
+            if (!id || !generator || typeof generator.generate !== 'function') {
+                throw new Error('A snippet generator needs an id and a generate(request) function');
+            }
+            this.generators[id] = { label: generator.label || id, generate: generator.generate };
+        },
+
+        /**
+         * Registered generators in registration order: [{ id, label }]
+         */
+        list() {
+            return Object.keys(this.generators).map(id => ({ id: id, label: this.generators[id].label }));
+        },
+
+        /**
+         * Generate the snippet for a request with the given generator
+         */
+        generate(id, request) {
+            const generator = this.generators[id];
+            if (!generator) throw new Error(`Unknown snippet language "${id}"`);
+            return generator.generate(request);
+        }
+    };
+
+    // Helpers shared by the built-in generators
+
+    // Split an absolute URL into the address without query string and its [key, value] pairs
+    function splitUrl(url) {
+        const parsed = new URL(url);
+        const query = Array.from(parsed.searchParams.entries());
+        return { base: `${parsed.origin}${parsed.pathname}`, query: query };
+    }
+
+    // Headers to send with the request. Content-Type is only kept when there is a raw body.
+    function getHeaders(request, includeContentType) {
+        const headers = [];
+        Object.keys(request.headers || {}).forEach(key => {
+            if (key.toLowerCase() === 'content-type' && (!includeContentType || !request.body)) return;
+            headers.push([key, request.headers[key]]);
+        });
+        if (request.cookies) headers.push(['Cookie', request.cookies]);
+        return headers;
+    }
+
+    function getContentType(request) {
+        const key = Object.keys(request.headers || {}).find(k => k.toLowerCase() === 'content-type');
+        return key ? request.headers[key] : null;
+    }
+
+    // Parsed JSON body, or undefined when the body isn't JSON
+    function getJsonBody(request) {
+        if (!request.body) return undefined;
+        const contentType = getContentType(request) || '';
+        if (contentType && !contentType.includes('json')) return undefined;
+        try {
+            return JSON.parse(request.body);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function indent(text, spaces) {
+        const pad = ' '.repeat(spaces);
+        return text.split('\n').map((line, index) => (index === 0 ? line : pad + line)).join('\n');
+    }
+
+    function singleQuote(text) {
+        return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+    }
+
+    function doubleQuote(text) {
+        return JSON.stringify(String(text));
+    }
+
+    // cURL (also the command recorded in the history)
+    window.SnippetGenerators.register('curl', {
+        label: 'cURL',
+        generate(request) {
+            const shellQuote = text => String(text).replace(/'/g, "'\\''");
+            let curl = `curl -X ${request.method} '${shellQuote(request.url)}'`;
+
+            Object.keys(request.headers || {}).forEach(key => {
+                curl += ` \\\n  -H '${shellQuote(`${key}: ${request.headers[key]}`)}'`;
+            });
+
+            if (request.cookies) {
+                curl += ` \\\n  -b '${shellQuote(request.cookies)}'`;
+            }
+
+            if (request.formData) {
+                request.formData.forEach(field => {
+                    curl += field.fileName !== undefined
+                        ? ` \\\n  -F '${shellQuote(field.name)}=@${shellQuote(field.fileName)}'`
+                        : ` \\\n  -F '${shellQuote(field.name)}=${shellQuote(field.value)}'`;
+                });
+            } else if (request.body) {
+                curl += ` \\\n  -d '${shellQuote(request.body)}'`;
+            }
+
+            return curl;
+        }
+    });
+
+    // C# HttpClient
+    window.SnippetGenerators.register('csharp', {
+        label: 'C# HttpClient',
+        generate(request) {
+            const verbatim = text => `@"${String(text).replace(/"/g, '""')}"`;
+            const methodName = request.method.charAt(0) + request.method.slice(1).toLowerCase();
+            const lines = [
+                'using var client = new HttpClient();',
+                `using var request = new HttpRequestMessage(HttpMethod.${methodName}, ${doubleQuote(request.url)});`
+            ];
+
+            getHeaders(request, false).forEach(([key, value]) => {
+                lines.push(`request.Headers.TryAddWithoutValidation(${doubleQuote(key)}, ${doubleQuote(value)});`);
+            });
+
+            if (request.formData) {
+                lines.push('', 'using var content = new MultipartFormDataContent();');
+                request.formData.forEach(field => {
+                    if (field.fileName !== undefined) {
+                        lines.push(`content.Add(new StreamContent(File.OpenRead(${doubleQuote(field.fileName)})), ${doubleQuote(field.name)}, ${doubleQuote(field.fileName)});`);
+                    } else {
+                        lines.push(`content.Add(new StringContent(${doubleQuote(field.value)}), ${doubleQuote(field.name)});`);
+                    }
+                });
+                lines.push('request.Content = content;');
+            } else if (request.body) {
+                const mediaType = (getContentType(request) || 'text/plain').split(';')[0].trim();
+                lines.push('', `request.Content = new StringContent(${verbatim(request.body)}, Encoding.UTF8, ${doubleQuote(mediaType)});`);
+                // Encoding lives in System.Text, which isn't among the implicit usings
+                lines.unshift('using System.Text;', '');
+            }
+
+            lines.push(
+                '',
+                'using var response = await client.SendAsync(request);',
+                'Console.WriteLine((int)response.StatusCode);',
+                'Console.WriteLine(await response.Content.ReadAsStringAsync());'
+            );
+            return lines.join('\n');
+        }
+    });
+
+    // Builds the init object shared by the fetch and axios generators
+    function buildTypeScriptRequest(request, lines) {
+        const { base, query } = splitUrl(request.url);
+
+        if (query.length > 0) {
+            lines.push('const params = new URLSearchParams([');
+            query.forEach(([key, value]) => lines.push(`  [${singleQuote(key)}, ${singleQuote(value)}],`));
+            lines.push(']);', '');
+        }
+
+        // body: { code, isJson } with code being a FormData variable, a JSON literal or a string literal
+        let body = null;
+        if (request.formData) {
+            lines.push('const formData = new FormData();');
+            let fileIndex = 0;
+            request.formData.forEach(field => {
+                if (field.fileName !== undefined) {
+                    fileIndex++;
+                    lines.push(`declare const file${fileIndex}: Blob; // contents of ${field.fileName}, e.g. from an <input type="file">`);
+                    lines.push(`formData.append(${singleQuote(field.name)}, file${fileIndex}, ${singleQuote(field.fileName)});`);
+                } else {
+                    lines.push(`formData.append(${singleQuote(field.name)}, ${singleQuote(field.value)});`);
+                }
+            });
+            lines.push('');
+            body = { code: 'formData', isJson: false };
+        } else if (request.body) {
+            const json = getJsonBody(request);
+            body = json !== undefined
+                ? { code: indent(JSON.stringify(json, null, 2), 2), isJson: true }
+                : { code: singleQuote(request.body), isJson: false };
+        }
+
+        const headers = getHeaders(request, true);
+        return { base, query, headers, body };
+    }
+
+    // TypeScript fetch
+    window.SnippetGenerators.register('typescript-fetch', {
+        label: 'TypeScript fetch',
+        generate(request) {
+            const lines = [];
+            const { base, query, headers, body } = buildTypeScriptRequest(request, lines);
+            const url = query.length > 0 ? `\`${base.replace(/`/g, '\\`')}?\${params}\`` : singleQuote(base);
+
+            lines.push(`const response = await fetch(${url}, {`);
+            lines.push(`  method: ${singleQuote(request.method)},`);
+            if (headers.length > 0) {
+                lines.push('  headers: {');
+                headers.forEach(([key, value]) => lines.push(`    ${singleQuote(key)}: ${singleQuote(value)},`));
+                lines.push('  },');
+            }
+            if (body) {
+                lines.push(`  body: ${body.isJson ? `JSON.stringify(${body.code})` : body.code},`);
+            }
+            lines.push('});', '', 'console.log(response.status);', 'console.log(await response.text());');
+            return lines.join('\n');
+        }
+    });
+
+    // TypeScript axios
+    window.SnippetGenerators.register('typescript-axios', {
+        label: 'TypeScript axios',
+        generate(request) {
+            const lines = ["import axios from 'axios';", ''];
+            const { base, query, headers, body } = buildTypeScriptRequest(request, lines);
+
+            lines.push('const response = await axios.request({');
+            lines.push(`  method: ${singleQuote(request.method.toLowerCase())},`);
+            lines.push(`  url: ${singleQuote(base)},`);
+            if (query.length > 0) lines.push('  params,');
+            if (headers.length > 0) {
+                lines.push('  headers: {');
+                headers.forEach(([key, value]) => lines.push(`    ${singleQuote(key)}: ${singleQuote(value)},`));
+                lines.push('  },');
+            }
+            if (body) {
+                lines.push(`  data: ${body.code},`);
+            }
+            lines.push('  validateStatus: () => true,', '});', '', 'console.log(response.status);', 'console.log(response.data);');
+            return lines.join('\n');
+        }
+    });
+
+    // JSON value -> Python literal
+    function toPython(value, level) {
+        const pad = '    '.repeat(level + 1);
+        const closePad = '    '.repeat(level);
+        if (value === null) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value === 'string') return doubleQuote(value);
+        if (typeof value === 'number') return String(value);
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            return `[\n${value.map(item => pad + toPython(item, level + 1)).join(',\n')}\n${closePad}]`;
+        }
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{}';
+        return `{\n${keys.map(key => `${pad}${doubleQuote(key)}: ${toPython(value[key], level + 1)}`).join(',\n')}\n${closePad}}`;
+    }
+
+    // Python requests
+    window.SnippetGenerators.register('python', {
+        label: 'Python requests',
+        generate(request) {
+            const { base, query } = splitUrl(request.url);
+            const headers = getHeaders(request, true).filter(([key]) => key !== 'Cookie');
+            const lines = ['import requests', '', `url = ${doubleQuote(base)}`];
+            const args = ['url'];
+
+            if (query.length > 0) {
+                lines.push('params = [');
+                query.forEach(([key, value]) => lines.push(`    (${doubleQuote(key)}, ${doubleQuote(value)}),`));
+                lines.push(']');
+                args.push('params=params');
+            }
+
+            if (headers.length > 0) {
+                lines.push('headers = {');
+                headers.forEach(([key, value]) => lines.push(`    ${doubleQuote(key)}: ${doubleQuote(value)},`));
+                lines.push('}');
+                args.push('headers=headers');
+            }
+
+            if (request.cookies) {
+                lines.push('cookies = {');
+                request.cookies.split(';').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+                    const [name, ...rest] = pair.split('=');
+                    lines.push(`    ${doubleQuote(name)}: ${doubleQuote(rest.join('='))},`);
+                });
+                lines.push('}');
+                args.push('cookies=cookies');
+            }
+
+            if (request.formData) {
+                const files = request.formData.filter(field => field.fileName !== undefined);
+                const fields = request.formData.filter(field => field.fileName === undefined);
+                if (fields.length > 0) {
+                    lines.push('data = [');
+                    fields.forEach(field => lines.push(`    (${doubleQuote(field.name)}, ${doubleQuote(field.value)}),`));
+                    lines.push(']');
+                    args.push('data=data');
+                }
+                if (files.length > 0) {
+                    lines.push('files = [');
+                    files.forEach(field => lines.push(`    (${doubleQuote(field.name)}, (${doubleQuote(field.fileName)}, open(${doubleQuote(field.fileName)}, "rb"))),`));
+                    lines.push(']');
+                    args.push('files=files');
+                }
+            } else if (request.body) {
+                const json = getJsonBody(request);
+                if (json !== undefined) {
+                    lines.push(`payload = ${toPython(json, 0)}`);
+                    args.push('json=payload');
+                } else {
+                    lines.push(`payload = ${doubleQuote(request.body)}`);
+                    args.push('data=payload');
+                }
+            }
+
+            lines.push(
+                '',
+                `response = requests.request(${doubleQuote(request.method)}, ${args.join(', ')})`,
+                'print(response.status_code)',
+                'print(response.text)'
+            );
+            return lines.join('\n');
+        }
+    });
+
+    // Go net/http
+    window.SnippetGenerators.register('go', {
+        label: 'Go net/http',
+        generate(request) {
+            const goString = text => (String(text).includes('`') ? doubleQuote(text) : `\`${text}\``);
+            const { base, query } = splitUrl(request.url);
+            const imports = ['fmt', 'io', 'net/http'];
+            const body = [];
+            let bodyReader = 'nil';
+
+            if (query.length > 0) {
+                imports.push('net/url');
+                body.push('params := url.Values{}');
+                query.forEach(([key, value]) => body.push(`params.Add(${doubleQuote(key)}, ${doubleQuote(value)})`));
+                body.push('');
+            }
+
+            const hasFiles = request.formData && request.formData.some(field => field.fileName !== undefined);
+            if (request.formData) {
+                imports.push('bytes', 'mime/multipart');
+                if (hasFiles) imports.push('os', 'path/filepath');
+                body.push('payload := &bytes.Buffer{}', 'writer := multipart.NewWriter(payload)');
+                request.formData.forEach(field => {
+                    if (field.fileName !== undefined) {
+                        body.push(`if err := addFormFile(writer, ${doubleQuote(field.name)}, ${doubleQuote(field.fileName)}); err != nil {`, '\tpanic(err)', '}');
+                    } else {
+                        body.push(`writer.WriteField(${doubleQuote(field.name)}, ${doubleQuote(field.value)})`);
+                    }
+                });
+                body.push('writer.Close()', '');
+                bodyReader = 'payload';
+            } else if (request.body) {
+                imports.push('strings');
+                body.push(`payload := strings.NewReader(${goString(request.body)})`, '');
+                bodyReader = 'payload';
+            }
+
+            const urlExpression = query.length > 0 ? `${doubleQuote(`${base}?`)}+params.Encode()` : doubleQuote(base);
+            body.push(
+                `req, err := http.NewRequest(${doubleQuote(request.method)}, ${urlExpression}, ${bodyReader})`,
+                'if err != nil {', '\tpanic(err)', '}'
+            );
+
+            getHeaders(request, true).forEach(([key, value]) => {
+                body.push(`req.Header.Set(${doubleQuote(key)}, ${doubleQuote(value)})`);
+            });
+            if (request.formData) {
+                body.push('req.Header.Set("Content-Type", writer.FormDataContentType())');
+            }
+
+            body.push(
+                '',
+                'res, err := http.DefaultClient.Do(req)',
+                'if err != nil {', '\tpanic(err)', '}',
+                'defer res.Body.Close()',
+                '',
+                'data, _ := io.ReadAll(res.Body)',
+                'fmt.Println(res.Status)',
+                'fmt.Println(string(data))'
+            );
+
+            const lines = [
+                'package main',
+                '',
+                'import (',
+                ...imports.sort().map(name => `\t"${name}"`),
+                ')',
+                '',
+                'func main() {',
+                ...body.map(line => (line ? `\t${line}` : '')),
+                '}'
+            ];
+
+            if (hasFiles) {
+                lines.push(
+                    '',
+                    'func addFormFile(writer *multipart.Writer, field, path string) error {',
+                    '\tfile, err := os.Open(path)',
+                    '\tif err != nil {', '\t\treturn err', '\t}',
+                    '\tdefer file.Close()',
+                    '',
+                    '\tpart, err := writer.CreateFormFile(field, filepath.Base(path))',
+                    '\tif err != nil {', '\t\treturn err', '\t}',
+                    '\t_, err = io.Copy(part, file)',
+                    '\treturn err',
+                    '}'
+                );
+            }
+
+            return lines.join('\n');
+        }
+    });
+
+    // PowerShell Invoke-RestMethod
+    window.SnippetGenerators.register('powershell', {
+        label: 'PowerShell',
+        generate(request) {
+            const psQuote = text => `'${String(text).replace(/'/g, "''")}'`;
+            const method = request.method.charAt(0) + request.method.slice(1).toLowerCase();
+            const headers = getHeaders(request, false);
+            const lines = [];
+            const args = [`-Uri ${psQuote(request.url)}`, `-Method ${method}`];
+
+            if (headers.length > 0) {
+                lines.push('$headers = @{');
+                headers.forEach(([key, value]) => lines.push(`    ${psQuote(key)} = ${psQuote(value)}`));
+                lines.push('}');
+                args.push('-Headers $headers');
+            }
+
+            if (request.formData) {
+                // -Form needs PowerShell 7+; repeated fields (multiple files) become arrays
+                const fields = {};
+                request.formData.forEach(field => {
+                    const value = field.fileName !== undefined ? `(Get-Item -Path ${psQuote(field.fileName)})` : psQuote(field.value);
+                    (fields[field.name] = fields[field.name] || []).push(value);
+                });
+                lines.push('$form = @{');
+                Object.keys(fields).forEach(name => lines.push(`    ${psQuote(name)} = ${fields[name].join(', ')}`));
+                lines.push('}');
+                args.push('-Form $form');
+            } else if (request.body) {
+                const contentType = getContentType(request);
+                if (request.body.includes("\n'@")) {
+                    lines.push(`$body = ${psQuote(request.body)}`);
+                } else {
+                    lines.push("$body = @'", request.body, "'@");
+                }
+                if (contentType) args.push(`-ContentType ${psQuote(contentType)}`);
+                args.push('-Body $body');
+            }
+
+            if (lines.length > 0) lines.push('');
+            lines.push(
+                `$response = Invoke-RestMethod ${args.join(' ')}`,
+                '$response | ConvertTo-Json -Depth 10'
+            );
+            return lines.join('\n');
+        }
+    });
+
+})();
@@ -9,6 +9,28 @@
     let swaggerSpecCache = null;
     let swaggerSpecPromise = null;
 
+    // Header parameters that OpenAPI says must be ignored when declared with in: header
+    const RESERVED_HEADER_PARAMS = ['accept', 'content-type', 'authorization'];
+
+    // Methods that send a request body
+    const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+    // Utility: Replace {{variable}} placeholders with values from the active environment
+    function applyEnvironment(value, variables) {
+        if (!window.EnvironmentManager || typeof value !== 'string') return value;
+        return window.EnvironmentManager.substitute(value, variables);
+    }
+
+    // Utility: Base URL for Try It Out requests (empty string means the page origin).
+    // Always the server chosen in the header: "Page origin", "Environment {{baseUrl}}", a spec server or a custom URL.
+    function getRequestBaseUrl() {
+        const baseUrl = getServerBaseUrl();
+        return baseUrl ? baseUrl.replace(/\/+$/, '') : '';
+    }
+
+    // Expose for exporters and snippet generators
+    window.getRequestBaseUrl = getRequestBaseUrl;
+
     // Utility: Fetch and cache swagger specification
     async function getSwaggerSpec(forceRefresh = false) {
         // Return cached spec if available and not forcing refresh
@@ -147,6 +169,7 @@
         try {
             const spec = await getSwaggerSpec();
             renderApiInfo(spec);
+            renderServerSelector(spec);
             renderApiTree(spec);
         } catch (e) {
             console.error('Failed to load API tree:', e);
@@ -158,6 +181,243 @@
         }
     }
 
+    // Server selection (spec `servers`, their variables, or a custom base URL) - stored per swagger document
+    const SERVER_SELECTION_KEY = 'swaggerWithSwagg_servers';
+    const PAGE_ORIGIN_SERVER = '';
+    const CUSTOM_SERVER = 'custom';
+    const ENVIRONMENT_SERVER = 'environment';
+    let specServers = [];
+    let serverSelectorRendered = false;
+
+    function getEnvironmentBaseUrl() {
+        return window.EnvironmentManager ? window.EnvironmentManager.getBaseUrl() : '';
+    }
+
+    function loadServerSelections() {
+        try {
+            return JSON.parse(localStorage.getItem(SERVER_SELECTION_KEY) || '{}');
+        } catch (e) {
+            console.error('Failed to load server selection:', e);
+            return {};
+        }
+    }
+
+    // Selection for the current document: { selected, variables: { serverIndex: { name: value } }, customUrl }
+    function getServerSelection() {
+        const saved = loadServerSelections()[SWAGGER_ENDPOINT];
+        if (saved) return saved;
+
+        // Until a server is picked, an environment {{baseUrl}} wins. Otherwise OpenAPI rules apply:
+        // the first server is the default, no servers means the document's own origin.
+        let selected = specServers.length > 0 ? '0' : PAGE_ORIGIN_SERVER;
+        if (getEnvironmentBaseUrl()) selected = ENVIRONMENT_SERVER;
+
+        return {
+            selected: selected,
+            variables: {},
+            customUrl: ''
+        };
+    }
+
+    function saveServerSelection(selection) {
+        try {
+            const selections = loadServerSelections();
+            selections[SWAGGER_ENDPOINT] = selection;
+            localStorage.setItem(SERVER_SELECTION_KEY, JSON.stringify(selections));
+        } catch (e) {
+            console.error('Failed to save server selection:', e);
+        }
+    }
+
+    // Expand a server URL template with the chosen (or default) variable values
+    function resolveServerUrl(server, values) {
+        const variables = server.variables || {};
+        return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+            if (values && values[name] !== undefined && values[name] !== '') return values[name];
+            if (variables[name] && variables[name].default !== undefined) return String(variables[name].default);
+            return match;
+        });
+    }
+
+    // Base URL of the selected server ('' when requests go to the page origin)
+    function getServerBaseUrl() {
+        const selection = getServerSelection();
+
+        if (selection.selected === ENVIRONMENT_SERVER) {
+            return getEnvironmentBaseUrl();
+        }
+
+        if (selection.selected === CUSTOM_SERVER) {
+            return applyEnvironment((selection.customUrl || '').trim());
+        }
+
+        const server = specServers[parseInt(selection.selected, 10)];
+        if (!server) return '';
+
+        const url = applyEnvironment(resolveServerUrl(server, (selection.variables || {})[selection.selected]));
+        // A server of "/" is the page origin
+        return url === '/' ? '' : url;
+    }
+
+    // Render the server dropdown in the header (without a spec, re-render with the current servers)
+    function renderServerSelector(spec) {
+        if (spec) {
+            specServers = (spec.servers || []).filter(server => server && server.url);
+        }
+
+        const container = document.getElementById('serverSelectorContainer');
+        if (!container) return;
+
+        const selection = getServerSelection();
+        const selectedServer = specServers[parseInt(selection.selected, 10)];
+        const hasSettings = selection.selected === CUSTOM_SERVER || (selectedServer && selectedServer.variables && Object.keys(selectedServer.variables).length > 0);
+        const effectiveBaseUrl = getRequestBaseUrl() || window.location.origin;
+
+        container.innerHTML = `
+            <div class="version-selector" title="Server for Try It Out requests">
+                <select id="serverSelector" onchange="selectServer(this.value)">
+                    <option value="${PAGE_ORIGIN_SERVER}" ${selection.selected === PAGE_ORIGIN_SERVER ? 'selected' : ''}>Page origin</option>
+                    <option value="${ENVIRONMENT_SERVER}" ${selection.selected === ENVIRONMENT_SERVER ? 'selected' : ''}>Environment {{baseUrl}}</option>
+                    ${specServers.map((server, index) => `<option value="${index}" ${selection.selected === String(index) ? 'selected' : ''}>${escapeHtml(server.description || server.url)}</option>`).join('')}
+                    <option value="${CUSTOM_SERVER}" ${selection.selected === CUSTOM_SERVER ? 'selected' : ''}>Custom URL...</option>
+                </select>
+            </div>
+            ${hasSettings ? `
+                <button class="auth-button" onclick="openServerModal()" title="Server settings">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="2" y="2" width="20" height="8" rx="2" ry="2"></rect>
+                        <rect x="2" y="14" width="20" height="8" rx="2" ry="2"></rect>
+                        <line x1="6" y1="6" x2="6.01" y2="6"></line>
+                        <line x1="6" y1="18" x2="6.01" y2="18"></line>
+                    </svg>
+                </button>
+            ` : ''}
+            <span id="serverEffectiveUrl" title="Try It Out requests go to ${escapeHtml(effectiveBaseUrl)}" style="color: var(--text-secondary); font-size: 12px; max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">→ ${escapeHtml(effectiveBaseUrl)}</span>
+        `;
+        container.style.display = 'flex';
+        serverSelectorRendered = true;
+    }
+
+    // Re-render after the active environment or its {{baseUrl}} changed
+    window.refreshServerSelector = function() {
+        if (serverSelectorRendered) renderServerSelector();
+    };
+
+    // Select a server from the header dropdown
+    window.selectServer = async function(value) {
+        const selection = getServerSelection();
+        selection.selected = value;
+        saveServerSelection(selection);
+
+        const spec = await getSwaggerSpec();
+        renderServerSelector(spec);
+
+        // Custom URLs and servers with variables need input
+        const server = specServers[parseInt(value, 10)];
+        if ((value === CUSTOM_SERVER && !selection.customUrl) || (server && server.variables && Object.keys(server.variables).length > 0)) {
+            window.openServerModal();
+        }
+    };
+
+    // Open the server settings modal (variables of the selected server or the custom URL)
+    window.openServerModal = function() {
+        const modal = document.getElementById('serverModal');
+        const body = document.getElementById('serverModalBody');
+        if (!modal || !body) return;
+
+        const selection = getServerSelection();
+        let html = '';
+
+        if (selection.selected === CUSTOM_SERVER) {
+            html += `
+                <p class="auth-modal-description">Send Try It Out requests to any base URL. Environment variables such as <code>{{baseUrl}}</code> are allowed.</p>
+                <div class="auth-input-group">
+                    <label class="auth-input-label">Custom Base URL</label>
+                    <input type="text" class="auth-input" id="serverCustomUrl" placeholder="https://localhost:5001" value="${escapeHtml(selection.customUrl || '')}">
+                </div>
+            `;
+        } else {
+            const server = specServers[parseInt(selection.selected, 10)];
+            if (!server) return;
+
+            const values = (selection.variables || {})[selection.selected] || {};
+            html += `
+                <p class="auth-modal-description">${escapeHtml(server.description || 'Server variables')}</p>
+                <div class="auth-input-group">
+                    <label class="auth-input-label">URL Template</label>
+                    <code style="color: var(--text-primary); font-size: 13px;">${escapeHtml(server.url)}</code>
+                </div>
+            `;
+
+            Object.keys(server.variables || {}).forEach(name => {
+                const variable = server.variables[name];
+                const value = values[name] !== undefined ? values[name] : (variable.default !== undefined ? String(variable.default) : '');
+
+                html += `<div class="auth-input-group">
+                    <label class="auth-input-label">${escapeHtml(name)}</label>`;
+                if (variable.enum && variable.enum.length > 0) {
+                    html += `<select class="auth-input server-variable-input" data-variable-name="${escapeHtml(name)}">
+                        ${variable.enum.map(option => `<option value="${escapeHtml(String(option))}" ${String(option) === value ? 'selected' : ''}>${escapeHtml(String(option))}</option>`).join('')}
+                    </select>`;
+                } else {
+                    html += `<input type="text" class="auth-input server-variable-input" data-variable-name="${escapeHtml(name)}" placeholder="${escapeHtml(String(variable.default || ''))}" value="${escapeHtml(value)}">`;
+                }
+                if (variable.description) {
+                    html += `<div style="color: var(--text-secondary); font-size: 12px; margin-top: 4px;">${escapeHtml(variable.description)}</div>`;
+                }
+                html += `</div>`;
+            });
+        }
+
+        body.innerHTML = html;
+        modal.style.display = 'flex';
+    };
+
+    window.closeServerModal = function() {
+        const modal = document.getElementById('serverModal');
+        if (modal) modal.style.display = 'none';
+    };
+
+    // Save custom URL / server variables from the modal
+    window.saveServerSettings = async function() {
+        const selection = getServerSelection();
+
+        if (selection.selected === CUSTOM_SERVER) {
+            const input = document.getElementById('serverCustomUrl');
+            selection.customUrl = input ? input.value.trim() : '';
+        } else {
+            const values = {};
+            document.querySelectorAll('#serverModalBody .server-variable-input').forEach(input => {
+                values[input.dataset.variableName] = input.value.trim();
+            });
+            selection.variables = selection.variables || {};
+            selection.variables[selection.selected] = values;
+        }
+
+        saveServerSelection(selection);
+        window.closeServerModal();
+
+        const spec = await getSwaggerSpec();
+        renderServerSelector(spec);
+    };
+
+    // Switch the left sidebar between the API tree and the other views
+    window.switchSidebarTab = function(tab) {
+        document.querySelectorAll('.sidebar-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.sidebarTab === tab);
+        });
+        document.querySelectorAll('.sidebar-panel').forEach(panel => {
+            panel.style.display = panel.dataset.sidebarTab === tab ? '' : 'none';
+        });
+
+        if (tab === 'saved' && window.CollectionsManager) {
+            window.CollectionsManager.renderSidebar();
+        }
+        if (tab === 'history' && window.HistoryManager) {
+            window.HistoryManager.renderSidebar();
+        }
+    };
+
     // Render API information card
     function renderApiInfo(spec) {
         const info = spec.info || {};
@@ -263,7 +523,7 @@
                 const deprecatedBadge = ep.deprecated ? '<span class="deprecated-badge" title="This endpoint is deprecated">DEPRECATED</span>' : '';
                 
                 return `
-                    <li class="endpoint-item ${ep.requiresAuth ? 'requires-auth' : 'anonymous'} ${deprecatedClass}" data-path="${escapeHtml(ep.path)}" data-method="${escapeHtml(ep.method)}" data-tag="${escapeHtml(tag)}" onclick="scrollToEndpoint('${escapeHtml(ep.operationId || ep.path)}', '${escapeHtml(ep.method)}', '${escapeHtml(ep.path)}')">
+                    <li class="endpoint-item ${ep.requiresAuth ? 'requires-auth' : 'anonymous'} ${deprecatedClass}" data-path="${escapeHtml(ep.path)}" data-method="${escapeHtml(ep.method)}" data-tag="${escapeHtml(tag)}" data-target="${escapeHtml(ep.operationId || ep.path)}" onclick="scrollToEndpoint(this.dataset.target, this.dataset.method, this.dataset.path)">
                         ${lockIcon}
                         <span class="endpoint-method ${methodClass}">${ep.method}</span>
                         <span class="endpoint-path">${escapeHtml(ep.path)}</span>
@@ -277,6 +537,7 @@
                     <div class="folder-header" onclick="toggleFolder('${folderId}')">
                         <span class="folder-icon">▶</span>
                         <span class="folder-name">📂 ${escapeHtml(tag)}</span>
+                        <button class="folder-export" onclick="event.stopPropagation(); exportPostmanCollection(this.closest('.api-folder').dataset.tag)" title="Export folder as a Postman collection">⤓</button>
                         <span class="folder-count">${endpoints.length}</span>
                     </div>
                     <ul class="folder-endpoints" id="${folderId}">
@@ -404,16 +665,21 @@
         
         let securityBadges = '';
         if (requiresAuth) {
-            operationSecurity.forEach(secReq => {
-                Object.keys(secReq).forEach(schemeName => {
+            // Alternatives are separated by "or"; schemes required together are joined with "+"
+            securityBadges = operationSecurity.map(secReq => {
+                const schemeNames = Object.keys(secReq);
+                if (schemeNames.length === 0) {
+                    return '<span class="security-badge" title="Anonymous access is allowed">None</span>';
+                }
+                return schemeNames.filter(schemeName => securitySchemes[schemeName]).map(schemeName => {
                     const scheme = securitySchemes[schemeName];
-                    if (scheme) {
-                        const schemeType = scheme.type === 'http' && scheme.scheme === 'bearer' ? 'Bearer' : 
-                                         scheme.type === 'apiKey' ? 'API Key' : scheme.type;
-                        securityBadges += `<span class="security-badge" title="${escapeHtml(scheme.description || '')}">${escapeHtml(schemeType)}</span>`;
-                    }
-                });
-            });
+                    const schemeType = scheme.type === 'http' && scheme.scheme === 'bearer' ? 'Bearer' :
+                                     scheme.type === 'http' && scheme.scheme === 'basic' ? 'Basic' :
+                                     scheme.type === 'apiKey' ? 'API Key' :
+                                     scheme.type === 'openIdConnect' ? 'OpenID Connect' : scheme.type;
+                    return `<span class="security-badge" title="${escapeHtml(scheme.description || schemeName)}">${escapeHtml(schemeType)}</span>`;
+                }).join('+');
+            }).join('<span style="margin: 0 4px; color: var(--text-secondary); font-size: 12px;">or</span>');
         }
         
         // Add deprecated badge
@@ -600,7 +866,7 @@
         // Try it button
         html += `
             <div class="detail-section">
-                <button class="try-it-button" onclick="openTryItPanel('${method}', '${escapeHtml(path)}', '${operationId}')">
+                <button class="try-it-button" data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" data-operation-id="${escapeHtml(operationId)}" onclick="openTryItPanel(this.dataset.method, this.dataset.path, this.dataset.operationId)">
                     <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                         <polygon points="5 3 19 12 5 21 5 3"></polygon>
                     </svg>
@@ -623,8 +889,76 @@
         return html;
     }
 
+    // Resolve a local $ref (e.g. #/components/schemas/Pet) against the spec
+    function resolveSchemaRef(ref, spec) {
+        const refPath = ref.replace('#/', '').split('/');
+        let refSchema = spec;
+        refPath.forEach(part => {
+            refSchema = refSchema ? refSchema[part] : undefined;
+        });
+        return refSchema || {};
+    }
+
+    // Last segment of a $ref, used as the display name of the schema
+    function getSchemaRefName(ref) {
+        const refPath = ref.split('/');
+        return refPath[refPath.length - 1];
+    }
+
+    // Merge allOf members into one object schema (properties and required lists are combined).
+    // oneOf/anyOf of the members are not carried over so sub types pointing back at their base don't loop.
+    function mergeAllOf(schema, spec, seenRefs = []) {
+        const merged = { type: 'object', properties: {}, required: [] };
+
+        const addMember = (member, seen) => {
+            if (!member) return;
+            if (member.$ref) {
+                if (seen.includes(member.$ref)) return;
+                addMember(resolveSchemaRef(member.$ref, spec), [...seen, member.$ref]);
+                return;
+            }
+            if (member.allOf) {
+                member.allOf.forEach(child => addMember(child, seen));
+            }
+            Object.assign(merged.properties, member.properties || {});
+            (member.required || []).forEach(name => {
+                if (!merged.required.includes(name)) merged.required.push(name);
+            });
+            if (member.discriminator) merged.discriminator = member.discriminator;
+            if (member.description) merged.description = member.description;
+            if (member.additionalProperties !== undefined) merged.additionalProperties = member.additionalProperties;
+        };
+
+        schema.allOf.forEach(member => addMember(member, seenRefs));
+        const { allOf, ...ownSchema } = schema;
+        addMember(ownSchema, seenRefs);
+
+        return merged;
+    }
+
+    // Label for a composition member: the $ref name or the inline type
+    function getSchemaVariantLabel(variant, index) {
+        if (variant.$ref) return getSchemaRefName(variant.$ref);
+        if (variant.title) return variant.title;
+        if (variant.type) return variant.type;
+        return `Option ${index + 1}`;
+    }
+
+    // Discriminator value for a sub schema: the mapping key pointing at it, otherwise the schema name
+    function getDiscriminatorValue(discriminator, ref) {
+        const refName = getSchemaRefName(ref);
+        if (discriminator.mapping) {
+            const mappedKey = Object.keys(discriminator.mapping).find(key => {
+                const target = discriminator.mapping[key];
+                return target === ref || target === refName || getSchemaRefName(target) === refName;
+            });
+            if (mappedKey !== undefined) return mappedKey;
+        }
+        return refName;
+    }
+
     // Build HTML representation of schema structure with descriptions
-    function buildSchemaHtml(schema, spec, level = 0, parentPath = '') {
+    function buildSchemaHtml(schema, spec, level = 0, parentPath = '', seenRefs = []) {
         if (!schema) return '<span style="color: var(--text-secondary);">No schema</span>';
 
         const indent = '  '.repeat(level);
@@ -632,12 +966,17 @@
 
         // Handle $ref
         if (schema.$ref) {
-            const refPath = schema.$ref.replace('#/', '').split('/');
-            let refSchema = spec;
-            let refName = refPath[refPath.length - 1];
-            refPath.forEach(part => {
-                refSchema = refSchema[part];
-            });
+            const refSchema = resolveSchemaRef(schema.$ref, spec);
+            const refName = getSchemaRefName(schema.$ref);
+
+            // Recursive schema - show the name without expanding it again
+            if (seenRefs.includes(schema.$ref)) {
+                html += `<div style="margin-left: ${level * 20}px;">`;
+                html += `<span style="color: #4EC9B0; font-weight: 600;">${refName}</span>`;
+                html += ` <span style="color: var(--text-secondary); font-style: italic;">// circular reference</span>`;
+                html += `</div>`;
+                return html;
+            }
             
             const uniqueId = `schema-${parentPath}-${refName}-${Math.random().toString(36).substr(2, 9)}`;
             
@@ -649,8 +988,64 @@
                 html += ` <span style="color: var(--text-secondary); font-style: italic;">// ${escapeHtml(refSchema.description)}</span>`;
             }
             html += `<div id="${uniqueId}" style="display: none;">`;
-            html += buildSchemaHtml(refSchema, spec, level, `${parentPath}-${refName}`);
+            html += buildSchemaHtml(refSchema, spec, level, `${parentPath}-${refName}`, [...seenRefs, schema.$ref]);
+            html += `</div>`;
+            html += `</div>`;
+            return html;
+        }
+
+        // Handle allOf - a single member is just a wrapped $ref (e.g. nullable references)
+        if (schema.allOf) {
+            if (schema.allOf.length === 1 && !schema.properties) {
+                return buildSchemaHtml(schema.allOf[0], spec, level, parentPath, seenRefs);
+            }
+
+            const merged = mergeAllOf(schema, spec, seenRefs);
+            const memberNames = schema.allOf.map((member, index) => getSchemaVariantLabel(member, index));
+            if (schema.properties) memberNames.push('inline');
+
+            html += `<div style="margin-left: ${level * 20}px; color: var(--text-secondary); font-size: 12px;">`;
+            html += `<span style="color: #569CD6;">allOf</span> ${memberNames.map(name => escapeHtml(name)).join(' + ')}`;
+            html += `</div>`;
+            html += buildSchemaHtml(merged, spec, level, parentPath, seenRefs);
+            return html;
+        }
+
+        // Handle oneOf / anyOf - one tab per variant
+        if (schema.oneOf || schema.anyOf) {
+            const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+            const variants = schema[keyword];
+            const discriminator = schema.discriminator;
+            const groupId = `variant-${parentPath}-${Math.random().toString(36).substr(2, 9)}`;
+
+            html += `<div style="margin-left: ${level * 20}px;">`;
+            html += `<span style="color: #569CD6;">${keyword}</span>`;
+            html += ` <span style="color: var(--text-secondary); font-size: 11px;">(${keyword === 'oneOf' ? 'exactly one of' : 'any of'} ${variants.length})</span>`;
+            if (schema.description) {
+                html += ` <span style="color: var(--text-secondary); font-style: italic;">// ${escapeHtml(schema.description)}</span>`;
+            }
+            if (discriminator && discriminator.propertyName) {
+                html += `<div style="color: var(--text-secondary); font-size: 11px; margin-top: 2px;">Discriminator: <span style="color: #9CDCFE;">"${escapeHtml(discriminator.propertyName)}"</span></div>`;
+            }
+
+            // Variant tabs
+            html += `<div style="display: flex; flex-wrap: wrap; gap: 4px; margin: 6px 0;">`;
+            variants.forEach((variant, index) => {
+                let label = getSchemaVariantLabel(variant, index);
+                if (discriminator && discriminator.propertyName && variant.$ref) {
+                    label += ` (${discriminator.propertyName}: "${getDiscriminatorValue(discriminator, variant.$ref)}")`;
+                }
+                const active = index === 0;
+                html += `<button class="schema-variant-tab" data-variant-group="${groupId}" data-variant-index="${index}" onclick="selectSchemaVariant('${groupId}', ${index})" style="padding: 3px 10px; font-size: 11px; border-radius: 3px; cursor: pointer; border: 1px solid ${active ? 'var(--orange)' : 'var(--border-color)'}; background: ${active ? 'var(--hover-bg)' : 'transparent'}; color: ${active ? 'var(--text-primary)' : 'var(--text-secondary)'};">${escapeHtml(label)}</button>`;
+            });
             html += `</div>`;
+
+            // Variant panels (only the selected one is visible)
+            variants.forEach((variant, index) => {
+                html += `<div class="schema-variant-panel" data-variant-group="${groupId}" data-variant-index="${index}" style="display: ${index === 0 ? 'block' : 'none'};">`;
+                html += buildSchemaHtml(variant, spec, level + 1, `${parentPath}-${index}`, seenRefs);
+                html += `</div>`;
+            });
             html += `</div>`;
             return html;
         }
@@ -662,7 +1057,7 @@
             if (schema.description) {
                 html += ` <span style="color: var(--text-secondary); font-style: italic;">// ${schema.description}</span>`;
             }
-            html += buildSchemaHtml(schema.items, spec, level + 1);
+            html += buildSchemaHtml(schema.items, spec, level + 1, parentPath, seenRefs);
             html += `<div style="margin-left: ${level * 20}px;">]</div>`;
             html += `</div>`;
             return html;
@@ -697,18 +1092,18 @@
                     html += `<div style="margin-left: ${(level + 1) * 20}px;">`;
                     html += `<span style="color: #9CDCFE;">"${propName}"</span>: `;
                     
+                    // A single-member allOf is how nullable references are wrapped, treat it as the $ref itself
+                    const propRef = prop.$ref || (prop.allOf && prop.allOf.length === 1 && prop.allOf[0].$ref);
+                    const composition = ['allOf', 'oneOf', 'anyOf'].find(keyword => prop[keyword]);
+
                     // Show type
-                    const propType = prop.type || (prop.$ref ? 'object' : 'any');
+                    const propType = prop.type || (propRef ? 'object' : 'any');
                     const typeColor = propType === 'string' ? '#CE9178' : propType === 'number' || propType === 'integer' ? '#B5CEA8' : propType === 'boolean' ? '#569CD6' : '#4EC9B0';
                     
-                    if (prop.$ref) {
+                    if (propRef) {
                         // Handle expandable nested object
-                        const refPath = prop.$ref.replace('#/', '').split('/');
-                        let refSchema = spec;
-                        const refName = refPath[refPath.length - 1];
-                        refPath.forEach(part => {
-                            refSchema = refSchema[part];
-                        });
+                        const refSchema = resolveSchemaRef(propRef, spec);
+                        const refName = getSchemaRefName(propRef);
                         
                         const uniqueId = `schema-${parentPath}-${propName}-${Math.random().toString(36).substr(2, 9)}`;
                         
@@ -731,20 +1126,44 @@
                         
                         // Add expandable nested schema
                         html += `<div id="${uniqueId}" style="display: none; margin-top: 8px;">`;
-                        html += buildSchemaHtml(refSchema, spec, level + 1, `${parentPath}-${propName}`);
+                        html += seenRefs.includes(propRef)
+                            ? `<div style="margin-left: ${(level + 1) * 20}px; color: var(--text-secondary); font-style: italic;">// circular reference</div>`
+                            : buildSchemaHtml(refSchema, spec, level + 1, `${parentPath}-${propName}`, [...seenRefs, propRef]);
                         html += `</div>`;
                         
+                    } else if (composition) {
+                        // Handle composed property (allOf / oneOf / anyOf)
+                        const uniqueId = `schema-${parentPath}-${propName}-${composition}-${Math.random().toString(36).substr(2, 9)}`;
+
+                        html += `<span style="color: #4EC9B0; font-weight: 600; cursor: pointer;" onclick="toggleSchemaSection('${uniqueId}')">`;
+                        html += `<span id="${uniqueId}-icon" style="display: inline-block; width: 12px; transition: transform 0.2s;">▶</span> `;
+                        html += `${composition}</span>`;
+
+                        // Show required badge
+                        if (isRequired) {
+                            html += ` <span style="color: #f93e3e; font-size: 10px; font-weight: 600; background: rgba(249, 62, 62, 0.1); padding: 2px 6px; border-radius: 3px;">REQUIRED</span>`;
+                        }
+
+                        // Show description
+                        if (prop.description) {
+                            html += `<br/><span style="color: var(--text-secondary); font-style: italic; font-size: 12px; margin-left: ${(level + 1) * 20}px;">// ${escapeHtml(prop.description)}</span>`;
+                        }
+
+                        // Show property attributes
+                        html += buildPropertyAttributes(prop, level);
+
+                        // Add expandable composed schema
+                        html += `<div id="${uniqueId}" style="display: none; margin-top: 8px;">`;
+                        html += buildSchemaHtml(prop, spec, level + 1, `${parentPath}-${propName}`, seenRefs);
+                        html += `</div>`;
+
                     } else if (prop.type === 'array') {
                         html += `<span style="color: #569CD6;">array</span>`;
                         if (prop.items) {
                             if (prop.items.$ref) {
                                 // Handle array of complex types
-                                const refPath = prop.items.$ref.replace('#/', '').split('/');
-                                let refSchema = spec;
-                                const refName = refPath[refPath.length - 1];
-                                refPath.forEach(part => {
-                                    refSchema = refSchema[part];
-                                });
+                                const refSchema = resolveSchemaRef(prop.items.$ref, spec);
+                                const refName = getSchemaRefName(prop.items.$ref);
                                 
                                 const uniqueId = `schema-${parentPath}-${propName}-arr-${Math.random().toString(36).substr(2, 9)}`;
                                 
@@ -767,7 +1186,9 @@
                                 
                                 // Add expandable nested schema
                                 html += `<div id="${uniqueId}" style="display: none; margin-top: 8px;">`;
-                                html += buildSchemaHtml(refSchema, spec, level + 1, `${parentPath}-${propName}`);
+                                html += seenRefs.includes(prop.items.$ref)
+                                    ? `<div style="margin-left: ${(level + 1) * 20}px; color: var(--text-secondary); font-style: italic;">// circular reference</div>`
+                                    : buildSchemaHtml(refSchema, spec, level + 1, `${parentPath}-${propName}`, [...seenRefs, prop.items.$ref]);
                                 html += `</div>`;
                             } else {
                                 const itemType = prop.items.type || 'object';
@@ -852,22 +1273,47 @@
     }
 
     // Build schema example from OpenAPI schema
-    function buildSchemaExample(schema, spec) {
+    function buildSchemaExample(schema, spec, seenRefs = []) {
         if (!schema) return {};
 
         // Handle $ref
         if (schema.$ref) {
-            const refPath = schema.$ref.replace('#/', '').split('/');
-            let refSchema = spec;
-            refPath.forEach(part => {
-                refSchema = refSchema[part];
-            });
-            return buildSchemaExample(refSchema, spec);
+            // Stop at recursive references
+            if (seenRefs.includes(schema.$ref)) return null;
+
+            const refSchema = resolveSchemaRef(schema.$ref, spec);
+            const example = buildSchemaExample(refSchema, spec, [...seenRefs, schema.$ref]);
+
+            // Sub types inheriting a discriminator (allOf base) identify themselves
+            const discriminator = refSchema.allOf ? mergeAllOf(refSchema, spec, seenRefs).discriminator : null;
+            if (discriminator && discriminator.propertyName && example && typeof example === 'object' && !Array.isArray(example)) {
+                example[discriminator.propertyName] = getDiscriminatorValue(discriminator, schema.$ref);
+            }
+            return example;
+        }
+
+        // Handle allOf - merge members into one object
+        if (schema.allOf) {
+            if (schema.allOf.length === 1 && !schema.properties) {
+                return buildSchemaExample(schema.allOf[0], spec, seenRefs);
+            }
+            return buildSchemaExample(mergeAllOf(schema, spec, seenRefs), spec, seenRefs);
+        }
+
+        // Handle oneOf / anyOf - use the first variant
+        if (schema.oneOf || schema.anyOf) {
+            const variant = (schema.oneOf || schema.anyOf)[0];
+            const example = buildSchemaExample(variant, spec, seenRefs);
+            const discriminator = schema.discriminator;
+            if (discriminator && discriminator.propertyName && variant.$ref && example && typeof example === 'object' && !Array.isArray(example)) {
+                example[discriminator.propertyName] = getDiscriminatorValue(discriminator, variant.$ref);
+            }
+            return example;
         }
 
         // Handle array
         if (schema.type === 'array' && schema.items) {
-            return [buildSchemaExample(schema.items, spec)];
+            return [buildSchemaExample(schema.items, spec, seenRefs)];
         }
 
         // Handle object
@@ -876,7 +1322,7 @@
             if (schema.properties) {
                 Object.keys(schema.properties).forEach(propName => {
                     const prop = schema.properties[propName];
-                    example[propName] = buildSchemaExample(prop, spec);
+                    example[propName] = buildSchemaExample(prop, spec, seenRefs);
                 });
             }
             return example;
@@ -901,6 +1347,9 @@
         }
     }
 
+    // Expose for exporters and generators that need example payloads
+    window.buildSchemaExample = buildSchemaExample;
+
     // Build file upload fields from schema
     function buildFileUploadFields(schema, spec) {
         if (!schema) return '<div style="color: var(--text-secondary);">No schema defined for file upload.</div>';
@@ -1098,6 +1547,20 @@
         }
     };
 
+    // Switch the visible variant of a oneOf/anyOf schema
+    window.selectSchemaVariant = function(groupId, index) {
+        document.querySelectorAll(`[data-variant-group="${groupId}"]`).forEach(element => {
+            const isActive = element.dataset.variantIndex === String(index);
+            if (element.classList.contains('schema-variant-tab')) {
+                element.style.borderColor = isActive ? 'var(--orange)' : 'var(--border-color)';
+                element.style.background = isActive ? 'var(--hover-bg)' : 'transparent';
+                element.style.color = isActive ? 'var(--text-primary)' : 'var(--text-secondary)';
+            } else {
+                element.style.display = isActive ? 'block' : 'none';
+            }
+        });
+    };
+
     // Build property attributes display (nullable, default, constraints, etc.)
     function buildPropertyAttributes(prop, level) {
         const attributes = [];
@@ -1189,10 +1652,16 @@
         return html;
     }
 
-    // Search functionality
+    // Search functionality - substring matches on path/method/tag, plus ranked matches on summaries,
+    // operationIds, parameter and property names once the spec is loaded (endpoint-search.js)
     window.searchCollections = function(searchTerm) {
         const term = searchTerm.toLowerCase().trim();
         const folders = document.querySelectorAll('.api-folder');
+        const rankedMatches = new Set();
+        if (term && window.EndpointSearch && swaggerSpecCache) {
+            window.EndpointSearch.search(term, swaggerSpecCache, 25)
+                .forEach(match => rankedMatches.add(`${match.method} ${match.path}`));
+        }
         
         if (!term) {
             // Show all folders and endpoints
@@ -1212,8 +1681,9 @@
             endpoints.forEach(ep => {
                 const path = ep.dataset.path.toLowerCase();
                 const method = ep.dataset.method.toLowerCase();
+                const ranked = rankedMatches.has(`${ep.dataset.method.toUpperCase()} ${ep.dataset.path}`);
                 
-                if (path.includes(term) || method.includes(term) || tag.includes(term)) {
+                if (path.includes(term) || method.includes(term) || tag.includes(term) || ranked) {
                     ep.style.display = '';
                     hasVisibleEndpoints = true;
                 } else {
@@ -1268,6 +1738,125 @@
     }
 
     // Try It Out Panel Functions
+    // Find the spec operation for a concrete request path (e.g. /api/customers/42 -> /api/customers/{id}).
+    // Returns { path, operation, pathParams } or null. Leading segments (a server base path) are skipped if needed.
+    window.matchSpecPath = function(spec, method, pathname) {
+        const paths = spec.paths || {};
+        const segments = pathname.split('?')[0].split('/').filter(segment => segment !== '');
+
+        for (let skip = 0; skip < Math.max(segments.length, 1); skip++) {
+            const candidate = segments.slice(skip);
+            let best = null;
+
+            Object.keys(paths).forEach(template => {
+                const operation = paths[template][method.toLowerCase()];
+                if (!operation) return;
+
+                const templateSegments = template.split('/').filter(segment => segment !== '');
+                if (templateSegments.length !== candidate.length) return;
+
+                const pathParams = {};
+                let literalMatches = 0;
+
+                const matches = templateSegments.every((templateSegment, index) => {
+                    const value = candidate[index];
+                    if (!templateSegment.includes('{')) {
+                        if (templateSegment.toLowerCase() !== decodePathSegment(value).toLowerCase()) return false;
+                        literalMatches++;
+                        return true;
+                    }
+
+                    // Segment with one or more {params}, e.g. {id} or report.{format}
+                    const names = [];
+                    const pattern = templateSegment.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+                        names.push(name);
+                        return '([^/]+)';
+                    });
+                    const result = new RegExp(`^${pattern}$`).exec(value);
+                    if (!result) return false;
+
+                    names.forEach((name, i) => {
+                        pathParams[name] = decodePathSegment(result[i + 1]);
+                    });
+                    return true;
+                });
+
+                // Prefer the template with the most literal segments (/users/me over /users/{id})
+                if (matches && (!best || literalMatches > best.literalMatches)) {
+                    best = { path: template, operation: operation, pathParams: pathParams, literalMatches: literalMatches };
+                }
+            });
+
+            if (best) {
+                return { path: best.path, operation: best.operation, pathParams: best.pathParams };
+            }
+        }
+
+        return null;
+    };
+
+    // Segments are matched still encoded (so %2F stays inside one segment) and decoded once here;
+    // a stray % that isn't an escape is kept as typed
+    function decodePathSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
+        }
+    }
+
+    // Open the Try It Out panel pre-filled with a request snapshot
+    // ({ parameters, requestBody, contentType, customHeaders, formFields, response }) - used by history, saved requests and cURL import
+    window.openTryItWithRequest = async function(method, path, snapshot) {
+        try {
+            const spec = await getSwaggerSpec();
+            const pathItem = spec.paths[path];
+            const operation = pathItem && pathItem[method.toLowerCase()];
+
+            if (!operation) {
+                alert(`${method.toUpperCase()} ${path} does not exist in the selected API version.`);
+                return;
+            }
+
+            const cachedData = loadTryItCache(method, path) || {};
+            saveTryItCache(method, path, {
+                parameters: snapshot.parameters || {},
+                requestBody: snapshot.requestBody !== undefined ? snapshot.requestBody : cachedData.requestBody,
+                contentType: snapshot.contentType || cachedData.contentType,
+                customHeaders: snapshot.customHeaders || [],
+                securityRequirement: snapshot.securityRequirement !== undefined ? snapshot.securityRequirement : cachedData.securityRequirement,
+                response: snapshot.response
+            });
+
+            // The panel is rebuilt from the cache, so drop any minimized copy of it
+            const tabKey = `${method.toLowerCase()}:${path}`;
+            if (minimizedTabs.has(tabKey)) {
+                minimizedTabs.delete(tabKey);
+                saveMinimizedTabs();
+                updateMinimizedTabsBar();
+            }
+
+            window.currentOperation = {
+                method: method.toLowerCase(),
+                path: path,
+                operation: operation,
+                spec: spec
+            };
+
+            openTryItPanel(method.toLowerCase(), path, operation.operationId);
+
+            // Multipart text fields aren't cached, so fill them in the rendered form
+            if (snapshot.formFields) {
+                Object.keys(snapshot.formFields).forEach(name => {
+                    const input = document.getElementById(`field-${name}`);
+                    if (input) input.value = snapshot.formFields[name];
+                });
+            }
+        } catch (e) {
+            console.error('Failed to open request:', e);
+        }
+    };
+
     window.openTryItPanel = function(method, path, operationId) {
         const panel = document.getElementById('tryItPanel');
         const overlay = document.getElementById('tryItOverlay');
@@ -1296,7 +1885,7 @@
                     <span style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 16px;">${path}</span>
                 </div>
                 <div style="display: flex; gap: 8px;">
-                    <button onclick="minimizeTryItPanel('${method}', '${escapeHtml(path)}')" title="Minimize" style="background: transparent; border: none; color: var(--text-secondary); cursor: pointer; font-size: 18px; padding: 0; width: 32px; height: 32px; display: flex; align-items: center; justify-content: center; border-radius: 4px; transition: all 0.2s;" onmouseover="this.style.background='var(--hover-bg)'; this.style.color='var(--text-primary)'" onmouseout="this.style.background='transparent'; this.style.color='var(--text-secondary)'">
+                    <button data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onclick="minimizeTryItPanel(this.dataset.method, this.dataset.path)" title="Minimize" style="background: transparent; border: none; color: var(--text-secondary); cursor: pointer; font-size: 18px; padding: 0; width: 32px; height: 32px; display: flex; align-items: center; justify-content: center; border-radius: 4px; transition: all 0.2s;" onmouseover="this.style.background='var(--hover-bg)'; this.style.color='var(--text-primary)'" onmouseout="this.style.background='transparent'; this.style.color='var(--text-secondary)'">
                         <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="5" y1="12" x2="19" y2="12"></line>
                         </svg>
@@ -1369,19 +1958,15 @@
                         </select>
                     `;
                 } else if (paramType === 'integer' || paramType === 'number') {
-                    // Number input
-                    const step = paramType === 'integer' ? '1' : 'any';
-                    const minAttr = minimum !== undefined ? `min="${minimum}"` : '';
-                    const maxAttr = maximum !== undefined ? `max="${maximum}"` : '';
+                    // Number input (plain text so it can also hold {{variables}}, validated in validateParameter)
+                    const inputMode = paramType === 'integer' ? 'numeric' : 'decimal';
                     inputHtml = `
                         <input 
-                            type="number" 
+                            type="text" 
+                            inputmode="${inputMode}"
                             id="param-${index}" 
                             placeholder="${param.description || ''}"
                             value="${escapeHtml(cachedValue)}"
-                            step="${step}"
-                            ${minAttr}
-                            ${maxAttr}
                             data-param-name="${param.name}"
                             data-param-in="${param.in}"
                             data-param-type="${paramType}"
@@ -1459,7 +2044,7 @@
                                 <div style="display: flex; gap: 8px; align-items: center;">
                                     <select 
                                         id="contentTypeSelector" 
-                                        onchange="changeContentType('${method}', '${escapeHtml(path)}')"
+                                        data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onchange="changeContentType(this.dataset.method, this.dataset.path)"
                                         style="padding: 6px 12px; background: var(--dark-bg); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); font-size: 12px; font-family: 'Monaco', 'Consolas', monospace; cursor: pointer; min-width: 160px;"
                                     >
                                         ${contentTypes.map(ct => `<option value="${ct}" ${ct === cachedContentType ? 'selected' : ''}>${ct}</option>`).join('')}
@@ -1488,7 +2073,7 @@
                                 <div style="display: flex; gap: 8px; align-items: center;">
                                     <select 
                                         id="contentTypeSelector" 
-                                        onchange="changeContentType('${method}', '${escapeHtml(path)}')"
+                                        data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onchange="changeContentType(this.dataset.method, this.dataset.path)"
                                         style="padding: 6px 12px; background: var(--dark-bg); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); font-size: 12px; font-family: 'Monaco', 'Consolas', monospace; cursor: pointer; min-width: 160px;"
                                     >
                                         ${contentTypes.map(ct => `<option value="${ct}" ${ct === cachedContentType ? 'selected' : ''}>${ct}</option>`).join('')}
@@ -1519,12 +2104,31 @@
                             
                             <textarea id="requestBodyData" style="display: none;">${bodyStr}</textarea>
                             <textarea id="requestBodyOriginal" style="display: none;">${JSON.stringify(exampleBody, null, 2)}</textarea>
+                            <div id="requestBodyValidation"></div>
                         </div>
                     `;
                 }
             }
         }
 
+        // Authorization Section - only when the operation accepts alternative security requirements
+        const operationSecurity = op.operation.security || op.spec.security || [];
+        if (operationSecurity.length > 1) {
+            const selectedRequirement = cachedData?.securityRequirement;
+            requestHtml += `
+                <div style="margin-bottom: 20px;">
+                    <h4 style="color: var(--text-primary); margin-bottom: 12px; font-size: 14px;">Authorization</h4>
+                    <select id="securityRequirementSelect" onchange="saveCurrentPanelState()" style="width: 100%; padding: 8px 12px; background: var(--dark-bg); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); font-size: 13px; outline: none;">
+                        <option value="">Automatic (first alternative with saved credentials)</option>
+                        ${operationSecurity.map((secReq, index) => `
+                            <option value="${index}" ${selectedRequirement === index ? 'selected' : ''}>${escapeHtml(describeSecurityRequirement(secReq))}</option>
+                        `).join('')}
+                    </select>
+                    <div style="margin-top: 6px; font-size: 12px; color: var(--text-secondary);">This endpoint accepts any one of these; every scheme joined with + is sent together.</div>
+                </div>
+            `;
+        }
+
         // Custom Headers Section
         const cachedHeaders = cachedData?.customHeaders || [];
         requestHtml += `
@@ -1545,9 +2149,14 @@
             </div>
         `;
 
+        // Tests Section (assertions and script run after each response)
+        if (window.TestManager) {
+            requestHtml += window.TestManager.renderSection(method, path);
+        }
+
         // Build action buttons (will be placed in sticky section)
         const actionButtonsHtml = `
-            <button onclick="executeTryIt('${method}', '${escapeHtml(path)}')" class="try-it-execute-button">
+            <button data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onclick="executeTryIt(this.dataset.method, this.dataset.path)" class="try-it-execute-button">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polygon points="5 3 19 12 5 21 5 3"></polygon>
                 </svg>
@@ -1556,9 +2165,13 @@
             <button onclick="clearTryItResponse()" style="padding: 10px 20px; background: transparent; border: 1px solid var(--border-color); border-radius: 6px; color: var(--text-secondary); cursor: pointer; font-size: 14px; font-weight: 600;">
                 Clear
             </button>
+            <button onclick="openSaveRequestModal()" title="Save this request to a collection" style="padding: 10px 20px; background: transparent; border: 1px solid var(--border-color); border-radius: 6px; color: var(--text-secondary); cursor: pointer; font-size: 14px; font-weight: 600;">
+                💾 Save
+            </button>
         `;
 
         // Build response section content
+        let cachedJsonBody;
         let responseHtml = `
             <h3 style="color: var(--text-primary); margin-bottom: 20px; font-size: 18px;">📥 Response</h3>
             <div id="tryItResponseContent">`;
@@ -1578,6 +2191,7 @@
                         <span style="color: var(--text-secondary); font-size: 13px;">
                             ⏱ ${cached.duration}ms
                         </span>
+                        ${cached.authProfile ? `<span style="color: var(--text-secondary); font-size: 13px;" title="Credential profile">👤 ${escapeHtml(cached.authProfile)}</span>` : ''}
                         <span style="color: var(--text-secondary); font-size: 12px; opacity: 0.6;">
                             (cached)
                         </span>
@@ -1585,30 +2199,31 @@
                 </div>
             `;
             
-            // cURL Command (collapsed by default)
-            responseHtml += `
-                <div style="margin-bottom: 16px;">
-                    <div onclick="toggleCurlSection()" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; cursor: pointer; padding: 8px; background: var(--darker-bg); border-radius: 4px; border: 1px solid var(--border-color);">
-                        <h4 style="color: var(--text-primary); margin: 0; font-size: 14px; display: flex; align-items: center; gap: 8px;">
-                            <span id="curlToggleIcon" style="transition: transform 0.2s;">▶</span>
-                            cURL Command
-                        </h4>
-                        <button onclick="event.stopPropagation(); copyCurl()" title="Copy cURL" style="padding: 4px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 11px; display: flex; align-items: center; gap: 4px;">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-                            </svg>
-                            Copy
-                        </button>
-                    </div>
-                    <div id="curlSection" style="display: none; background: var(--darker-bg); border: 1px solid var(--border-color); border-radius: 4px; padding: 12px; max-height: 200px; overflow-y: auto;">
-                        <pre id="curlCommand" style="margin: 0; color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word;">${escapeHtml(cached.curl)}</pre>
-                    </div>
-                </div>
-            `;
+            // Code snippet (collapsed by default)
+            responseHtml += renderSnippetSection(cached.request, cached.curl);
+
+            // Contract check against the documented response, same as for a fresh response
+            const cachedHeaderLines = Object.keys(cached.headers || {}).map(key => `${key}: ${cached.headers[key]}`);
+            const contract = window.SchemaValidator ? window.SchemaValidator.checkContract(op.operation, op.spec, {
+                status: cached.status,
+                contentType: cached.contentType || '',
+                body: cached.file ? (cached.file.size > 0 ? '(binary)' : '') : (cached.body || '')
+            }) : [];
+
+            const hasTests = !!window.TestManager && window.TestManager.hasTests(window.TestManager.get(method, path));
+            responseHtml += renderResponseTabs(cachedHeaderLines.length, contract, hasTests);
+            responseHtml += `<div class="response-tab-panel" data-response-tab="body">`;
             
+            // Decode JWTs issued in the response
+            if (window.JwtInspector && !cached.file) {
+                responseHtml += window.JwtInspector.renderFound(cached.body, {});
+            }
+
             // Response body
-            if (cached.body) {
+            const cachedKind = window.ResponsePreview ? window.ResponsePreview.getKind(cached.contentType) : 'text';
+            if (cached.file && window.ResponsePreview) {
+                responseHtml += window.ResponsePreview.renderCachedFile(cached.file);
+            } else if (cached.body) {
                 let bodyStr = cached.body;
                 let highlightedContent;
                 
@@ -1617,9 +2232,12 @@
                     const parsed = JSON.parse(bodyStr);
                     bodyStr = JSON.stringify(parsed, null, 2);
                     highlightedContent = syntaxHighlightJSON(bodyStr);
+                    cachedJsonBody = parsed;
                 } catch (e) {
-                    // Not JSON, use as-is
-                    highlightedContent = escapeHtml(bodyStr);
+                    // Not JSON, use as-is (XML is re-indented)
+                    const formatted = formatTextBody(bodyStr, cachedKind);
+                    bodyStr = formatted.text;
+                    highlightedContent = formatted.highlighted;
                 }
                 
                 const lines = bodyStr.split('\n');
@@ -1627,8 +2245,7 @@
                 
                 responseHtml += `
                     <div style="margin-bottom: 16px;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-                            <h4 style="color: var(--text-primary); margin: 0; font-size: 14px;">Body</h4>
+                        <div style="display: flex; justify-content: flex-end; align-items: center; margin-bottom: 8px;">
                             <button onclick="copyResponse()" title="Copy Response" style="padding: 4px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 11px; display: flex; align-items: center; gap: 4px;">
                                 <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -1637,15 +2254,23 @@
                                 Copy
                             </button>
                         </div>
-                        <div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 500px; overflow-y: auto;">
+                        ${cachedJsonBody !== undefined ? '<div id="responseJsonViewer"></div>' : ''}
+                        ${cachedKind === 'html' && window.ResponsePreview ? window.ResponsePreview.renderHtmlPreview(bodyStr) : ''}
+                        <div id="responseRawBody" style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 500px; overflow-y: auto; ${cachedKind === 'html' && window.ResponsePreview ? 'display: none;' : ''}">
                             <div style="display: flex; background: var(--darker-bg);">
                                 <pre style="padding: 16px 8px; margin: 0; background: var(--darker-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 13px; line-height: 1.5; text-align: right; user-select: none; border-right: 1px solid var(--border-color); min-width: 40px;">${lineNumbers}</pre>
-                                <pre style="flex: 1; padding: 16px 12px; margin: 0; background: var(--dark-bg); color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 13px; line-height: 1.5; overflow-x: auto;">${highlightedContent}</pre>
+                                <pre id="responseBodyContent" style="flex: 1; padding: 16px 12px; margin: 0; background: var(--dark-bg); color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 13px; line-height: 1.5; overflow-x: auto;">${highlightedContent}</pre>
                             </div>
                         </div>
                     </div>
                 `;
             }
+
+            responseHtml += `</div>`;
+            responseHtml += `<div class="response-tab-panel" data-response-tab="headers" style="display: none;">${renderResponseHeaders(cachedHeaderLines)}</div>`;
+            responseHtml += `<div class="response-tab-panel" data-response-tab="contract" style="display: none;">${renderContractViolations(contract)}</div>`;
+            responseHtml += `<div class="response-tab-panel" data-response-tab="tests" style="display: none;"><div id="responseTestsPanel" style="color: var(--text-secondary); font-size: 13px;">Running tests...</div></div>`;
+            responseHtml += `<div class="response-tab-panel" data-response-tab="compare" style="display: none;"><div id="responseComparePanel"></div></div>`;
         } else {
             // No cached response - show default message
             responseHtml += `
@@ -1684,6 +2309,31 @@
 
         panel.style.display = 'flex';
         overlay.style.display = 'block';
+        mountResponseViewer(cachedJsonBody);
+
+        // Compare and Tests work on the cached response like on a fresh one
+        if (cachedData?.response) {
+            const cached = cachedData.response;
+            if (window.ResponseDiff) {
+                window.ResponseDiff.setCurrent(Object.assign({
+                    method: method.toLowerCase(),
+                    path: path,
+                    swaggerEndpoint: SWAGGER_ENDPOINT,
+                    status: cached.status,
+                    body: cached.body
+                }, cached.timestamp ? { timestamp: cached.timestamp } : {}));
+            }
+
+            if (window.TestManager && window.TestManager.hasTests(window.TestManager.get(method, path))) {
+                window.TestManager.runForResponse(method, path, {
+                    status: cached.status,
+                    statusText: cached.statusText,
+                    duration: cached.duration,
+                    headers: cached.headers || {},
+                    body: cached.body
+                });
+            }
+        }
         
         // Trigger animation
         setTimeout(() => {
@@ -1888,7 +2538,8 @@
         
         if (!input || !errorDiv) return true;
         
-        const value = input.value.trim();
+        // Validate the value that will actually be sent (environment variables resolved)
+        const value = applyEnvironment(input.value.trim());
         const paramName = input.getAttribute('data-param-name');
         const paramType = input.getAttribute('data-param-type');
         const paramFormat = input.getAttribute('data-param-format');
@@ -2070,10 +2721,64 @@
             parameters: parameters,
             requestBody: requestBody,
             contentType: contentType,
-            customHeaders: Object.keys(customHeaders).map(key => ({ key, value: customHeaders[key] }))
+            customHeaders: Object.keys(customHeaders).map(key => ({ key, value: customHeaders[key] })),
+            securityRequirement: getSelectedSecurityRequirement()
         });
     };
 
+    // Snapshot of the request currently in the Try It Out panel (raw values, {{variables}} unresolved)
+    window.captureTryItRequest = function() {
+        const op = window.currentOperation;
+        if (!op) return null;
+
+        const parameters = {};
+        if (op.operation.parameters) {
+            op.operation.parameters.forEach((param, index) => {
+                const input = document.getElementById(`param-${index}`);
+                if (input && input.value) {
+                    parameters[param.name] = input.value;
+                }
+            });
+        }
+
+        // Same source as executeTryIt: the textarea while editing, otherwise the data holder
+        const bodyEdit = document.getElementById('requestBodyEdit');
+        const bodyTextarea = document.getElementById('requestBody');
+        const bodyData = document.getElementById('requestBodyData');
+        const requestBody = (bodyEdit && bodyEdit.style.display !== 'none' && bodyTextarea) ? bodyTextarea.value : (bodyData ? bodyData.value : null);
+
+        const contentTypeSelector = document.getElementById('contentTypeSelector');
+        const customHeaders = getCustomHeaders();
+
+        // Text fields of a multipart form (selected files can't be kept)
+        const fileUploadContainer = document.getElementById('fileUploadContainer');
+        let formFields = null;
+        if (fileUploadContainer) {
+            formFields = {};
+            fileUploadContainer.querySelectorAll('input[type="text"]').forEach(input => {
+                if (input.value) formFields[input.name] = input.value;
+            });
+        }
+
+        return {
+            method: op.method.toLowerCase(),
+            path: op.path,
+            summary: op.operation.summary || '',
+            parameters: parameters,
+            customHeaders: Object.keys(customHeaders).map(key => ({ key, value: customHeaders[key] })),
+            requestBody: requestBody,
+            formFields: formFields,
+            contentType: contentTypeSelector ? contentTypeSelector.value : null,
+            securityRequirement: getSelectedSecurityRequirement()
+        };
+    };
+
+    // Index of the security alternative picked in the Try It Out panel, or null for automatic
+    function getSelectedSecurityRequirement() {
+        const select = document.getElementById('securityRequirementSelect');
+        return select && select.value !== '' ? parseInt(select.value, 10) : null;
+    }
+
     window.validateAllParameters = function() {
         const op = window.currentOperation;
         if (!op || !op.operation.parameters) return true;
@@ -2089,6 +2794,120 @@
         return allValid;
     };
 
+    // Tab bar above the response body/headers/contract
+    function renderResponseTabs(headerCount, contract, hasTests) {
+        const errorCount = contract.filter(violation => violation.severity !== 'warning').length;
+        const contractBadge = contract.length === 0
+            ? '<span style="color: #49cc90;">✓</span>'
+            : `<span style="color: ${errorCount > 0 ? '#f93e3e' : '#ffa500'};">${contract.length}</span>`;
+
+        return `
+            <div class="response-tabs">
+                <button class="response-tab active" data-response-tab="body" onclick="switchResponseTab('body')">Body</button>
+                <button class="response-tab" data-response-tab="headers" onclick="switchResponseTab('headers')">Headers <span style="opacity: 0.6;">${headerCount}</span></button>
+                <button class="response-tab" data-response-tab="contract" onclick="switchResponseTab('contract')">Contract ${contractBadge}</button>
+                ${hasTests ? `<button class="response-tab" data-response-tab="tests" onclick="switchResponseTab('tests')">Tests <span id="responseTestsBadge" style="opacity: 0.6;">…</span></button>` : ''}
+                ${window.ResponseDiff ? `<button class="response-tab" data-response-tab="compare" onclick="switchResponseTab('compare')">Compare</button>` : ''}
+            </div>
+        `;
+    }
+
+    // Headers tab content: "name: value" lines with line numbers
+    function renderResponseHeaders(headers) {
+        if (headers.length === 0) return '';
+
+        const headerLineNumbers = Array.from({length: headers.length}, (_, i) => i + 1).join('\n');
+        return `
+            <div>
+                <div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 300px; overflow-y: auto;">
+                    <div style="display: flex; background: var(--darker-bg);">
+                        <pre style="padding: 16px 8px; margin: 0; background: var(--darker-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.5; text-align: right; user-select: none; border-right: 1px solid var(--border-color); min-width: 40px;">${headerLineNumbers}</pre>
+                        <pre style="flex: 1; padding: 16px 12px; margin: 0; background: var(--dark-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.5; overflow-x: auto;">${escapeHtml(headers.join('\n'))}</pre>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Contract tab content: one row per violation with its JSON pointer
+    function renderContractViolations(contract) {
+        if (contract.length === 0) {
+            return `
+                <div style="padding: 16px; background: rgba(73, 204, 144, 0.1); border: 1px solid #49cc90; border-radius: 4px; color: #49cc90; font-size: 13px;">
+                    ✓ The response matches the documented status code, content type and schema.
+                </div>
+            `;
+        }
+
+        return `
+            <div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden;">
+                ${contract.map(violation => `
+                    <div style="display: flex; gap: 10px; padding: 10px 12px; border-bottom: 1px solid var(--border-color); font-size: 13px; background: var(--dark-bg);">
+                        <span>${violation.severity === 'warning' ? '⚠️' : '❌'}</span>
+                        <div style="flex: 1;">
+                            ${violation.pointer !== undefined ? `<code style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace;">${escapeHtml(window.SchemaValidator.formatPointer(violation.pointer))}</code> ` : ''}
+                            <span style="color: var(--text-secondary);">${escapeHtml(violation.message)}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    window.switchResponseTab = function(tab) {
+        document.querySelectorAll('.response-tab').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-response-tab') === tab);
+        });
+        document.querySelectorAll('.response-tab-panel').forEach(panel => {
+            panel.style.display = panel.getAttribute('data-response-tab') === tab ? 'block' : 'none';
+        });
+
+        // Earlier responses are looked up when the Compare tab is opened
+        if (tab === 'compare' && window.ResponseDiff) {
+            window.ResponseDiff.renderPanel();
+        }
+    };
+
+    // Validate the JSON request body against the schema of the selected content type.
+    // Errors are listed under the body editor; returns [{ pointer, message }].
+    function validateRequestBody() {
+        const container = document.getElementById('requestBodyValidation');
+        const op = window.currentOperation;
+        if (!container || !op || !op.operation.requestBody || !window.SchemaValidator) return [];
+
+        const contentTypeSelector = document.getElementById('contentTypeSelector');
+        const contentType = contentTypeSelector ? contentTypeSelector.value : 'application/json';
+        const schema = op.operation.requestBody.content?.[contentType]?.schema;
+
+        const edit = document.getElementById('requestBodyEdit');
+        const bodyTextarea = document.getElementById('requestBody');
+        const bodyData = document.getElementById('requestBodyData');
+        const bodyValue = (edit && edit.style.display !== 'none') ? bodyTextarea.value : (bodyData ? bodyData.value : '');
+
+        let errors = [];
+        if (schema && contentType.includes('json') && bodyValue.trim()) {
+            try {
+                errors = window.SchemaValidator.validate(JSON.parse(applyEnvironment(bodyValue)), schema, op.spec, { direction: 'request' });
+            } catch (e) {
+                errors = [{ pointer: '', message: `is not valid JSON: ${e.message}` }];
+            }
+        }
+
+        container.innerHTML = errors.length === 0 ? '' : `
+            <div style="margin-top: 8px; padding: 12px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px;">
+                <div style="color: #f93e3e; font-weight: 600; font-size: 13px; margin-bottom: 6px;">❌ ${errors.length} schema error(s)</div>
+                ${errors.map(error => `
+                    <div style="font-size: 12px; line-height: 1.6; color: var(--text-secondary);">
+                        <code style="color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace;">${escapeHtml(window.SchemaValidator.formatPointer(error.pointer))}</code>
+                        ${escapeHtml(error.message)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        return errors;
+    }
+
     window.updateLineNumbers = function(textareaId, lineNumbersId) {
         const textarea = document.getElementById(textareaId);
         const lineNumbers = document.getElementById(lineNumbersId);
@@ -2149,7 +2968,265 @@
         }
     };
 
-    window.executeTryIt = async function(method, path) {
+    // Saved credentials by security scheme name (values only - see the auth modal)
+    function loadSavedAuth() {
+        try {
+            return JSON.parse(localStorage.getItem('swaggerWithSwagg_auth') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Pick the security requirement object to satisfy: the chosen index, otherwise the first alternative
+    // with credentials for every scheme, otherwise anonymous access ({}) when allowed, otherwise the first one
+    function selectSecurityRequirement(operationSecurity, auth, choice) {
+        const index = parseInt(choice, 10);
+        if (!isNaN(index) && operationSecurity[index]) {
+            return operationSecurity[index];
+        }
+
+        const satisfied = operationSecurity.find(secReq => {
+            const schemeNames = Object.keys(secReq);
+            return schemeNames.length > 0 && schemeNames.every(schemeName => auth[schemeName]);
+        });
+        return satisfied || operationSecurity.find(secReq => Object.keys(secReq).length === 0) || operationSecurity[0];
+    }
+
+    // Label of a security requirement object: "OAuth2 (read, write) + ApiKey", or "No authorization" for {}
+    function describeSecurityRequirement(secReq) {
+        const schemeNames = Object.keys(secReq);
+        if (schemeNames.length === 0) return 'No authorization';
+        return schemeNames
+            .map(schemeName => secReq[schemeName] && secReq[schemeName].length > 0 ? `${schemeName} (${secReq[schemeName].join(', ')})` : schemeName)
+            .join(' + ');
+    }
+
+    // Authorization header for an http scheme - basic credentials are saved as "username:password"
+    function formatHttpAuthorization(httpScheme, value) {
+        const schemeName = (httpScheme || 'bearer').toLowerCase();
+        if (schemeName === 'basic') {
+            const bytes = new TextEncoder().encode(value);
+            let binary = '';
+            bytes.forEach(byte => {
+                binary += String.fromCharCode(byte);
+            });
+            return `Basic ${btoa(binary)}`;
+        }
+        if (schemeName === 'bearer') {
+            return `Bearer ${value}`;
+        }
+        return `${httpScheme} ${value}`;
+    }
+    window.formatHttpAuthorization = formatHttpAuthorization;
+
+    // Build and send the request for an operation from raw request values - the shape captureTryItRequest returns:
+    // { parameters (by name), customHeaders [{ key, value }], contentType, requestBody, formData (optional FormData),
+    //   securityRequirement (optional index into the operation's security alternatives) }.
+    // Shared by executeTryIt and the collection runner; variables resolve {{placeholders}} on top of the environment.
+    // Returns { url, options, cookieHeader, cookieWarning, response, duration }
+    async function sendOperationRequest(op, request, variables) {
+        const method = op.method.toUpperCase();
+        const resolve = value => applyEnvironment(value, variables);
+        let url = op.path;
+
+        // Header and cookie parameters declared by the operation
+        const headerParams = {};
+        const cookieParams = {};
+
+        // Replace path parameters, append query parameters and collect header/cookie parameters
+        (op.operation.parameters || []).forEach(param => {
+            const raw = request.parameters ? request.parameters[param.name] : undefined;
+            if (raw === undefined || raw === null || raw === '') return;
+
+            const value = resolve(String(raw));
+            if (param.in === 'path') {
+                url = url.replace(`{${param.name}}`, encodeURIComponent(value));
+            } else if (param.in === 'query') {
+                const separator = url.includes('?') ? '&' : '?';
+                url += `${separator}${encodeURIComponent(param.name)}=${encodeURIComponent(value)}`;
+            } else if (param.in === 'header') {
+                // OpenAPI says Accept, Content-Type and Authorization header parameters are ignored
+                if (!RESERVED_HEADER_PARAMS.includes(param.name.toLowerCase())) {
+                    headerParams[param.name] = value;
+                }
+            } else if (param.in === 'cookie') {
+                cookieParams[param.name] = value;
+            }
+        });
+
+        // Send to the environment's base URL when one is set
+        url = getRequestBaseUrl() + url;
+
+        const options = {
+            method: method,
+            headers: {
+                'Content-Type': request.contentType || 'application/json'
+            }
+        };
+
+        // Add header parameters (custom headers below can still override them)
+        Object.keys(headerParams).forEach(key => {
+            options.headers[key] = headerParams[key];
+        });
+
+        // Add custom headers
+        (request.customHeaders || []).forEach(header => {
+            if (header.key) {
+                options.headers[resolve(header.key)] = resolve(header.value);
+            }
+        });
+
+        // Check if this endpoint requires authorization (use cached spec)
+        const spec = await getSwaggerSpec();
+        const securitySchemes = spec.components?.securitySchemes || {};
+        const operationSecurity = op.operation.security || spec.security || [];
+
+        // Apply saved authorization ONLY if endpoint requires it - security entries are alternatives (OR),
+        // the schemes inside one entry are all applied (AND)
+        if (operationSecurity.length > 0) {
+            try {
+                const requirement = selectSecurityRequirement(operationSecurity, loadSavedAuth(), request.securityRequirement);
+                const schemeNames = Object.keys(requirement || {});
+
+                // Renew OAuth2 tokens that are about to expire before reading them
+                if (window.OAuth2Manager) {
+                    await window.OAuth2Manager.refreshExpiring(schemeNames, securitySchemes);
+                }
+
+                const auth = loadSavedAuth();
+                schemeNames.forEach(schemeName => {
+                    const authValue = auth[schemeName];
+                    const scheme = securitySchemes[schemeName];
+                    if (!authValue || !scheme) return;
+
+                    if (scheme.type === 'http') {
+                        options.headers['Authorization'] = formatHttpAuthorization(scheme.scheme, authValue);
+                    } else if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+                        options.headers['Authorization'] = `Bearer ${authValue}`;
+                    } else if (scheme.type === 'apiKey') {
+                        if (scheme.in === 'header') {
+                            options.headers[scheme.name] = authValue;
+                        } else if (scheme.in === 'query') {
+                            const separator = url.includes('?') ? '&' : '?';
+                            url += `${separator}${encodeURIComponent(scheme.name)}=${encodeURIComponent(authValue)}`;
+                        } else if (scheme.in === 'cookie') {
+                            cookieParams[scheme.name] = authValue;
+                        }
+                    }
+                    // mutualTLS: the browser presents the client certificate itself
+                });
+            } catch (e) {
+                console.error('Failed to apply authorization:', e);
+            }
+        }
+
+        // Browsers refuse a Cookie header on fetch, so cookie parameters (and cookie API keys) are written to
+        // document.cookie for the request path and expired again once the response arrives. Requests to another
+        // origin never get the page's cookies.
+        const target = new URL(url, window.location.origin);
+        const hasCookies = Object.keys(cookieParams).length > 0;
+        const sameOrigin = target.origin === window.location.origin;
+        const requestCookies = sameOrigin ? setRequestCookies(cookieParams, target.pathname) : [];
+        const cookieWarning = hasCookies && !sameOrigin
+            ? `Cookies (${Object.keys(cookieParams).join(', ')}) were not sent: browsers only attach them to requests to ${window.location.origin}. Use the cURL command to send them to ${target.origin}.`
+            : null;
+        const cookieHeader = Object.keys(cookieParams)
+            .map(name => `${name}=${cookieParams[name]}`)
+            .join('; ');
+
+        // Add request body if applicable
+        if (BODY_METHODS.includes(method)) {
+            if (request.formData) {
+                // Remove Content-Type header - browser will set it with boundary
+                delete options.headers['Content-Type'];
+                options.body = request.formData;
+            } else if (request.requestBody) {
+                options.body = resolve(request.requestBody);
+            }
+        }
+
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (e) {
+            // Network failures (offline, CORS, refused connection) - what was attempted can still be recorded
+            e.sentRequest = { url: url, options: options, cookieHeader: cookieHeader, duration: Date.now() - startTime };
+            throw e;
+        } finally {
+            expireRequestCookies(requestCookies);
+        }
+        const duration = Date.now() - startTime;
+
+        return { url, options, cookieHeader, cookieWarning, response, duration };
+    }
+
+    window.sendOperationRequest = sendOperationRequest;
+
+    // Cookies written for requests in flight - expired when the response arrives or on logout
+    const pendingRequestCookies = new Set();
+
+    // Write cookies scoped to a request path; returns [{ name, path }] for expireRequestCookies
+    function setRequestCookies(cookies, path) {
+        const scope = /^\/[^;,\s]*$/.test(path) ? path : '/';
+        return Object.keys(cookies).map(name => {
+            document.cookie = `${encodeURIComponent(name)}=${encodeURIComponent(cookies[name])}; path=${scope}; SameSite=Strict`;
+            const cookie = { name: name, path: scope };
+            pendingRequestCookies.add(cookie);
+            return cookie;
+        });
+    }
+
+    function expireRequestCookies(cookies) {
+        cookies.forEach(cookie => {
+            document.cookie = `${encodeURIComponent(cookie.name)}=; path=${cookie.path}; max-age=0; SameSite=Strict`;
+            pendingRequestCookies.delete(cookie);
+        });
+    }
+
+    // Logout: expire request cookies still in flight, plus any site-wide copies of the named cookies
+    // (older versions wrote cookie API keys with path=/)
+    window.clearRequestCookies = function(names) {
+        expireRequestCookies(Array.from(pendingRequestCookies));
+        (names || []).forEach(name => {
+            document.cookie = `${encodeURIComponent(name)}=; path=/; max-age=0`;
+        });
+    };
+
+    // Warnings for bearer tokens the selected security requirement would send that are bound to fail:
+    // expired, not yet valid or missing a scope the operation requires
+    async function checkRequestTokens(op, request) {
+        if (!window.JwtInspector) return [];
+
+        const spec = await getSwaggerSpec();
+        const securitySchemes = spec.components?.securitySchemes || {};
+        const operationSecurity = op.operation.security || spec.security || [];
+        if (operationSecurity.length === 0) return [];
+
+        const requirement = selectSecurityRequirement(operationSecurity, loadSavedAuth(), request.securityRequirement) || {};
+        const schemeNames = Object.keys(requirement);
+
+        // Renew expiring OAuth2 tokens first, so only tokens that can't be renewed are reported
+        if (window.OAuth2Manager) {
+            await window.OAuth2Manager.refreshExpiring(schemeNames, securitySchemes);
+        }
+
+        const auth = loadSavedAuth();
+        const warnings = [];
+        schemeNames.forEach(schemeName => {
+            const scheme = securitySchemes[schemeName];
+            const isToken = scheme && ((scheme.type === 'http' && (scheme.scheme || '').toLowerCase() === 'bearer') ||
+                scheme.type === 'oauth2' || scheme.type === 'openIdConnect');
+            if (!isToken || !auth[schemeName]) return;
+
+            window.JwtInspector.check(auth[schemeName], requirement[schemeName]).forEach(problem => {
+                warnings.push(`${schemeName}: ${problem}`);
+            });
+        });
+        return warnings;
+    }
+
+    window.executeTryIt = async function(method, path, skipBodyValidation, skipTokenCheck) {
         const responseContent = document.getElementById('tryItResponseContent');
         
         if (!responseContent) return;
@@ -2165,6 +3242,46 @@
             return;
         }
 
+        // Validate the JSON request body against the operation's schema
+        const bodyErrors = validateRequestBody();
+        if (bodyErrors.length > 0 && !skipBodyValidation) {
+            responseContent.innerHTML = `
+                <div style="padding: 20px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px;">
+                    <div style="color: #f93e3e; font-weight: 600; margin-bottom: 8px; font-size: 16px;">❌ Request Body Validation</div>
+                    <div style="color: var(--text-secondary); font-size: 13px; margin-bottom: 12px;">The request body has ${bodyErrors.length} schema error(s), listed below the body above.</div>
+                    <button data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onclick="executeTryIt(this.dataset.method, this.dataset.path, true)" style="padding: 6px 14px; background: transparent; border: 1px solid #f93e3e; border-radius: 4px; color: #f93e3e; cursor: pointer; font-size: 12px; font-weight: 600;">
+                        Send anyway
+                    </button>
+                </div>
+            `;
+            return;
+        }
+
+        // Warn before sending a token that can't satisfy the operation
+        if (!skipTokenCheck && window.currentOperation) {
+            let tokenWarnings = [];
+            try {
+                tokenWarnings = await checkRequestTokens(window.currentOperation, window.captureTryItRequest());
+            } catch (e) {
+                console.warn('Token check failed:', e);
+            }
+
+            if (tokenWarnings.length > 0) {
+                responseContent.innerHTML = `
+                    <div style="padding: 20px; background: rgba(255, 165, 0, 0.1); border: 1px solid #ffa500; border-radius: 4px;">
+                        <div style="color: #ffa500; font-weight: 600; margin-bottom: 8px; font-size: 16px;">⚠️ This request will probably be rejected</div>
+                        <ul style="color: var(--text-secondary); font-size: 13px; margin: 0 0 12px 0; padding-left: 20px;">
+                            ${tokenWarnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+                        </ul>
+                        <button data-method="${escapeHtml(method)}" data-path="${escapeHtml(path)}" onclick="executeTryIt(this.dataset.method, this.dataset.path, true, true)" style="padding: 6px 14px; background: transparent; border: 1px solid #ffa500; border-radius: 4px; color: #ffa500; cursor: pointer; font-size: 12px; font-weight: 600;">
+                            Send anyway
+                        </button>
+                    </div>
+                `;
+                return;
+            }
+        }
+
         // Show loading state
         responseContent.innerHTML = `
             <div style="display: flex; align-items: center; justify-content: center; padding: 40px; color: var(--text-secondary);">
@@ -2175,90 +3292,12 @@
 
         try {
             const op = window.currentOperation;
-            let url = path;
-           // console.log('Initial URL:', url);
-
-            // Replace path parameters
-            if (op.operation.parameters) {
-                op.operation.parameters.forEach((param, index) => {
-                    const input = document.getElementById(`param-${index}`);
-                    if (input && input.value) {
-                        //console.log(`Parameter ${param.name} (${param.in}):`, input.value);
-                        if (param.in === 'path') {
-                            url = url.replace(`{${param.name}}`, encodeURIComponent(input.value));
-                        } else if (param.in === 'query') {
-                            const separator = url.includes('?') ? '&' : '?';
-                            url += `${separator}${encodeURIComponent(param.name)}=${encodeURIComponent(input.value)}`;
-                        }
-                    }
-                });
-            }
-            
-           // console.log('Final URL:', url);
-
-            // Get the selected content type from dropdown, default to application/json
-            const contentTypeSelector = document.getElementById('contentTypeSelector');
-            const selectedContentType = contentTypeSelector ? contentTypeSelector.value : 'application/json';
+            const request = window.captureTryItRequest();
+            const authProfile = window.AuthProfileManager ? window.AuthProfileManager.getActiveName() : null;
 
-            const options = {
-                method: method.toUpperCase(),
-                headers: {
-                    'Content-Type': selectedContentType
-                }
-            };
-
-            // Add custom headers
-            const customHeaders = getCustomHeaders();
-            Object.keys(customHeaders).forEach(key => {
-                options.headers[key] = customHeaders[key];
-            });
-
-            // Check if this endpoint requires authorization (use cached spec)
-            const spec = await getSwaggerSpec();
-            const securitySchemes = spec.components?.securitySchemes || {};
-            const operationSecurity = op.operation.security || spec.security || [];
-            const requiresAuth = operationSecurity.length > 0;
-
-            // Apply saved authorization ONLY if endpoint requires it
-            if (requiresAuth) {
-                const savedAuth = localStorage.getItem('swaggerWithSwagg_auth');
-                if (savedAuth) {
-                    try {
-                        const auth = JSON.parse(savedAuth);
-                        
-                        // Apply auth for each security requirement
-                        operationSecurity.forEach(secReq => {
-                            Object.keys(secReq).forEach(schemeName => {
-                                const authValue = auth[schemeName];
-                                const scheme = securitySchemes[schemeName];
-                                
-                                if (authValue && scheme) {
-                                    if (scheme.type === 'http' && scheme.scheme === 'bearer') {
-                                        options.headers['Authorization'] = `Bearer ${authValue}`;
-                                    } else if (scheme.type === 'apiKey') {
-                                        if (scheme.in === 'header') {
-                                            options.headers[scheme.name] = authValue;
-                                        } else if (scheme.in === 'query') {
-                                            const separator = url.includes('?') ? '&' : '?';
-                                            url += `${separator}${encodeURIComponent(scheme.name)}=${encodeURIComponent(authValue)}`;
-                                        }
-                                    }
-                                }
-                            });
-                        });
-                    } catch (e) {
-                        console.error('Failed to apply authorization:', e);
-                    }
-                }
-            }
-
-            // Add request body if applicable
+            // Multipart bodies carry the selected files, so they are read from the form here
             const fileUploadContainer = document.getElementById('fileUploadContainer');
-            const bodyTextarea = document.getElementById('requestBody');
-            const bodyData = document.getElementById('requestBodyData');
-            
-            if (fileUploadContainer && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT' || method.toUpperCase() === 'PATCH')) {
-                // Handle file upload (multipart/form-data)
+            if (fileUploadContainer && BODY_METHODS.includes(method.toUpperCase())) {
                 const formData = new FormData();
                 
                 // Find all file inputs
@@ -2283,44 +3322,28 @@
                 // Add text fields to FormData
                 textInputs.forEach(input => {
                     if (input.value) {
-                        formData.append(input.name, input.value);
+                        formData.append(input.name, applyEnvironment(input.value));
                     }
                 });
                 
-                // Remove Content-Type header - browser will set it with boundary
-                delete options.headers['Content-Type'];
-                options.body = formData;
-                
-            } else if ((bodyTextarea || bodyData) && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT' || method.toUpperCase() === 'PATCH')) {
-                // Handle regular JSON/text body
-                try {
-                    // Use textarea if in edit mode, otherwise use the data holder
-                    const edit = document.getElementById('requestBodyEdit');
-                    const bodyValue = (edit && edit.style.display !== 'none') ? bodyTextarea.value : (bodyData ? bodyData.value : '');
-                    
-                    if (bodyValue) {
-                        options.body = bodyValue;
-                    }
-                } catch (e) {
-                    responseContent.innerHTML = `
-                        <div style="padding: 20px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px;">
-                            <div style="color: #f93e3e; font-weight: 600; margin-bottom: 8px;">❌ Invalid JSON</div>
-                            <div style="color: var(--text-secondary); font-size: 13px;">${escapeHtml(e.message)}</div>
-                        </div>
-                    `;
-                    return;
-                }
+                request.formData = formData;
             }
 
-            const startTime = Date.now();
-            const response = await fetch(url, options);
-            const duration = Date.now() - startTime;
+            const { url, options, cookieHeader, cookieWarning, response, duration } = await sendOperationRequest(Object.assign({}, op, { method: method, path: path }), request);
+            const selectedContentType = request.contentType || 'application/json';
+            const customHeaders = getCustomHeaders();
 
             const contentType = response.headers.get('content-type');
+            const responseKind = window.ResponsePreview ? window.ResponsePreview.getKind(contentType) : 'text';
             let responseData;
+            let responseFile = null;
             let isJson = false;
             
-            if (contentType && contentType.includes('application/json')) {
+            if (window.ResponsePreview && window.ResponsePreview.isBinary(responseKind)) {
+                // Images, PDFs and downloads are read as a Blob so the bytes survive intact
+                responseFile = window.ResponsePreview.createFile(await response.blob(), contentType, response.headers.get('content-disposition'));
+                responseData = '';
+            } else if (contentType && contentType.includes('application/json')) {
                 try {
                     responseData = await response.json();
                     isJson = true;
@@ -2361,35 +3384,48 @@
                         <span style="color: var(--text-secondary); font-size: 13px;">
                             ⏱ ${duration}ms
                         </span>
+                        ${authProfile ? `<span style="color: var(--text-secondary); font-size: 13px;" title="Credential profile">👤 ${escapeHtml(authProfile)}</span>` : ''}
                     </div>
                 </div>
+                ${cookieWarning ? `<div style="margin-bottom: 16px; padding: 8px 12px; background: rgba(255, 165, 0, 0.1); border: 1px solid #ffa500; border-radius: 4px; color: #ffa500; font-size: 13px;">⚠️ ${escapeHtml(cookieWarning)}</div>` : ''}
             `;
             
-            // cURL Command (collapsed by default)
-            const curlCommand = generateCurl(method.toUpperCase(), url, requestBodyForCurl, options.headers);
-            html += `
-                <div style="margin-bottom: 16px;">
-                    <div onclick="toggleCurlSection()" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; cursor: pointer; padding: 8px; background: var(--darker-bg); border-radius: 4px; border: 1px solid var(--border-color);">
-                        <h4 style="color: var(--text-primary); margin: 0; font-size: 14px; display: flex; align-items: center; gap: 8px;">
-                            <span id="curlToggleIcon" style="transition: transform 0.2s;">▶</span>
-                            cURL Command
-                        </h4>
-                        <button onclick="event.stopPropagation(); copyCurl()" title="Copy cURL" style="padding: 4px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 11px; display: flex; align-items: center; gap: 4px;">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-                            </svg>
-                            Copy
-                        </button>
-                    </div>
-                    <div id="curlSection" style="display: none; background: var(--darker-bg); border: 1px solid var(--border-color); border-radius: 4px; padding: 12px; max-height: 200px; overflow-y: auto;">
-                        <pre id="curlCommand" style="margin: 0; color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word;">${escapeHtml(curlCommand)}</pre>
-                    </div>
-                </div>
-            `;
+            // Code snippet (collapsed by default)
+            const snippetRequest = buildSnippetRequest(method, new URL(url, window.location.origin).href, applyEnvironment(requestBodyForCurl), options.headers, cookieHeader);
+            const curlCommand = window.SnippetGenerators.generate('curl', snippetRequest);
+            html += renderSnippetSection(snippetRequest, curlCommand);
+
+            // Response headers
+            const headers = [];
+            const responseHeaders = {};
+            response.headers.forEach((value, key) => {
+                headers.push(`${key}: ${value}`);
+                responseHeaders[key] = value;
+            });
+            
+            // Contract check against the documented response
+            const contract = window.SchemaValidator ? window.SchemaValidator.checkContract(op.operation, op.spec, {
+                status: response.status,
+                contentType: contentType,
+                // Binary bodies are only checked for presence, never parsed
+                body: responseFile ? (responseFile.size > 0 ? '(binary)' : '') : (typeof responseData === 'string' ? responseData : JSON.stringify(responseData))
+            }) : [];
+
+            // Response tabs: Body | Headers | Contract
+            const hasTests = !!window.TestManager && window.TestManager.hasTests(window.TestManager.get(method, path));
+            html += renderResponseTabs(headers.length, contract, hasTests);
+            html += `<div class="response-tab-panel" data-response-tab="body">`;
+
+            // Decode JWTs issued in the response (login/token endpoints)
+            if (window.JwtInspector && !responseFile) {
+                html += window.JwtInspector.renderFound(typeof responseData === 'string' ? responseData : JSON.stringify(responseData), responseHeaders);
+            }
 
             // Response body
-            if (responseData) {
+            let jsonBody;
+            if (responseFile) {
+                html += window.ResponsePreview.renderFile(responseKind, responseFile);
+            } else if (responseData) {
                 let bodyStr;
                 let highlightedContent;
                 
@@ -2397,6 +3433,7 @@
                     // Prettify JSON with 2-space indentation
                     bodyStr = JSON.stringify(responseData, null, 2);
                     highlightedContent = syntaxHighlightJSON(bodyStr);
+                    jsonBody = responseData;
                 } else {
                     // Plain text response
                     bodyStr = String(responseData);
@@ -2405,9 +3442,12 @@
                         const parsed = JSON.parse(bodyStr);
                         bodyStr = JSON.stringify(parsed, null, 2);
                         highlightedContent = syntaxHighlightJSON(bodyStr);
+                        jsonBody = parsed;
                     } catch (e) {
-                        // Not JSON, keep as plain text
-                        highlightedContent = escapeHtml(bodyStr);
+                        // Not JSON, keep as text (XML is re-indented)
+                        const formatted = formatTextBody(bodyStr, responseKind);
+                        bodyStr = formatted.text;
+                        highlightedContent = formatted.highlighted;
                     }
                 }
                 
@@ -2416,8 +3456,7 @@
                 
                 html += `
                     <div style="margin-bottom: 16px;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-                            <h4 style="color: var(--text-primary); margin: 0; font-size: 14px;">Body</h4>
+                        <div style="display: flex; justify-content: flex-end; align-items: center; margin-bottom: 8px;">
                             <button onclick="copyResponse()" title="Copy Response" style="padding: 4px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 11px; display: flex; align-items: center; gap: 4px;">
                                 <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -2426,7 +3465,9 @@
                                 Copy
                             </button>
                         </div>
-                        <div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 500px; overflow-y: auto;">
+                        ${jsonBody !== undefined ? '<div id="responseJsonViewer"></div>' : ''}
+                        ${responseKind === 'html' && window.ResponsePreview ? window.ResponsePreview.renderHtmlPreview(bodyStr) : ''}
+                        <div id="responseRawBody" style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 500px; overflow-y: auto; ${responseKind === 'html' && window.ResponsePreview ? 'display: none;' : ''}">
                             <div style="display: flex; background: var(--darker-bg);">
                                 <pre style="padding: 16px 8px; margin: 0; background: var(--darker-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 13px; line-height: 1.5; text-align: right; user-select: none; border-right: 1px solid var(--border-color); min-width: 40px;">${lineNumbers}</pre>
                                 <pre id="responseBodyContent" style="flex: 1; padding: 16px 12px; margin: 0; background: var(--dark-bg); color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 13px; line-height: 1.5; overflow-x: auto;">${highlightedContent}</pre>
@@ -2436,31 +3477,16 @@
                 `;
             }
 
-            // Response headers
-            const headers = [];
-            response.headers.forEach((value, key) => {
-                headers.push(`${key}: ${value}`);
-            });
-            
-            if (headers.length > 0) {
-                const headerText = headers.join('\n');
-                const headerLines = headers.length;
-                const headerLineNumbers = Array.from({length: headerLines}, (_, i) => i + 1).join('\n');
-                
-                html += `
-                    <div>
-                        <h4 style="color: var(--text-primary); margin-bottom: 8px; font-size: 14px;">Headers</h4>
-                        <div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden; max-height: 300px; overflow-y: auto;">
-                            <div style="display: flex; background: var(--darker-bg);">
-                                <pre style="padding: 16px 8px; margin: 0; background: var(--darker-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.5; text-align: right; user-select: none; border-right: 1px solid var(--border-color); min-width: 40px;">${headerLineNumbers}</pre>
-                                <pre style="flex: 1; padding: 16px 12px; margin: 0; background: var(--dark-bg); color: var(--text-secondary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.5; overflow-x: auto;">${escapeHtml(headerText)}</pre>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            }
+            html += `</div>`;
+
+            html += `<div class="response-tab-panel" data-response-tab="headers" style="display: none;">${renderResponseHeaders(headers)}</div>`;
+
+            html += `<div class="response-tab-panel" data-response-tab="contract" style="display: none;">${renderContractViolations(contract)}</div>`;
+            html += `<div class="response-tab-panel" data-response-tab="tests" style="display: none;"><div id="responseTestsPanel" style="color: var(--text-secondary); font-size: 13px;">Running tests...</div></div>`;
+            html += `<div class="response-tab-panel" data-response-tab="compare" style="display: none;"><div id="responseComparePanel"></div></div>`;
 
             responseContent.innerHTML = html;
+            mountResponseViewer(jsonBody);
 
             // Save to cache
             const parameters = {};
@@ -2474,8 +3500,28 @@
             }
 
             const bodyStr = typeof responseData === 'string' ? responseData : JSON.stringify(responseData, null, 2);
+
+            if (window.ResponseDiff) {
+                window.ResponseDiff.setCurrent({
+                    method: method.toLowerCase(),
+                    path: path,
+                    swaggerEndpoint: SWAGGER_ENDPOINT,
+                    status: response.status,
+                    body: bodyStr
+                });
+            }
+
+            if (hasTests) {
+                window.TestManager.runForResponse(method, path, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    duration: duration,
+                    headers: responseHeaders,
+                    body: bodyStr
+                });
+            }
             
-            saveTryItCache(method, path, {
+            const tryItData = {
                 parameters: parameters,
                 requestBody: requestBodyForCurl,
                 contentType: selectedContentType,
@@ -2485,9 +3531,30 @@
                     statusText: response.statusText,
                     duration: duration,
                     body: bodyStr,
-                    curl: curlCommand
+                    contentType: contentType,
+                    headers: responseHeaders,
+                    timestamp: Date.now(),
+                    file: responseFile ? { fileName: responseFile.fileName, contentType: responseFile.contentType, size: responseFile.size } : null,
+                    curl: curlCommand,
+                    request: snippetRequest,
+                    authProfile: authProfile
                 }
-            });
+            };
+            saveTryItCache(method, path, tryItData);
+
+            // Record in request history
+            if (window.HistoryManager) {
+                window.HistoryManager.record(Object.assign({}, tryItData, {
+                    method: method.toLowerCase(),
+                    path: path,
+                    url: url,
+                    swaggerEndpoint: SWAGGER_ENDPOINT,
+                    environment: window.EnvironmentManager ? window.EnvironmentManager.activeEnvironment : null,
+                    authProfile: authProfile,
+                    requestHeaders: options.headers,
+                    responseHeaders: responseHeaders
+                }));
+            }
 
         } catch (error) {
             responseContent.innerHTML = `
@@ -2496,6 +3563,28 @@
                     <div style="color: var(--text-secondary); font-size: 13px; font-family: 'Monaco', 'Consolas', monospace;">${escapeHtml(error.message)}</div>
                 </div>
             `;
+
+            // Requests that never got a response are kept in the history too
+            if (error.sentRequest && window.HistoryManager) {
+                const sent = error.sentRequest;
+                const request = window.captureTryItRequest() || {};
+                window.HistoryManager.record({
+                    method: method.toLowerCase(),
+                    path: path,
+                    url: sent.url,
+                    swaggerEndpoint: SWAGGER_ENDPOINT,
+                    environment: window.EnvironmentManager ? window.EnvironmentManager.activeEnvironment : null,
+                    authProfile: window.AuthProfileManager ? window.AuthProfileManager.getActiveName() : null,
+                    parameters: request.parameters,
+                    customHeaders: request.customHeaders,
+                    contentType: request.contentType,
+                    requestBody: request.requestBody,
+                    requestHeaders: sent.options.headers,
+                    snippetRequest: buildSnippetRequest(method, new URL(sent.url, window.location.origin).href, applyEnvironment(request.requestBody), sent.options.headers, sent.cookieHeader),
+                    duration: sent.duration,
+                    error: error.message
+                });
+            }
         }
     };
 
@@ -2577,12 +3666,34 @@
        // console.log('✨ Try It Out panel reset to original state');
     };
 
+    // Format a non-JSON text body for display by its kind (see ResponsePreview.getKind)
+    function formatTextBody(text, kind) {
+        if (kind === 'xml' && window.ResponsePreview) {
+            const formatted = window.ResponsePreview.formatXml(text);
+            return { text: formatted, highlighted: window.ResponsePreview.highlightXml(formatted) };
+        }
+        return { text: text, highlighted: escapeHtml(text) };
+    }
+
+    // Mount the interactive tree over a JSON response body (the raw view stays available via its Raw toggle)
+    function mountResponseViewer(jsonBody) {
+        const container = document.getElementById('responseJsonViewer');
+        if (jsonBody === undefined || !container) return;
+
+        if (window.JsonViewer) {
+            window.JsonViewer.mount(container, jsonBody, document.getElementById('responseRawBody'));
+        } else {
+            container.remove();
+        }
+    }
+
     window.copyResponse = function() {
         const responseContent = document.getElementById('tryItResponseContent');
         if (!responseContent) return;
         
         // Find the response body text
-        const preElements = responseContent.querySelectorAll('pre');
+        const bodyContent = document.getElementById('responseBodyContent');
+        const preElements = bodyContent ? [bodyContent] : responseContent.querySelectorAll('pre');
         let responseText = '';
         
         for (let pre of preElements) {
@@ -2628,61 +3739,110 @@
             '"': '&quot;',
             "'": '&#039;'
         };
-        return text.replace(/[&<>"']/g, m => map[m]);
+        return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
     }
 
-    // Generate cURL command
-    function generateCurl(method, url, body, headers) {
-        let curl = `curl -X ${method.toUpperCase()} '${url}'`;
-        
-        // Check if this is a multipart/form-data request
-        const isMultipart = headers && headers['Content-Type'] && headers['Content-Type'].includes('multipart/form-data');
-        
-        if (headers) {
-            for (const [key, value] of Object.entries(headers)) {
-                // Skip Content-Type for multipart - curl sets it automatically with boundary
-                if (isMultipart && key === 'Content-Type') continue;
-                curl += ` \\\n  -H '${key}: ${value}'`;
-            }
-        }
-        
-        if (body && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT' || method.toUpperCase() === 'PATCH')) {
-            if (isMultipart || body instanceof FormData) {
-                // For multipart, extract field information from the form
-                const fileInputs = document.querySelectorAll('input[type="file"]');
-                const textInputs = document.querySelectorAll('input[type="text"][name]');
-                
-                // Add file fields
-                fileInputs.forEach(input => {
-                    if (input.files && input.files.length > 0) {
-                        if (input.multiple) {
-                            // Multiple files
-                            Array.from(input.files).forEach(file => {
-                                curl += ` \\\n  -F '${input.name}=@${file.name}'`;
-                            });
-                        } else {
-                            // Single file
-                            curl += ` \\\n  -F '${input.name}=@${input.files[0].name}'`;
-                        }
-                    }
-                });
-                
-                // Add text fields
-                textInputs.forEach(input => {
-                    if (input.value) {
-                        curl += ` \\\n  -F '${input.name}=${input.value.replace(/'/g, "'\\''")}'`;
-                    }
+    // Request model handed to the snippet generators (see snippets.js)
+    function buildSnippetRequest(method, url, body, headers, cookies) {
+        const upperMethod = method.toUpperCase();
+        const sendsBody = upperMethod === 'POST' || upperMethod === 'PUT' || upperMethod === 'PATCH';
+        const fileUploadContainer = document.getElementById('fileUploadContainer');
+
+        const request = {
+            method: upperMethod,
+            url: url,
+            headers: Object.assign({}, headers),
+            cookies: cookies || '',
+            body: null,
+            formData: null
+        };
+
+        if (sendsBody && fileUploadContainer) {
+            // Same fields executeTryIt puts in the FormData; files are referenced by name
+            request.formData = [];
+            fileUploadContainer.querySelectorAll('input[type="file"]').forEach(input => {
+                Array.from(input.files || []).slice(0, input.multiple ? undefined : 1).forEach(file => {
+                    request.formData.push({ name: input.name, fileName: file.name });
                 });
-            } else {
-                // Regular JSON/text body
-                const bodyStr = typeof body === 'string' ? body : JSON.stringify(body);
-                curl += ` \\\n  -d '${bodyStr.replace(/'/g, "'\\''")}'`;
-            }
+            });
+            fileUploadContainer.querySelectorAll('input[type="text"]').forEach(input => {
+                if (input.value) {
+                    request.formData.push({ name: input.name, value: applyEnvironment(input.value) });
+                }
+            });
+
+            // The boundary Content-Type is set by each client
+            Object.keys(request.headers).forEach(key => {
+                if (key.toLowerCase() === 'content-type') delete request.headers[key];
+            });
+        } else if (sendsBody && body) {
+            request.body = typeof body === 'string' ? body : JSON.stringify(body);
         }
-        
-        return curl;
+
+        return request;
+    }
+
+    const SNIPPET_LANGUAGE_KEY = 'swaggerWithSwagg_snippetLanguage';
+    let currentSnippetRequest = null;
+
+    // Code snippet section with a language dropdown. Older cached responses only have the cURL command.
+    function renderSnippetSection(request, curl) {
+        currentSnippetRequest = request || null;
+
+        const languages = request ? window.SnippetGenerators.list() : [{ id: 'curl', label: 'cURL' }];
+        let language = localStorage.getItem(SNIPPET_LANGUAGE_KEY) || 'curl';
+        if (!languages.some(l => l.id === language)) language = 'curl';
+
+        const code = request ? generateSnippet(language, request) : (curl || '');
+
+        return `
+                <div style="margin-bottom: 16px;">
+                    <div onclick="toggleCurlSection()" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; cursor: pointer; padding: 8px; background: var(--darker-bg); border-radius: 4px; border: 1px solid var(--border-color);">
+                        <h4 style="color: var(--text-primary); margin: 0; font-size: 14px; display: flex; align-items: center; gap: 8px;">
+                            <span id="curlToggleIcon" style="transition: transform 0.2s;">▶</span>
+                            Code Snippet
+                        </h4>
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <select id="snippetLanguage" onclick="event.stopPropagation()" onchange="selectSnippetLanguage(this.value)" style="padding: 3px 6px; background: var(--dark-bg); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); font-size: 11px; cursor: pointer;">
+                                ${languages.map(l => `<option value="${escapeHtml(l.id)}" ${l.id === language ? 'selected' : ''}>${escapeHtml(l.label)}</option>`).join('')}
+                            </select>
+                            <button onclick="event.stopPropagation(); copyCurl()" title="Copy snippet" style="padding: 4px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary); cursor: pointer; font-size: 11px; display: flex; align-items: center; gap: 4px;">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                    <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                                </svg>
+                                Copy
+                            </button>
+                        </div>
+                    </div>
+                    <div id="curlSection" style="display: none; background: var(--darker-bg); border: 1px solid var(--border-color); border-radius: 4px; padding: 12px; max-height: 300px; overflow-y: auto;">
+                        <pre id="curlCommand" style="margin: 0; color: var(--text-primary); font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word;">${escapeHtml(code)}</pre>
+                    </div>
+                </div>
+            `;
     }
 
+    function generateSnippet(language, request) {
+        try {
+            return window.SnippetGenerators.generate(language, request);
+        } catch (e) {
+            console.error(`Failed to generate ${language} snippet:`, e);
+            return `// Failed to generate snippet: ${e.message}`;
+        }
+    }
+
+    /**
+     * Switch snippet language - Connected to the Code Snippet dropdown
+     */
+    window.selectSnippetLanguage = function(language) {
+        localStorage.setItem(SNIPPET_LANGUAGE_KEY, language);
+
+        const codeElement = document.getElementById('curlCommand');
+        if (codeElement && currentSnippetRequest) {
+            codeElement.textContent = generateSnippet(language, currentSnippetRequest);
+        }
+    };
+
     window.copyCurl = function() {
         const curlElement = document.getElementById('curlCommand');
         if (!curlElement) return;
@@ -2854,10 +4014,10 @@
             const escapedPath = escapeHtml(tabData.path);
             
             tabsHtml += `
-                <div class="minimized-tab" onclick="restoreMinimizedTab('${tabKey}')" title="Click to restore">
+                <div class="minimized-tab" data-tab-key="${escapeHtml(tabKey)}" onclick="restoreMinimizedTab(this.dataset.tabKey)" title="Click to restore">
                     <span class="minimized-tab-method ${methodClass}">${tabData.method.toUpperCase()}</span>
                     <span class="minimized-tab-path">${escapedPath}</span>
-                    <span class="minimized-tab-close" onclick="closeMinimizedTab('${tabKey}', event)" title="Close">×</span>
+                    <span class="minimized-tab-close" onclick="closeMinimizedTab(this.parentElement.dataset.tabKey, event)" title="Close">×</span>
                 </div>
             `;
         });
@@ -2865,9 +4025,4 @@
         tabsBar.innerHTML = tabsHtml;
     }
 
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
 })();
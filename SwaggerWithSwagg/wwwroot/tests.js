@@ -0,0 +1,575 @@
+/**
+ * SwaggerWithSwagg - Response Tests
+ * Declarative assertions and sandboxed test scripts (a small Postman-style `pm` API) stored per operation
+ * and run against every Try It Out response.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const TESTS_KEY = 'swaggerWithSwagg_tests';
+    const SCRIPT_TIMEOUT = 3000;
+
+    const ASSERTION_TYPES = {
+        status: { label: 'Status code', hasTarget: false },
+        responseTime: { label: 'Response time (ms)', hasTarget: false },
+        header: { label: 'Header', hasTarget: true, placeholder: 'X-Total-Count' },
+        jsonPath: { label: 'JSON body', hasTarget: true, placeholder: '$.id' },
+        body: { label: 'Body text', hasTarget: false }
+    };
+
+    const OPERATORS = {
+        equals: 'equals',
+        notEquals: 'does not equal',
+        exists: 'exists',
+        notExists: 'does not exist',
+        contains: 'contains',
+        lessThan: 'is less than',
+        greaterThan: 'is greater than',
+        matches: 'matches regex'
+    };
+
+    const INPUT_STYLE = 'padding: 6px 10px; background: var(--dark-bg); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); font-family: \'Monaco\', \'Consolas\', monospace; font-size: 12px;';
+
+    // Test scripts run in a Web Worker, so a script that never yields can be stopped (worker source below)
+    const SANDBOX_WORKER = `
+        function format(value) {
+            try { var text = JSON.stringify(value); return text === undefined ? String(value) : text; }
+            catch (e) { return String(value); }
+        }
+        function deepEqual(a, b) {
+            return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+        }
+        function sortKeys(value) {
+            if (Array.isArray(value)) return value.map(sortKeys);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce(function (result, key) { result[key] = sortKeys(value[key]); return result; }, {});
+            }
+            return value;
+        }
+        function typeOf(value) {
+            return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        }
+        function Assertion(actual, negate) {
+            this.actual = actual;
+            this.negate = !!negate;
+            this.to = this.be = this.been = this.is = this.have = this.that = this.and = this;
+        }
+        Assertion.prototype.assert = function (passed, description) {
+            if (passed === this.negate) {
+                throw new Error('expected ' + format(this.actual) + (this.negate ? ' not ' : ' ') + description);
+            }
+            return this;
+        };
+        Object.defineProperty(Assertion.prototype, 'not', { get: function () { return new Assertion(this.actual, !this.negate); } });
+        Object.defineProperty(Assertion.prototype, 'exist', { get: function () { return this.assert(this.actual !== undefined && this.actual !== null, 'to exist'); } });
+        Object.defineProperty(Assertion.prototype, 'ok', { get: function () { return this.assert(!!this.actual, 'to be truthy'); } });
+        Object.defineProperty(Assertion.prototype, 'true', { get: function () { return this.assert(this.actual === true, 'to be true'); } });
+        Object.defineProperty(Assertion.prototype, 'false', { get: function () { return this.assert(this.actual === false, 'to be false'); } });
+        Object.defineProperty(Assertion.prototype, 'empty', { get: function () {
+            var length = this.actual && typeof this.actual === 'object' && !Array.isArray(this.actual) ? Object.keys(this.actual).length : (this.actual || '').length;
+            return this.assert(length === 0, 'to be empty');
+        } });
+        Assertion.prototype.equal = Assertion.prototype.equals = Assertion.prototype.eq = function (expected) { return this.assert(this.actual === expected, 'to equal ' + format(expected)); };
+        Assertion.prototype.eql = function (expected) { return this.assert(deepEqual(this.actual, expected), 'to deeply equal ' + format(expected)); };
+        Assertion.prototype.above = Assertion.prototype.greaterThan = function (n) { return this.assert(this.actual > n, 'to be above ' + n); };
+        Assertion.prototype.below = Assertion.prototype.lessThan = function (n) { return this.assert(this.actual < n, 'to be below ' + n); };
+        Assertion.prototype.least = function (n) { return this.assert(this.actual >= n, 'to be at least ' + n); };
+        Assertion.prototype.most = function (n) { return this.assert(this.actual <= n, 'to be at most ' + n); };
+        Assertion.prototype.a = Assertion.prototype.an = function (type) { return this.assert(typeOf(this.actual) === String(type).toLowerCase(), 'to be a ' + type); };
+        Assertion.prototype.include = Assertion.prototype.contain = Assertion.prototype.contains = function (item) {
+            var actual = this.actual;
+            var found = typeof actual === 'string' ? actual.indexOf(item) !== -1
+                : Array.isArray(actual) ? actual.some(function (entry) { return deepEqual(entry, item); })
+                : actual && typeof actual === 'object' ? Object.keys(item || {}).every(function (key) { return deepEqual(actual[key], item[key]); })
+                : false;
+            return this.assert(found, 'to include ' + format(item));
+        };
+        Assertion.prototype.match = function (pattern) { return this.assert(new RegExp(pattern).test(String(this.actual)), 'to match ' + pattern); };
+        Assertion.prototype.oneOf = function (list) { return this.assert(list.indexOf(this.actual) !== -1, 'to be one of ' + format(list)); };
+        Assertion.prototype.lengthOf = function (n) { return this.assert(this.actual != null && this.actual.length === n, 'to have length ' + n); };
+        Assertion.prototype.property = function (name, value) {
+            var has = this.actual != null && Object.prototype.hasOwnProperty.call(Object(this.actual), name);
+            if (arguments.length > 1) return this.assert(has && deepEqual(this.actual[name], value), 'to have property ' + format(name) + ' of ' + format(value));
+            return this.assert(has, 'to have property ' + format(name));
+        };
+
+        self.addEventListener('message', function (event) {
+            var data = event.data || {};
+            var response = data.response || {};
+            var headers = response.headers || {};
+            var variables = data.variables || {};
+            var results = [];
+
+            var pm = {
+                response: {
+                    code: response.status,
+                    status: response.statusText,
+                    responseTime: response.duration,
+                    headers: {
+                        get: function (name) { return headers[String(name).toLowerCase()]; },
+                        has: function (name) { return Object.prototype.hasOwnProperty.call(headers, String(name).toLowerCase()); }
+                    },
+                    text: function () { return response.body; },
+                    json: function () { return JSON.parse(response.body); },
+                    to: {
+                        have: {
+                            status: function (code) { new Assertion(response.status).to.equal(code); },
+                            header: function (name) { new Assertion(headers).to.have.property(String(name).toLowerCase()); }
+                        }
+                    }
+                },
+                test: function (name, fn) {
+                    try {
+                        fn();
+                        results.push({ name: String(name), passed: true });
+                    } catch (e) {
+                        results.push({ name: String(name), passed: false, message: e.message });
+                    }
+                },
+                expect: function (actual) { return new Assertion(actual); },
+                variables: {
+                    get: function (name) { return variables[name]; },
+                    set: function (name, value) { variables[name] = value; }
+                }
+            };
+
+            var error = null;
+            try {
+                new Function('pm', data.script)(pm);
+            } catch (e) {
+                error = e.message;
+            }
+            self.postMessage({ id: data.id, results: results, variables: variables, error: error });
+        });
+    `;
+
+    // The worker is started from an iframe without allow-same-origin, so it gets an opaque origin: no access to
+    // this page, its storage or cookies. Removing the iframe terminates the worker.
+    const SANDBOX_HTML = `<!DOCTYPE html><html><body><script>
+        var WORKER_SOURCE = ${JSON.stringify(SANDBOX_WORKER).replace(/<\//g, '<\\/')};
+        window.addEventListener('message', function (event) {
+            var data = event.data || {};
+            var fail = function (message) {
+                parent.postMessage({ id: data.id, results: [], variables: data.variables, error: message }, '*');
+            };
+            var worker;
+            try {
+                worker = new Worker(URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' })));
+            } catch (e) {
+                fail('Test scripts need Web Worker support: ' + e.message);
+                return;
+            }
+            worker.onmessage = function (message) {
+                parent.postMessage(message.data, '*');
+                worker.terminate();
+            };
+            worker.onerror = function (error) {
+                error.preventDefault();
+                fail(error.message);
+                worker.terminate();
+            };
+            worker.postMessage(data);
+        });
+    <\/script></body></html>`;
+
+    // Incremented per run, so a slow run never overwrites the results of a newer one
+    let runCounter = 0;
+
+    /**
+     * Test Manager - Stores and runs response tests per operation
+     */
+    window.TestManager = {
+        /**
+         * Tests of an operation: { assertions: [{ type, target, operator, expected }], script }
+         */
+        get(method, path) {
+            const all = loadAll();
+            return all[getOperationKey(method, path)] || { assertions: [], script: '' };
+        },
+
+        /**
+         * Replace the tests of an operation
+         */
+        set(method, path, tests) {
+            const all = loadAll();
+            const key = getOperationKey(method, path);
+            if (this.hasTests(tests)) {
+                all[key] = tests;
+            } else {
+                delete all[key];
+            }
+            try {
+                localStorage.setItem(TESTS_KEY, JSON.stringify(all));
+            } catch (e) {
+                console.error('Failed to save tests:', e);
+            }
+        },
+
+        /**
+         * Whether there is anything to run
+         */
+        hasTests(tests) {
+            return !!tests && ((tests.assertions || []).length > 0 || !!(tests.script || '').trim());
+        },
+
+        /**
+         * Check declarative assertions against a response { status, statusText, duration, headers (lower-cased keys), body }.
+         * Returns [{ name, passed, message }]
+         */
+        evaluateAssertions(assertions, response) {
+            let json;
+            let jsonError = null;
+
+            return (assertions || []).map(assertion => {
+                const name = describeAssertion(assertion);
+                try {
+                    let actual;
+                    switch (assertion.type) {
+                        case 'status':
+                            actual = response.status;
+                            break;
+                        case 'responseTime':
+                            actual = response.duration;
+                            break;
+                        case 'header':
+                            actual = (response.headers || {})[(assertion.target || '').trim().toLowerCase()];
+                            break;
+                        case 'jsonPath':
+                            if (json === undefined && jsonError === null) {
+                                try {
+                                    json = JSON.parse(response.body);
+                                } catch (e) {
+                                    jsonError = e.message;
+                                }
+                            }
+                            if (jsonError !== null) {
+                                return { name: name, passed: false, message: `Response body is not JSON: ${jsonError}` };
+                            }
+                            actual = queryJson(json, assertion.target);
+                            break;
+                        default:
+                            actual = response.body;
+                    }
+
+                    const passed = compare(actual, assertion.operator, assertion.expected);
+                    return { name: name, passed: passed, message: passed ? '' : `Actual: ${formatValue(actual)}` };
+                } catch (e) {
+                    return { name: name, passed: false, message: e.message };
+                }
+            });
+        },
+
+        /**
+         * Run a test script in a worker started by a sandboxed iframe.
+         * Resolves to { results: [{ name, passed, message }], variables, error }
+         */
+        runScript(script, response, variables) {
+            return new Promise(resolve => {
+                if (!script || !script.trim()) {
+                    resolve({ results: [], variables: Object.assign({}, variables), error: null });
+                    return;
+                }
+
+                const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                const iframe = document.createElement('iframe');
+                iframe.setAttribute('sandbox', 'allow-scripts');
+                iframe.style.display = 'none';
+
+                let timer = null;
+                const finish = outcome => {
+                    clearTimeout(timer);
+                    window.removeEventListener('message', onMessage);
+                    iframe.remove();
+                    resolve(outcome);
+                };
+
+                const onMessage = event => {
+                    if (event.source !== iframe.contentWindow || !event.data || event.data.id !== id) return;
+                    finish({ results: event.data.results || [], variables: event.data.variables || {}, error: event.data.error });
+                };
+
+                window.addEventListener('message', onMessage);
+
+                // The clock starts before the sandbox loads; on timeout the iframe and its worker are torn down
+                timer = setTimeout(() => finish({ results: [], variables: Object.assign({}, variables), error: `Script timed out after ${SCRIPT_TIMEOUT / 1000}s` }), SCRIPT_TIMEOUT);
+                iframe.onload = () => {
+                    iframe.contentWindow.postMessage({ id: id, script: script, response: response, variables: Object.assign({}, variables) }, '*');
+                };
+                iframe.srcdoc = SANDBOX_HTML;
+                document.body.appendChild(iframe);
+            });
+        },
+
+        /**
+         * Run all tests of an operation (or the given tests) against a response.
+         * Resolves to { results, variables, error }; variables are those set with pm.variables.set
+         */
+        async run(method, path, response, options = {}) {
+            const tests = options.tests || this.get(method, path);
+            const assertionResults = this.evaluateAssertions(tests.assertions, response);
+            const scriptOutcome = await this.runScript(tests.script, response, options.variables || {});
+
+            return {
+                results: assertionResults.concat(scriptOutcome.results),
+                variables: scriptOutcome.variables,
+                error: scriptOutcome.error
+            };
+        },
+
+        /**
+         * Run the operation's tests after executeTryIt and fill the Tests tab of the response section
+         */
+        async runForResponse(method, path, response) {
+            const run = ++runCounter;
+            const outcome = await this.run(method, path, response);
+            if (run !== runCounter) return;
+
+            const panel = document.getElementById('responseTestsPanel');
+            const badge = document.getElementById('responseTestsBadge');
+            if (panel) panel.innerHTML = this.renderResults(outcome);
+            if (badge) badge.innerHTML = renderBadge(outcome);
+        },
+
+        /**
+         * Pass/fail list for the Tests tab
+         */
+        renderResults(outcome) {
+            const rows = outcome.results.map(result => `
+                <div style="display: flex; gap: 10px; padding: 8px 12px; border-bottom: 1px solid var(--border-color); font-size: 13px; background: var(--dark-bg);">
+                    <span style="color: ${result.passed ? '#49cc90' : '#f93e3e'}; font-weight: 600; min-width: 40px;">${result.passed ? 'PASS' : 'FAIL'}</span>
+                    <div style="flex: 1;">
+                        <div style="color: var(--text-primary);">${escapeHtml(result.name)}</div>
+                        ${result.message ? `<div style="color: var(--text-secondary); font-size: 12px; font-family: 'Monaco', 'Consolas', monospace; margin-top: 2px;">${escapeHtml(result.message)}</div>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+            const error = outcome.error ? `
+                <div style="padding: 12px; margin-bottom: 8px; background: rgba(249, 62, 62, 0.1); border: 1px solid #f93e3e; border-radius: 4px; color: #f93e3e; font-size: 13px;">
+                    ❌ Script error: ${escapeHtml(outcome.error)}
+                </div>
+            ` : '';
+
+            if (!rows) {
+                return error || '<p style="color: var(--text-secondary); font-size: 13px;">No tests ran.</p>';
+            }
+            return `${error}<div style="border: 1px solid var(--border-color); border-radius: 4px; overflow: hidden;">${rows}</div>`;
+        },
+
+        /**
+         * Tests editor for the request section of the Try It Out panel
+         */
+        renderSection(method, path) {
+            const tests = this.get(method, path);
+            const count = tests.assertions.length + (tests.script.trim() ? 1 : 0);
+
+            return `
+                <div style="margin-bottom: 20px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                        <h4 style="color: var(--text-primary); margin: 0; font-size: 14px; cursor: pointer;" onclick="toggleTestsSection()">
+                            <span id="testsSectionToggle">${count > 0 ? '▼' : '▶'}</span> Tests
+                        </h4>
+                        <button onclick="addTestAssertion()" style="padding: 4px 12px; background: var(--orange); border: none; border-radius: 4px; color: white; cursor: pointer; font-size: 12px; font-weight: 600; display: flex; align-items: center; gap: 4px;">
+                            <span style="font-size: 16px;">+</span> Add Assertion
+                        </button>
+                    </div>
+                    <div id="testsSection" style="display: ${count > 0 ? 'block' : 'none'};">
+                        <div id="testAssertions" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 12px;">
+                            ${renderAssertionRows(tests.assertions)}
+                        </div>
+                        <label style="display: block; color: var(--text-secondary); font-size: 12px; margin-bottom: 6px;">Script (runs in a sandbox after each response)</label>
+                        <textarea id="testScript" rows="4" spellcheck="false" oninput="updateTestScript(this.value)" placeholder="pm.test('returns an id', () => {&#10;    pm.expect(pm.response.json().id).to.exist;&#10;});" style="${INPUT_STYLE} width: 100%; box-sizing: border-box; resize: vertical;">${escapeHtml(tests.script)}</textarea>
+                    </div>
+                </div>
+            `;
+        }
+    };
+
+    // Storage
+
+    function getOperationKey(method, path) {
+        return `${method.toUpperCase()} ${path}`;
+    }
+
+    function loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(TESTS_KEY)) || {};
+        } catch (e) {
+            console.error('Failed to load tests:', e);
+            return {};
+        }
+    }
+
+    function getCurrentTests() {
+        const op = window.currentOperation;
+        return op ? window.TestManager.get(op.method, op.path) : null;
+    }
+
+    function saveCurrentTests(tests) {
+        const op = window.currentOperation;
+        if (op) window.TestManager.set(op.method, op.path, tests);
+    }
+
+    // Assertion evaluation
+
+    function queryJson(json, path) {
+        const expression = (path || '').trim() || '$';
+        if (!window.JsonViewer) throw new Error('JSONPath support is not loaded');
+
+        const values = window.JsonViewer.query(json, expression);
+        if (values.length === 0) return undefined;
+        return values.length === 1 ? values[0] : values;
+    }
+
+    function looseEquals(actual, expected) {
+        if (typeof actual === 'string') return actual === expected;
+        if (typeof actual === 'number') return actual === Number(expected) && String(expected).trim() !== '';
+        return JSON.stringify(actual) === String(expected).trim();
+    }
+
+    function compare(actual, operator, expected) {
+        const expectedText = expected === undefined || expected === null ? '' : String(expected);
+
+        switch (operator) {
+            case 'exists':
+                return actual !== undefined && actual !== null;
+            case 'notExists':
+                return actual === undefined || actual === null;
+            case 'equals':
+                return looseEquals(actual, expectedText);
+            case 'notEquals':
+                return !looseEquals(actual, expectedText);
+            case 'contains':
+                if (Array.isArray(actual)) return actual.some(item => looseEquals(item, expectedText));
+                return actual !== undefined && actual !== null && (typeof actual === 'string' ? actual : JSON.stringify(actual)).includes(expectedText);
+            case 'lessThan':
+                return actual !== undefined && actual !== null && Number(actual) < Number(expectedText);
+            case 'greaterThan':
+                return actual !== undefined && actual !== null && Number(actual) > Number(expectedText);
+            case 'matches':
+                return actual !== undefined && actual !== null && new RegExp(expectedText).test(typeof actual === 'string' ? actual : JSON.stringify(actual));
+            default:
+                throw new Error(`Unknown operator: ${operator}`);
+        }
+    }
+
+    function describeAssertion(assertion) {
+        const type = ASSERTION_TYPES[assertion.type] || ASSERTION_TYPES.body;
+        const subject = assertion.type === 'header' ? `Header ${assertion.target || '(none)'}`
+            : assertion.type === 'jsonPath' ? (assertion.target || '$')
+            : type.label;
+        const operator = OPERATORS[assertion.operator] || assertion.operator;
+        const expected = assertion.operator === 'exists' || assertion.operator === 'notExists' ? '' : ` ${assertion.expected}`;
+        return `${subject} ${operator}${expected}`;
+    }
+
+    function formatValue(value) {
+        if (value === undefined) return '(missing)';
+        const text = JSON.stringify(value);
+        return text.length > 200 ? `${text.substring(0, 200)}…` : text;
+    }
+
+    // Rendering
+
+    function renderBadge(outcome) {
+        const passed = outcome.results.filter(result => result.passed).length;
+        const failed = passed < outcome.results.length || !!outcome.error;
+        return `<span style="color: ${failed ? '#f93e3e' : '#49cc90'};">${passed}/${outcome.results.length}${outcome.error ? ' ⚠' : ''}</span>`;
+    }
+
+    function renderAssertionRows(assertions) {
+        if (assertions.length === 0) {
+            return `
+                <div style="padding: 12px; background: var(--darker-bg); border: 1px dashed var(--border-color); border-radius: 4px; color: var(--text-secondary); font-size: 13px; text-align: center;">
+                    No assertions. Click "Add Assertion" to check the status, a header or a JSON value.
+                </div>
+            `;
+        }
+
+        return assertions.map((assertion, index) => {
+            const type = ASSERTION_TYPES[assertion.type] || ASSERTION_TYPES.body;
+            const needsExpected = assertion.operator !== 'exists' && assertion.operator !== 'notExists';
+
+            return `
+                <div style="display: flex; gap: 6px; align-items: center;">
+                    <select onchange="updateTestAssertion(${index}, 'type', this.value)" style="${INPUT_STYLE} flex: 0 0 140px;">
+                        ${Object.keys(ASSERTION_TYPES).map(key => `<option value="${key}" ${key === assertion.type ? 'selected' : ''}>${ASSERTION_TYPES[key].label}</option>`).join('')}
+                    </select>
+                    ${type.hasTarget ? `<input type="text" value="${escapeHtml(assertion.target || '')}" placeholder="${type.placeholder}" oninput="updateTestAssertion(${index}, 'target', this.value)" style="${INPUT_STYLE} flex: 1; min-width: 0;">` : ''}
+                    <select onchange="updateTestAssertion(${index}, 'operator', this.value)" style="${INPUT_STYLE} flex: 0 0 130px;">
+                        ${Object.keys(OPERATORS).map(key => `<option value="${key}" ${key === assertion.operator ? 'selected' : ''}>${OPERATORS[key]}</option>`).join('')}
+                    </select>
+                    ${needsExpected ? `<input type="text" value="${escapeHtml(assertion.expected || '')}" placeholder="Expected" oninput="updateTestAssertion(${index}, 'expected', this.value)" style="${INPUT_STYLE} flex: 1; min-width: 0;">` : '<span style="flex: 1;"></span>'}
+                    <button onclick="removeTestAssertion(${index})" title="Remove assertion" style="padding: 6px 10px; background: transparent; border: 1px solid var(--border-color); border-radius: 4px; color: #f93e3e; cursor: pointer; font-size: 13px;">🗑️</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function refreshAssertionRows(tests) {
+        const container = document.getElementById('testAssertions');
+        if (container) container.innerHTML = renderAssertionRows(tests.assertions);
+    }
+
+    // Utility: Escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Window handlers
+
+    window.toggleTestsSection = function() {
+        const section = document.getElementById('testsSection');
+        const toggle = document.getElementById('testsSectionToggle');
+        if (!section) return;
+
+        const open = section.style.display === 'none';
+        section.style.display = open ? 'block' : 'none';
+        if (toggle) toggle.textContent = open ? '▼' : '▶';
+    };
+
+    window.addTestAssertion = function() {
+        const tests = getCurrentTests();
+        if (!tests) return;
+
+        tests.assertions.push({ type: 'status', target: '', operator: 'equals', expected: '200' });
+        saveCurrentTests(tests);
+        refreshAssertionRows(tests);
+
+        const section = document.getElementById('testsSection');
+        if (section && section.style.display === 'none') window.toggleTestsSection();
+    };
+
+    window.updateTestAssertion = function(index, field, value) {
+        const tests = getCurrentTests();
+        if (!tests || !tests.assertions[index]) return;
+
+        tests.assertions[index][field] = value;
+        saveCurrentTests(tests);
+
+        // Type and operator change which inputs are shown
+        if (field === 'type' || field === 'operator') refreshAssertionRows(tests);
+    };
+
+    window.removeTestAssertion = function(index) {
+        const tests = getCurrentTests();
+        if (!tests) return;
+
+        tests.assertions.splice(index, 1);
+        saveCurrentTests(tests);
+        refreshAssertionRows(tests);
+    };
+
+    window.updateTestScript = function(value) {
+        const tests = getCurrentTests();
+        if (!tests) return;
+
+        tests.script = value;
+        saveCurrentTests(tests);
+    };
+
+})();
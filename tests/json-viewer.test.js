@@ -0,0 +1,44 @@
+// JSONPath evaluation of the JSON response viewer. Run with: node --test tests/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadJsonViewer() {
+    const context = { window: {}, document: {} };
+    const source = fs.readFileSync(path.join(__dirname, '../SwaggerWithSwagg/wwwroot/json-viewer.js'), 'utf8');
+    vm.runInNewContext(source, context);
+    return context.window.JsonViewer;
+}
+
+const JsonViewer = loadJsonViewer();
+const body = {
+    items: [
+        { id: 1, status: 'active', tags: ['a'] },
+        { id: 2, status: 'active' },
+        { id: 3, status: 'active', tags: ['b'] },
+        { id: 4, status: 'inactive' },
+        { id: 5, status: 'active' }
+    ]
+};
+
+test('filter with a parenthesized group (documented example)', () => {
+    const result = JsonViewer.query(body, "$.items[?(@.status == 'active' && (@.id > 2 || !@.tags))].id");
+    assert.deepStrictEqual([...result], [2, 3, 5]);
+});
+
+test('separate groups joined by || are not stripped as one pair', () => {
+    const result = JsonViewer.query(body, "$.items[?((@.id == 1) || (@.id == 4))].id");
+    assert.deepStrictEqual([...result], [1, 4]);
+});
+
+test('negated group', () => {
+    const result = JsonViewer.query(body, "$.items[?(!(@.status == 'active' || @.id == 1))].id");
+    assert.deepStrictEqual([...result], [4]);
+});
+
+test('parentheses inside quoted values are ignored', () => {
+    const result = JsonViewer.query({ items: [{ name: 'a (b' }, { name: 'c' }] }, "$.items[?(@.name == 'a (b' || @.name == 'x')].name");
+    assert.deepStrictEqual([...result], ['a (b']);
+});
@@ -0,0 +1,43 @@
+// allOf handling of the schema validator (request bodies and the Contract tab). Run with: node --test tests/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadSchemaValidator() {
+    const context = { window: {}, document: {} };
+    const source = fs.readFileSync(path.join(__dirname, '../SwaggerWithSwagg/wwwroot/schema-validator.js'), 'utf8');
+    vm.runInNewContext(source, context);
+    return context.window.SchemaValidator;
+}
+
+const SchemaValidator = loadSchemaValidator();
+const spec = {
+    components: {
+        schemas: {
+            Base: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+        }
+    }
+};
+
+test('inherited properties are documented for a derived schema (allOf + own properties)', () => {
+    const derived = {
+        type: 'object',
+        allOf: [{ $ref: '#/components/schemas/Base' }],
+        properties: { color: { type: 'string' } }
+    };
+    const errors = SchemaValidator.validate({ id: 1, name: 'a', color: 'red' }, derived, spec, { direction: 'response', undocumentedProperties: true });
+    assert.deepStrictEqual([...errors.map(error => error.message)], []);
+});
+
+test('additionalProperties: false on a derived schema allows inherited properties', () => {
+    const derived = {
+        type: 'object',
+        allOf: [{ $ref: '#/components/schemas/Base' }],
+        properties: { color: { type: 'string' } },
+        additionalProperties: false
+    };
+    const errors = SchemaValidator.validate({ id: 1, name: 'a', color: 'red', extra: true }, derived, spec);
+    assert.deepStrictEqual([...errors.map(error => error.pointer)], ['/extra']);
+});